@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import ApiKey from "../models/ApiKey.js";
+
+const MAX_ACTIVE_KEYS = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// Check a requested scope list against the known scopes
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "At least one scope is required";
+  }
+  const unknown = scopes.filter((scope) => !ApiKey.SCOPES[scope]);
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(", ")}`;
+  }
+  return null;
+};
+
+const validateName = (name) =>
+  typeof name === "string" && name.trim() !== "" && name.trim().length <= 100
+    ? null
+    : "Name is required (up to 100 characters)";
+
+// Create an API key; the key itself is only returned in this response
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const error = validateName(name) || validateScopes(scopes);
+    if (error) {
+      return res.status(400).json({ error, scopes: ApiKey.SCOPES });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+      const days = parseInt(expiresInDays);
+      if (!Number.isFinite(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`,
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`,
+      });
+    }
+
+    const { key, apiKey } = await ApiKey.issue(req.user.id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+    res.status(201).json({ ...apiKey.toPublic(), key });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({
+      error: "Failed to create API key",
+      details: error.message,
+    });
+  }
+};
+
+// List the current user's API keys (without the keys themselves)
+const listApiKeys = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.includeRevoked !== "true") {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+    res.json({
+      apiKeys: apiKeys.map((apiKey) => apiKey.toPublic()),
+      scopes: ApiKey.SCOPES,
+    });
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).json({
+      error: "Failed to fetch API keys",
+      details: error.message,
+    });
+  }
+};
+
+// Rename an API key or change its scopes
+const updateApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const { name, scopes } = req.body;
+
+    if (!mongoose.isValidObjectId(keyId)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    const update = {};
+    if (name !== undefined) {
+      const error = validateName(name);
+      if (error) return res.status(400).json({ error });
+      update.name = name.trim();
+    }
+    if (scopes !== undefined) {
+      const error = validateScopes(scopes);
+      if (error) {
+        return res.status(400).json({ error, scopes: ApiKey.SCOPES });
+      }
+      update.scopes = [...new Set(scopes)];
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: req.user.id, revokedAt: null },
+      update,
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    res.json(apiKey.toPublic());
+  } catch (error) {
+    console.error("Update API key error:", error);
+    res.status(500).json({
+      error: "Failed to update API key",
+      details: error.message,
+    });
+  }
+};
+
+// Revoke an API key; it stops working immediately
+const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    if (!mongoose.isValidObjectId(keyId)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    res.json({ success: true, message: "API key revoked" });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      error: "Failed to revoke API key",
+      details: error.message,
+    });
+  }
+};
+
+export { createApiKey, listApiKeys, updateApiKey, revokeApiKey };
@@ -0,0 +1,167 @@
+import BrandKit from "../models/BrandKit.js";
+import LogoStamp from "../utils/logoStamp.js";
+import HttpError from "../utils/httpError.js";
+import { parseBrandKitInput, findBrandKit } from "../utils/brandKits.js";
+
+const MAX_KITS_PER_OWNER = 20;
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Kits owned by the workspace in the request, or the user's personal kits
+const ownerFilter = (req) =>
+  req.workspace
+    ? { workspace: req.workspace._id }
+    : { user: req.user.id, workspace: null };
+
+// Apply changes to a kit and bump its version
+const saveKitChanges = async (kit, changes) => {
+  kit.set(changes);
+  kit.version += 1;
+  kit.updatedAt = new Date();
+  await kit.save();
+  return kit;
+};
+
+// Create a brand kit (pass workspaceId to share it with a workspace)
+const createBrandKit = async (req, res) => {
+  try {
+    const fields = parseBrandKitInput(req.body, true);
+
+    const count = await BrandKit.countDocuments(ownerFilter(req));
+    if (count >= MAX_KITS_PER_OWNER) {
+      return res.status(400).json({
+        error: "Brand kit limit reached",
+        details: `Up to ${MAX_KITS_PER_OWNER} brand kits are allowed`,
+      });
+    }
+
+    const kit = await BrandKit.create({
+      ...fields,
+      user: req.user.id,
+      workspace: req.workspace?._id,
+    });
+    res.status(201).json(kit.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to create brand kit");
+  }
+};
+
+// List personal brand kits, or a workspace's with workspaceId
+const listBrandKits = async (req, res) => {
+  try {
+    const kits = await BrandKit.find(ownerFilter(req)).sort({ createdAt: 1 });
+    res.json({ brandKits: kits.map((kit) => kit.toPublic()) });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch brand kits");
+  }
+};
+
+// Get a single brand kit
+const getBrandKit = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "viewer");
+    res.json(kit.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to fetch brand kit");
+  }
+};
+
+// Update a brand kit's fields
+const updateBrandKit = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "editor");
+    const changes = parseBrandKitInput(req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No changes provided" });
+    }
+
+    await saveKitChanges(kit, changes);
+    res.json(kit.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to update brand kit");
+  }
+};
+
+// Delete a brand kit
+const deleteBrandKit = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "editor");
+    await kit.deleteOne();
+    res.json({ success: true, message: "Brand kit deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete brand kit");
+  }
+};
+
+// Upload or replace a brand kit's logo (multipart field "logo")
+const uploadBrandKitLogo = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "editor");
+    if (!req.file) {
+      return res.status(400).json({ error: "Logo image is required" });
+    }
+
+    let logo;
+    try {
+      logo = await new LogoStamp().normalizeLogo(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid logo image",
+        details: error.message,
+      });
+    }
+
+    await saveKitChanges(kit, { logo: { ...logo, updatedAt: new Date() } });
+    res.json(kit.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to upload logo");
+  }
+};
+
+// Remove a brand kit's logo
+const deleteBrandKitLogo = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "editor");
+    if (!kit.logo?.data) {
+      return res.status(404).json({ error: "Brand kit has no logo" });
+    }
+
+    await saveKitChanges(kit, { logo: undefined });
+    res.json(kit.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to delete logo");
+  }
+};
+
+// Serve a brand kit's logo as PNG
+const getBrandKitLogo = async (req, res) => {
+  try {
+    const kit = await findBrandKit(req.params.kitId, req.user.id, "viewer");
+    if (!kit.logo?.data) {
+      return res.status(404).json({ error: "Brand kit has no logo" });
+    }
+
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(kit.logo.data);
+  } catch (error) {
+    handleError(res, error, "Failed to fetch logo");
+  }
+};
+
+export {
+  createBrandKit,
+  listBrandKits,
+  getBrandKit,
+  updateBrandKit,
+  deleteBrandKit,
+  uploadBrandKitLogo,
+  deleteBrandKitLogo,
+  getBrandKitLogo,
+};
@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+import Collection from "../models/Collection.js";
+import Generation from "../models/Generation.js";
+import HttpError from "../utils/httpError.js";
+import { assertResourceAccess } from "../utils/resourceAccess.js";
+
+const MAX_COLLECTIONS_PER_OWNER = 100;
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Collections owned by the workspace in the request, or the user's own
+const ownerFilter = (req) =>
+  req.workspace
+    ? { workspace: req.workspace._id }
+    : { user: req.user.id, workspace: null };
+
+// Load a collection the user may access with at least minRole
+const findCollection = async (req, minRole) => {
+  const { collectionId } = req.params;
+  const collection = mongoose.isValidObjectId(collectionId)
+    ? await Collection.findById(collectionId)
+    : null;
+  await assertResourceAccess(collection, req.user.id, minRole, "Collection");
+  return collection;
+};
+
+// Validate collection fields from a create or update request
+const parseCollectionInput = (body, isCreate = false) => {
+  const update = {};
+
+  if (isCreate || body.name !== undefined) {
+    if (
+      typeof body.name !== "string" ||
+      !body.name.trim() ||
+      body.name.trim().length > 100
+    ) {
+      throw new HttpError(400, "Name is required (up to 100 characters)");
+    }
+    update.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (
+      body.description !== null &&
+      (typeof body.description !== "string" || body.description.length > 500)
+    ) {
+      throw new HttpError(
+        400,
+        "description must be a string of up to 500 characters"
+      );
+    }
+    update.description = body.description || undefined;
+  }
+
+  return update;
+};
+
+// Create a collection (pass workspaceId to share it with a workspace)
+const createCollection = async (req, res) => {
+  try {
+    const fields = parseCollectionInput(req.body, true);
+
+    const count = await Collection.countDocuments(ownerFilter(req));
+    if (count >= MAX_COLLECTIONS_PER_OWNER) {
+      return res.status(400).json({
+        error: "Collection limit reached",
+        details: `Up to ${MAX_COLLECTIONS_PER_OWNER} collections are allowed`,
+      });
+    }
+
+    const collection = await Collection.create({
+      ...fields,
+      user: req.user.id,
+      workspace: req.workspace?._id,
+    });
+    res.status(201).json(collection.toPublic(true));
+  } catch (error) {
+    handleError(res, error, "Failed to create collection");
+  }
+};
+
+// List the user's (or a workspace's) collections, most recently updated first
+const listCollections = async (req, res) => {
+  try {
+    const collections = await Collection.find(ownerFilter(req)).sort({
+      updatedAt: -1,
+    });
+    res.json({
+      collections: collections.map((collection) => collection.toPublic()),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch collections");
+  }
+};
+
+// Get a collection with its items in display order
+const getCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "viewer");
+    res.json(collection.toPublic(true));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch collection");
+  }
+};
+
+// Rename a collection or change its description
+const updateCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "editor");
+    const changes = parseCollectionInput(req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No changes provided" });
+    }
+
+    collection.set({ ...changes, updatedAt: new Date() });
+    await collection.save();
+    res.json(collection.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to update collection");
+  }
+};
+
+// Delete a collection (the images stay in history)
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "editor");
+    await collection.deleteOne();
+    res.json({ success: true, message: "Collection deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete collection");
+  }
+};
+
+// Add an image from a history entry. Personal collections take images from
+// the user's history, workspace collections from the workspace's history
+const addCollectionItem = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "editor");
+    const { historyId } = req.body;
+    const imageIndex = parseInt(req.body.imageIndex);
+
+    if (!Number.isInteger(imageIndex) || imageIndex < 0) {
+      return res
+        .status(400)
+        .json({ error: "imageIndex must be a non-negative integer" });
+    }
+    const entry = mongoose.isValidObjectId(historyId)
+      ? await Generation.findOne({
+          _id: historyId,
+          ...Generation.historyScope(collection.user, collection.workspace),
+        })
+          .select("imageUrls")
+          .lean()
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: "History entry not found" });
+    }
+    if (imageIndex >= (entry.imageUrls?.length || 0)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    if (collection.hasImage(entry._id, imageIndex)) {
+      return res
+        .status(409)
+        .json({ error: "Image is already in this collection" });
+    }
+    if (collection.items.length >= Collection.MAX_ITEMS) {
+      return res.status(400).json({
+        error: "Collection is full",
+        details: `Collections hold up to ${Collection.MAX_ITEMS} images`,
+      });
+    }
+
+    collection.items.push({
+      generation: entry._id,
+      imageIndex,
+      imageUrl: entry.imageUrls[imageIndex],
+      addedBy: req.user.id,
+    });
+    collection.updatedAt = new Date();
+    await collection.save();
+    res.status(201).json(collection.toPublic(true));
+  } catch (error) {
+    handleError(res, error, "Failed to add image to collection");
+  }
+};
+
+// Remove an item from a collection
+const removeCollectionItem = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "editor");
+    const item = mongoose.isValidObjectId(req.params.itemId)
+      ? collection.items.id(req.params.itemId)
+      : null;
+    if (!item) {
+      return res.status(404).json({ error: "Collection item not found" });
+    }
+
+    item.deleteOne();
+    collection.updatedAt = new Date();
+    await collection.save();
+    res.json(collection.toPublic(true));
+  } catch (error) {
+    handleError(res, error, "Failed to remove image from collection");
+  }
+};
+
+// Reorder items; itemIds must list every item exactly once
+const reorderCollectionItems = async (req, res) => {
+  try {
+    const collection = await findCollection(req, "editor");
+    const { itemIds } = req.body;
+
+    const current = collection.items.map((item) => String(item._id));
+    const isPermutation =
+      Array.isArray(itemIds) &&
+      itemIds.length === current.length &&
+      new Set(itemIds.map(String)).size === current.length &&
+      itemIds.every((id) => current.includes(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({
+        error: "Invalid order",
+        details: "itemIds must list every item in the collection exactly once",
+      });
+    }
+
+    const position = new Map(itemIds.map((id, index) => [String(id), index]));
+    collection.items = [...collection.items].sort(
+      (a, b) => position.get(String(a._id)) - position.get(String(b._id))
+    );
+    collection.updatedAt = new Date();
+    await collection.save();
+    res.json(collection.toPublic(true));
+  } catch (error) {
+    handleError(res, error, "Failed to reorder collection");
+  }
+};
+
+export {
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  removeCollectionItem,
+  reorderCollectionItems,
+};
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import CreditManager from "../utils/creditManager.js";
+import CreditTransaction from "../models/CreditTransaction.js";
+
+// Credits of the workspace in the request, or the user's own credits
+const creditOwner = (req) => ({
+  userId: req.user.id,
+  workspaceId: req.workspace?._id,
+});
+
+// Get the credit balance and plan limits
+const getCredits = async (req, res) => {
+  try {
+    const summary = await new CreditManager().getSummary(creditOwner(req));
+    if (!summary) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error("Get credits error:", error);
+    res.status(500).json({
+      error: "Failed to fetch credits",
+      details: error.message,
+    });
+  }
+};
+
+// List credit transactions, newest first
+const getCreditTransactions = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const page = await CreditTransaction.findPage(creditOwner(req), {
+      limit: Math.max(1, Math.min(100, parseInt(limit) || 20)),
+      before: cursor,
+    });
+    res.json(page);
+  } catch (error) {
+    console.error("Get credit transactions error:", error);
+    res.status(500).json({
+      error: "Failed to fetch credit transactions",
+      details: error.message,
+    });
+  }
+};
+
+export { getCredits, getCreditTransactions };
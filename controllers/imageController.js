@@ -1,23 +1,67 @@
-import PromptEnhancer from "../utils/promptEnhancer.js";
+import mongoose from "mongoose";
+import PromptEnhancer, {
+  MAX_CANDIDATES,
+  MAX_PROMPT_LENGTH,
+} from "../utils/promptEnhancer.js";
 import ImageGenerator from "../utils/imageGenerator.js";
-import CloudinaryUploader from "../utils/cloudinaryUpload.js";
+import getStorage, { getWorkspaceDrivers } from "../utils/storage/index.js";
 import User from "../models/User.js";
+import Generation from "../models/Generation.js";
+import Workspace from "../models/Workspace.js";
+import { getPlan } from "../utils/plans.js";
+import HttpError from "../utils/httpError.js";
+import jobQueue from "../utils/jobQueue.js";
+import webhookDispatcher from "../utils/webhookDispatcher.js";
+import CreditManager from "../utils/creditManager.js";
+import ImageProcessor from "../utils/imageProcessor.js";
+import { PRESETS, resolvePreset } from "../utils/imagePresets.js";
+import TextOverlay, { FONTS } from "../utils/textOverlay.js";
+import ImageMask from "../utils/imageMask.js";
+import QualityScorer from "../utils/qualityScorer.js";
+import ContentModerator from "../utils/contentModerator.js";
+import UsageTracker from "../utils/usageTracker.js";
+import FeedMockup from "../utils/feedMockup.js";
+import {
+  prepareReferences,
+  summarizeReference,
+} from "../utils/referenceImages.js";
+import {
+  loadGenerationBrandKit,
+  applyBrandKit,
+  removeBannedTerms,
+  resolveBrandLogo,
+} from "../utils/brandKits.js";
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  parseTemplate,
+  parseTemplateVariables,
+  renderTemplate,
+  loadGenerationTemplate,
+} from "../utils/promptTemplates.js";
 
-// Enhanced prompt generation based on structured fields
-const generateEnhancedPrompt = (fields, isImageToImage = false) => {
+// Enhanced prompt generation based on structured fields, filled into a
+// prompt template (the built-in default unless one is chosen)
+const generateEnhancedPrompt = (
+  fields,
+  isImageToImage = false,
+  template = BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE_ID].template,
+  variables = {}
+) => {
   const {
+    originalPrompt,
     category,
     mood,
     theme,
     primaryColor,
+    brandColors,
     includeText,
     textStyle,
     thumbnailStyle,
     customPrompt,
+    textPosition,
   } = fields;
 
-  let prompt = customPrompt || "";
-
   // Build structured prompt
   const promptParts = [];
 
@@ -26,125 +70,875 @@ const generateEnhancedPrompt = (fields, isImageToImage = false) => {
   if (theme) promptParts.push(`with ${theme} theme`);
   if (mood) promptParts.push(`${mood} mood`);
   if (primaryColor) promptParts.push(`dominant ${primaryColor} color palette`);
+  if (brandColors?.length > 0) {
+    promptParts.push(`accent colors ${brandColors.join(", ")}`);
+  }
+
+  // Instructions the pipeline relies on; kept even when a template leaves
+  // out {{details}}
+  const requiredParts = [];
 
-  if (includeText && textStyle) {
-    promptParts.push(`featuring ${textStyle} text overlay`);
-  } else if (includeText) {
-    promptParts.push("with text overlay");
+  // Title text is composited after generation, so ask the model for room
+  // instead of letting it render (usually garbled) text itself
+  if (includeText) {
+    const area = (textPosition || "bottom").replace("-", " ");
+    requiredParts.push(
+      `leaving clean uncluttered space at the ${area} for a title, no text, letters or words in the image`
+    );
   }
 
   // For image-to-image, add specific instructions to preserve original elements
   if (isImageToImage) {
-    promptParts.push(
+    requiredParts.push(
       "maintaining key visual elements from the reference image"
     );
-    promptParts.push("preserving the original composition and subject matter");
-    promptParts.push("enhancing while keeping recognizable features");
+    requiredParts.push(
+      "preserving the original composition and subject matter"
+    );
+    requiredParts.push("enhancing while keeping recognizable features");
+  }
+
+  // Request variables override structured fields of the same name
+  const { prompt, used, missing, unused } = renderTemplate(template, {
+    prompt: originalPrompt,
+    customPrompt,
+    category,
+    mood,
+    theme,
+    primaryColor,
+    thumbnailStyle,
+    textStyle,
+    ...variables,
+    details: [...promptParts, ...requiredParts].join(", "),
+  });
+
+  const extra = used.includes("details") ? [] : requiredParts;
+  return {
+    prompt: [prompt, ...extra].filter(Boolean).join(", "),
+    missing,
+    unused,
+  };
+};
+
+// Boolean request flags may arrive as strings from multipart forms
+const isTruthyFlag = (value) => value === true || value === "true";
+
+// Convert imageCount string to integer with validation; when omitted the
+// plan's maximum is used (see CreditManager.reserve)
+const parseImageCount = (imageCount) =>
+  imageCount === undefined || imageCount === ""
+    ? undefined
+    : Math.max(1, Math.min(4, parseInt(imageCount) || 4));
+
+// Normalize the structured fields shared by both generation routes
+const parseGenerationFields = (body) => {
+  const {
+    prompt: originalPrompt,
+    enhancePrompt = false,
+    category,
+    mood,
+    theme,
+    primaryColor,
+    includeText,
+    textStyle,
+    thumbnailStyle,
+    customPrompt,
+    imageCount,
+    provider,
+    model,
+    preset,
+    aspectRatio,
+    width,
+    height,
+    maxBytes,
+    titleText,
+    textOverlay,
+    stampLogo,
+    sortByQuality,
+  } = body;
+
+  const hasTitle = typeof titleText === "string" && titleText.trim() !== "";
+  // Convert includeText string to boolean; a title always needs clear space
+  const includeTextBoolean =
+    hasTitle || includeText === "Yes" || includeText === true;
+
+  return {
+    originalPrompt,
+    enhancePrompt,
+    category,
+    mood,
+    theme,
+    primaryColor,
+    includeText: includeTextBoolean,
+    textStyle,
+    thumbnailStyle,
+    customPrompt,
+    imageCountInt: parseImageCount(imageCount),
+    provider: provider || undefined,
+    model: model || undefined,
+    presetOptions: { preset, aspectRatio, width, height, maxBytes },
+    titleText: hasTitle ? titleText.trim() : undefined,
+    textOverlayOptions: textOverlay,
+    // Overrides the brand kit's logo setting when sent
+    stampLogo:
+      stampLogo === undefined || stampLogo === ""
+        ? undefined
+        : stampLogo === true || stampLogo === "true",
+    sortByQuality: isTruthyFlag(sortByQuality),
+  };
+};
+
+// Fill fields the request leaves out from the workspace's presets
+const applyWorkspacePresets = (body, workspace) => {
+  const presets = workspace?.toObject().presets;
+  if (!presets) return body;
+
+  const merged = { ...body };
+  for (const field of Workspace.PRESET_FIELDS) {
+    const value = merged[field];
+    if ((value === undefined || value === "") && presets[field] != null) {
+      merged[field] = presets[field];
+    }
   }
+  return merged;
+};
+
+// Who a generation belongs to: the user, and the workspace it was made in
+const getGenerationContext = (req) => ({
+  userId: req.user?.id,
+  workspace: req.workspace,
+});
+
+// Parse the request fields, filling gaps from the brand kit (brandKitId)
+// and then the workspace presets, and load the prompt template
+// (templateId, with a variables map)
+const resolveGenerationFields = async (body, context) => {
+  const brandKit = await loadGenerationBrandKit(body.brandKitId, context);
+  const { id, name, template } = await loadGenerationTemplate(
+    body.templateId,
+    context
+  );
+  const fields = parseGenerationFields(
+    applyWorkspacePresets(applyBrandKit(body, brandKit), context.workspace)
+  );
+  return {
+    ...fields,
+    brandKit,
+    promptTemplate: { id, name, template },
+    templateVariables: parseTemplateVariables(body.variables),
+  };
+};
+
+// Link to the history entry (and image) a generation was made from
+const lineageFields = (fields) => ({
+  parentId: fields.parentId,
+  parentImageIndex: fields.parentImageIndex,
+});
+
+// Template reference stored with history entries
+const summarizeTemplate = (template) =>
+  template ? { id: template.id, name: template.name } : undefined;
 
-  // Combine custom prompt with structured elements
-  if (promptParts.length > 0) {
-    const structuredPrompt = promptParts.join(", ");
-    prompt = prompt ? `${prompt}, ${structuredPrompt}` : structuredPrompt;
+// Brand kit reference stored with history entries
+const summarizeBrandKit = (kit, logo) =>
+  kit
+    ? {
+        id: kit._id,
+        name: kit.name,
+        version: kit.version,
+        logoStamped: Boolean(logo),
+      }
+    : undefined;
+
+// Reject unknown or unusable provider/model selections up front
+const validateProviderSelection = (fields, type) => {
+  const imageGenerator = new ImageGenerator();
+  const message = imageGenerator.validateSelection(
+    type,
+    fields.provider,
+    fields.model
+  );
+  if (message) {
+    throw new HttpError(400, message, {
+      providers: imageGenerator.getProviderStatus(),
+    });
   }
+};
 
-  // Add quality modifiers for thumbnails
-  prompt += ", high quality, professional, eye-catching, clean composition";
+// Job mode is requested with `async=true` in the body or query string
+const isJobRequest = (req) => {
+  const flag = req.body?.async ?? req.query?.async;
+  return flag === true || flag === "true" || flag === "1";
+};
 
+// Resolve the output size preset, rejecting invalid sizes up front
+const resolveOutputPreset = (fields) => {
+  const { preset, error } = resolvePreset(fields.presetOptions);
+  if (error) {
+    throw new HttpError(400, error, { presets: Object.keys(PRESETS) });
+  }
+  return preset;
+};
+
+// Resolve the title overlay, or null when no titleText was sent
+const resolveTitleOverlay = (fields) => {
+  if (!fields.titleText) return null;
+
+  const textOverlay = new TextOverlay();
+  const textError = textOverlay.validateText(fields.titleText);
+  if (textError) {
+    throw new HttpError(400, textError);
+  }
+
+  const { settings, error } = textOverlay.resolveSettings(
+    fields.textOverlayOptions
+  );
+  if (error) {
+    throw new HttpError(400, error, { fonts: Object.keys(FONTS) });
+  }
+  return { text: fields.titleText, settings };
+};
+
+// Crop, resize, overlay, stamp and compress generated images to the preset
+const processForPreset = async (images, preset, overlay, logo, onProgress) => {
+  onProgress("processing");
+  const imageProcessor = new ImageProcessor();
+  return imageProcessor.fitAllToPreset(images, preset, overlay, logo);
+};
+
+// Score the final images offline and, with sortByQuality, put the best
+// first (the clean versions are reordered to match)
+const scoreImages = async (processed, sortByQuality, onProgress) => {
+  onProgress("scoring");
+  const quality = await new QualityScorer().scoreAll(processed.images);
+  if (!sortByQuality) {
+    return { processed, quality };
+  }
+
+  const order = quality
+    .map((report, index) => index)
+    .sort((a, b) => quality[b].score - quality[a].score);
+  return {
+    processed: {
+      images: order.map((index) => processed.images[index]),
+      baseImages:
+        processed.baseImages &&
+        order.map((index) => processed.baseImages[index]),
+    },
+    quality: order.map((index) => quality[index]),
+  };
+};
+
+// Workspace images go to the workspace's own folder and storage driver,
+// unless that driver has since been withdrawn by the server's settings
+const getUploadTarget = (workspace) => {
+  const driver = workspace?.storage?.driver;
+  return {
+    storage: getStorage(
+      driver && getWorkspaceDrivers().includes(driver) ? driver : undefined
+    ),
+    options: workspace ? { folder: workspace.getStorageFolder() } : {},
+  };
+};
+
+// Upload the final images, plus the clean versions when a title or logo
+// was drawn
+const uploadProcessed = async (
+  { images, baseImages },
+  decorated,
+  workspace
+) => {
+  const { storage, options } = getUploadTarget(workspace);
+  const imageAssets = await storage.uploadMultiple(
+    images,
+    "generated_image",
+    options
+  );
+  const baseImageAssets = decorated
+    ? await storage.uploadMultiple(baseImages, "base_image", options)
+    : undefined;
+  return {
+    imageAssets,
+    baseImageAssets,
+    imageUrls: imageAssets.map((asset) => asset.url),
+    baseImageUrls: baseImageAssets?.map((asset) => asset.url),
+  };
+};
+
+// Fill the request's prompt template from its fields and variables
+const renderPrompt = (fields, isImageToImage) =>
+  generateEnhancedPrompt(
+    {
+      originalPrompt: fields.originalPrompt,
+      category: fields.category,
+      mood: fields.mood,
+      theme: fields.theme,
+      primaryColor: fields.primaryColor,
+      brandColors: fields.brandKit?.colors.slice(1),
+      includeText: fields.includeText,
+      textStyle: fields.textStyle,
+      thumbnailStyle: fields.thumbnailStyle,
+      customPrompt: fields.customPrompt,
+      textPosition: fields.textOverlaySettings?.position,
+    },
+    isImageToImage,
+    fields.promptTemplate?.template,
+    fields.templateVariables
+  );
+
+// Render the structured prompt, rejecting templates with unfilled variables
+const buildStructuredPrompt = (fields, isImageToImage) => {
+  const { prompt, missing } = renderPrompt(fields, isImageToImage);
+  if (missing.length > 0) {
+    throw new HttpError(400, "Missing template variables", {
+      details: `Provide ${missing.join(", ")} in variables`,
+      missing,
+    });
+  }
   return prompt;
 };
 
-// Text-to-image generation
-const generateImages = async (req, res) => {
-  try {
-    const {
-      prompt: originalPrompt,
-      enhancePrompt = false,
-      category,
-      mood,
-      theme,
-      primaryColor,
-      includeText,
-      textStyle,
-      thumbnailStyle,
-      customPrompt,
-      imageCount = "4",
-    } = req.body;
+// Build the final prompt, optionally enhanced with OpenAI, and report
+// whether enhancement happened. Regenerations without prompt changes reuse
+// the stored prompt as is
+const buildFinalPrompt = async (
+  fields,
+  isImageToImage,
+  onProgress,
+  usage = null
+) => {
+  if (fields.replayPrompt) {
+    return {
+      finalPrompt: fields.replayPrompt,
+      enhancement: { enhanced: !!fields.enhancePrompt, fallback: null },
+    };
+  }
 
-    // Convert includeText string to boolean for database storage
-    const includeTextBoolean = includeText === "Yes" || includeText === true;
+  const structuredPrompt = buildStructuredPrompt(fields, isImageToImage);
 
-    // Convert imageCount string to integer with validation
-    const imageCountInt = Math.max(1, Math.min(4, parseInt(imageCount) || 4));
+  let finalPrompt = structuredPrompt || fields.originalPrompt;
+  let enhancement = { enhanced: false, fallback: null };
 
-    // Generate enhanced prompt from structured fields (text-to-image)
-    const structuredPrompt = generateEnhancedPrompt(
+  // Apply OpenAI enhancement if requested; on failure the prompt is used
+  // as is and the response says why
+  if (fields.enhancePrompt && finalPrompt) {
+    onProgress("enhancing");
+    const promptEnhancer = new PromptEnhancer();
+    const { prompts, enhanced, fallback } = await promptEnhancer.enhance(
+      finalPrompt,
       {
-        category,
-        mood,
-        theme,
-        primaryColor,
-        includeText,
-        textStyle,
-        thumbnailStyle,
-        customPrompt,
-      },
-      false
+        category: fields.category,
+        thumbnailStyle: fields.thumbnailStyle,
+        usage,
+      }
     );
+    finalPrompt = prompts[0];
+    enhancement = { enhanced, fallback };
+  }
 
-    let finalPrompt = structuredPrompt || originalPrompt;
+  // Banned terms are removed last so enhancement cannot bring them back
+  if (finalPrompt && fields.brandKit?.bannedTerms?.length > 0) {
+    finalPrompt = removeBannedTerms(finalPrompt, fields.brandKit.bannedTerms);
+  }
+
+  if (!finalPrompt) {
+    throw new HttpError(400, "Prompt is required");
+  }
 
-    // Apply OpenAI enhancement if requested
-    if (enhancePrompt && finalPrompt) {
-      const promptEnhancer = new PromptEnhancer();
-      finalPrompt = await promptEnhancer.enhancePrompt(finalPrompt);
+  return { finalPrompt, enhancement };
+};
+
+// Store a generation in the user's history, or the workspace's shared
+// history, applying the owning plan's retention. The entry points at the
+// request's usage record, which is saved with it
+const saveToHistory = async ({ userId, workspace, usage }, entry) => {
+  if (!userId) return;
+  const withUsage = { ...entry, usageRecord: usage?.id };
+
+  let generation = null;
+  if (workspace) {
+    generation = await Generation.addForUser(
+      userId,
+      { ...withUsage, workspace: workspace._id },
+      getPlan(workspace.plan).historyLimit
+    );
+  } else {
+    const user = await User.findById(userId);
+    if (user) {
+      generation = await Generation.addForUser(
+        user._id,
+        withUsage,
+        getPlan(user.plan).historyLimit
+      );
     }
+  }
+  await usage?.save(generation?._id);
+};
+
+// Run the text-to-image pipeline and return the response payload
+const runTextToImage = async (fields, context, onProgress = () => {}) => {
+  const preset = resolveOutputPreset(fields);
+  const overlay = resolveTitleOverlay(fields);
+  const logo = resolveBrandLogo(fields.brandKit, fields.stampLogo);
+  const { finalPrompt, enhancement } = await buildFinalPrompt(
+    { ...fields, textOverlaySettings: overlay?.settings },
+    false,
+    onProgress,
+    context.usage
+  );
+
+  onProgress("moderating");
+  await new ContentModerator().screen(
+    { prompt: finalPrompt },
+    context,
+    "text-to-image"
+  );
 
-    if (!finalPrompt) {
-      return res.status(400).json({ error: "Prompt is required" });
+  // Generate images
+  const imageGenerator = new ImageGenerator();
+  const images = await imageGenerator.generateImages(
+    finalPrompt,
+    fields.imageCountInt,
+    {
+      provider: fields.provider,
+      model: fields.model,
+      aspectRatio: preset.width / preset.height,
+      onProgress: (completed, total) =>
+        onProgress("generating", { completed, total }),
+      usage: context.usage,
     }
+  );
 
-    // Generate images
-    const imageGenerator = new ImageGenerator();
-    const images = await imageGenerator.generateImages(
-      finalPrompt,
-      imageCountInt
+  const { processed, quality } = await scoreImages(
+    await processForPreset(images, preset, overlay, logo, onProgress),
+    fields.sortByQuality,
+    onProgress
+  );
+
+  // Upload to the configured storage driver
+  onProgress("uploading");
+  const { imageUrls, baseImageUrls, imageAssets, baseImageAssets } =
+    await uploadProcessed(processed, overlay || logo, context.workspace);
+
+  // Store in user or workspace history
+  await saveToHistory(context, {
+    type: "text-to-image",
+    originalPrompt: fields.originalPrompt,
+    finalPrompt,
+    enhancedPrompt: fields.enhancePrompt,
+    category: fields.category,
+    mood: fields.mood,
+    theme: fields.theme,
+    primaryColor: fields.primaryColor,
+    includeText: fields.includeText,
+    textStyle: fields.textStyle,
+    thumbnailStyle: fields.thumbnailStyle,
+    customPrompt: fields.customPrompt,
+    preset,
+    titleText: overlay?.text,
+    textOverlay: overlay?.settings,
+    brandKit: summarizeBrandKit(fields.brandKit, logo),
+    promptTemplate: summarizeTemplate(fields.promptTemplate),
+    templateVariables: fields.templateVariables,
+    ...lineageFields(fields),
+    imagesGenerated: imageUrls.length,
+    quality,
+    imageUrls,
+    baseImageUrls,
+    images: imageAssets,
+    baseImages: baseImageAssets,
+  });
+
+  return {
+    success: true,
+    images: imageUrls,
+    quality,
+    prompt: finalPrompt,
+    enhanced: enhancement.enhanced,
+    enhancementFallback: enhancement.fallback || undefined,
+    preset,
+    baseImages: baseImageUrls,
+    brandKit: summarizeBrandKit(fields.brandKit, logo),
+    template: summarizeTemplate(fields.promptTemplate),
+    parentId: fields.parentId,
+  };
+};
+
+// Run the image-to-image pipeline and return the response payload
+const runImageToImage = async (
+  fields,
+  references,
+  context,
+  onProgress = () => {}
+) => {
+  const preset = resolveOutputPreset(fields);
+  const overlay = resolveTitleOverlay(fields);
+  const logo = resolveBrandLogo(fields.brandKit, fields.stampLogo);
+  const { finalPrompt, enhancement } = await buildFinalPrompt(
+    { ...fields, textOverlaySettings: overlay?.settings },
+    true,
+    onProgress,
+    context.usage
+  );
+
+  onProgress("moderating");
+  await new ContentModerator().screen(
+    {
+      prompt: finalPrompt,
+      images: references.map((reference) => reference.buffer),
+    },
+    context,
+    "image-to-image"
+  );
+
+  // Generate images from the reference images
+  const imageGenerator = new ImageGenerator();
+  const images = await imageGenerator.generateImagesFromImage(
+    references,
+    finalPrompt,
+    fields.imageCountInt,
+    {
+      provider: fields.provider,
+      model: fields.model,
+      aspectRatio: preset.width / preset.height,
+      onProgress: (completed, total) =>
+        onProgress("generating", { completed, total }),
+      usage: context.usage,
+    }
+  );
+
+  const { processed, quality } = await scoreImages(
+    await processForPreset(images, preset, overlay, logo, onProgress),
+    fields.sortByQuality,
+    onProgress
+  );
+
+  // Upload to the configured storage driver
+  onProgress("uploading");
+  const { imageUrls, baseImageUrls, imageAssets, baseImageAssets } =
+    await uploadProcessed(processed, overlay || logo, context.workspace);
+
+  // Store in user or workspace history
+  await saveToHistory(context, {
+    type: "image-to-image",
+    originalPrompt: fields.originalPrompt,
+    finalPrompt,
+    enhancedPrompt: fields.enhancePrompt,
+    category: fields.category,
+    mood: fields.mood,
+    theme: fields.theme,
+    primaryColor: fields.primaryColor,
+    includeText: fields.includeText,
+    textStyle: fields.textStyle,
+    thumbnailStyle: fields.thumbnailStyle,
+    customPrompt: fields.customPrompt,
+    inputImage: references.map(summarizeReference),
+    preset,
+    titleText: overlay?.text,
+    textOverlay: overlay?.settings,
+    brandKit: summarizeBrandKit(fields.brandKit, logo),
+    promptTemplate: summarizeTemplate(fields.promptTemplate),
+    templateVariables: fields.templateVariables,
+    ...lineageFields(fields),
+    imagesGenerated: imageUrls.length,
+    quality,
+    imageUrls,
+    baseImageUrls,
+    images: imageAssets,
+    baseImages: baseImageAssets,
+  });
+
+  return {
+    success: true,
+    images: imageUrls,
+    quality,
+    prompt: finalPrompt,
+    enhanced: enhancement.enhanced,
+    enhancementFallback: enhancement.fallback || undefined,
+    preset,
+    baseImages: baseImageUrls,
+    brandKit: summarizeBrandKit(fields.brandKit, logo),
+    template: summarizeTemplate(fields.promptTemplate),
+    parentId: fields.parentId,
+    inputImage: references.map(({ role, originalName, size }) => ({
+      role,
+      name: originalName,
+      size,
+    })),
+  };
+};
+
+// Run the masked edit pipeline and return the response payload. Edited
+// images are composited back onto the original, so they keep its size and
+// skip presets, titles and logos
+const runImageEdit = async (
+  fields,
+  imageFile,
+  edit,
+  context,
+  onProgress = () => {}
+) => {
+  const imageMask = new ImageMask();
+  const { image, mask } = await imageMask.toProviderInputs(edit);
+
+  onProgress("moderating");
+  await new ContentModerator().screen(
+    { prompt: fields.originalPrompt, images: [image] },
+    context,
+    "image-edit"
+  );
+
+  const imageGenerator = new ImageGenerator();
+  const results = await imageGenerator.editImages(
+    image,
+    mask,
+    fields.originalPrompt,
+    fields.imageCountInt,
+    {
+      provider: fields.provider,
+      model: fields.model,
+      aspectRatio: edit.width / edit.height,
+      onProgress: (completed, total) =>
+        onProgress("generating", { completed, total }),
+      usage: context.usage,
+    }
+  );
+
+  onProgress("processing");
+  const { processed, quality } = await scoreImages(
+    {
+      images: await Promise.all(
+        results.map((result) =>
+          imageMask.composite(edit, result, fields.feather)
+        )
+      ),
+    },
+    fields.sortByQuality,
+    onProgress
+  );
+
+  onProgress("uploading");
+  const { imageUrls, imageAssets } = await uploadProcessed(
+    processed,
+    false,
+    context.workspace
+  );
+
+  const maskSummary = {
+    source: edit.source,
+    rect: edit.rect,
+    coverage: edit.coverage,
+    feather: fields.feather,
+  };
+
+  await saveToHistory(context, {
+    type: "image-edit",
+    originalPrompt: fields.originalPrompt,
+    finalPrompt: fields.originalPrompt,
+    enhancedPrompt: false,
+    inputImage: [
+      {
+        role: "image",
+        originalName: imageFile.originalname,
+        size: imageFile.size,
+        mimeType: imageFile.mimetype,
+        width: edit.width,
+        height: edit.height,
+      },
+    ],
+    mask: maskSummary,
+    ...lineageFields(fields),
+    imagesGenerated: imageUrls.length,
+    quality,
+    imageUrls,
+    images: imageAssets,
+  });
+
+  return {
+    success: true,
+    images: imageUrls,
+    quality,
+    prompt: fields.originalPrompt,
+    width: edit.width,
+    height: edit.height,
+    mask: maskSummary,
+    inputImage: [
+      { role: "image", name: imageFile.originalname, size: imageFile.size },
+    ],
+  };
+};
+
+// Run a pipeline against reserved credits, refunding every image it does
+// not deliver (all of them if it throws). beforeSettle, when given, is
+// awaited with { result } or { error } before the credits are settled
+const runWithCredits = async (reservation, pipeline, beforeSettle) => {
+  const creditManager = new CreditManager();
+  let result;
+  try {
+    result = await pipeline();
+  } catch (error) {
+    await beforeSettle?.({ error });
+    await creditManager
+      .settle(reservation, 0, "Generation failed")
+      .catch((refundError) => console.error("Refund error:", refundError));
+    throw error;
+  }
+
+  await beforeSettle?.({ result });
+  const credits = await creditManager.settle(
+    reservation,
+    result.images.length,
+    "Some images failed to generate"
+  );
+  return { ...result, credits };
+};
+
+// Body of a generation.failed webhook, for errors thrown by a pipeline
+// and for the errors recorded on abandoned jobs
+const failedEventPayload = (error) => ({
+  error: error.message,
+  status: error.status || 500,
+  ...(error.extra || {}),
+});
+
+// Run a pipeline against reserved credits and tell the user's webhooks how
+// it went. generation.completed carries the same JSON as the response;
+// generation.failed carries the error as failedEventPayload shapes it
+const runAndNotify = async (
+  reservation,
+  pipeline,
+  type,
+  context,
+  meta,
+  beforeSettle
+) => {
+  const envelope = {
+    generationType: type,
+    workspaceId: context.workspace?._id,
+    ...meta,
+  };
+  try {
+    const result = await runWithCredits(reservation, pipeline, beforeSettle);
+    webhookDispatcher.emit(
+      context.userId,
+      "generation.completed",
+      result,
+      envelope
     );
+    return result;
+  } catch (error) {
+    webhookDispatcher.emit(
+      context.userId,
+      "generation.failed",
+      failedEventPayload(error),
+      envelope
+    );
+    throw error;
+  } finally {
+    // Failed generations have no history entry but still made calls
+    await context.usage?.save();
+  }
+};
 
-    // Upload to Cloudinary
-    const cloudinaryUploader = new CloudinaryUploader();
-    const imageUrls = await cloudinaryUploader.uploadMultiple(images);
-
-    // Store in user history
-    if (req.user) {
-      const user = await User.findById(req.user.id);
-      if (user) {
-        await user.addToHistory({
-          type: "text-to-image",
-          originalPrompt,
-          finalPrompt,
-          enhancedPrompt: enhancePrompt,
-          category,
-          mood,
-          theme,
-          primaryColor,
-          includeText: includeTextBoolean,
-          textStyle,
-          thumbnailStyle,
-          customPrompt,
-          imagesGenerated: imageUrls.length,
-          imageUrls,
-        });
-      }
+// Refund a job lost with its server and report it like any failed
+// generation (see JobQueue.start)
+const recoverAbandonedJob = async (job) => {
+  await new CreditManager().settle(
+    job.reservation,
+    0,
+    "Job interrupted by a server restart"
+  );
+  webhookDispatcher.emit(
+    job.user,
+    "generation.failed",
+    failedEventPayload(job.error),
+    {
+      generationType: job.type,
+      workspaceId: job.reservation?.owner?.workspaceId,
+      jobId: job._id,
     }
+  );
+};
 
-    res.json({
-      success: true,
-      images: imageUrls,
-      prompt: finalPrompt,
-      enhanced: enhancePrompt,
+// Respond with a queued job instead of waiting for the pipeline
+const respondWithJob = (res, job) => {
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+  });
+};
+
+// Check everything that can be rejected before credits are reserved
+const validateGeneration = (fields, type) => {
+  validateProviderSelection(fields, type);
+  resolveOutputPreset(fields);
+  resolveTitleOverlay(fields);
+  resolveBrandLogo(fields.brandKit, fields.stampLogo);
+  buildStructuredPrompt(fields, type === "image-to-image");
+};
+
+// Reserve credits and run a pipeline, or queue it as a job with async=true
+const dispatchGeneration = async (req, res, { type, fields, context, run }) => {
+  const reservation = await new CreditManager().reserve(
+    { userId: context.userId, workspaceId: context.workspace?._id },
+    fields.imageCountInt,
+    type
+  );
+  fields.imageCountInt = reservation.imageCount;
+  context.usage = new UsageTracker(context, type);
+
+  if (isJobRequest(req)) {
+    let job;
+    try {
+      job = await jobQueue.enqueue(
+        context.userId,
+        type,
+        (onProgress) =>
+          runAndNotify(
+            reservation,
+            () => run(onProgress),
+            type,
+            context,
+            { jobId: job.id },
+            // Record how the job ended before settling, so recovery after
+            // a crash does not settle its credits again
+            (outcome) => jobQueue.finish(job.id, outcome)
+          ),
+        { reservation }
+      );
+    } catch (error) {
+      await new CreditManager()
+        .settle(reservation, 0, "Job could not be queued")
+        .catch((refundError) => console.error("Refund error:", refundError));
+      throw error;
+    }
+    return respondWithJob(res, job);
+  }
+
+  const result = await runAndNotify(reservation, () => run(), type, context);
+  res.json(result);
+};
+
+// Text-to-image generation
+const generateImages = async (req, res) => {
+  try {
+    const context = getGenerationContext(req);
+    const fields = await resolveGenerationFields(req.body, context);
+    validateGeneration(fields, "text-to-image");
+
+    await dispatchGeneration(req, res, {
+      type: "text-to-image",
+      fields,
+      context,
+      run: (onProgress) => runTextToImage(fields, context, onProgress),
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error("Image generation error:", error);
     res.status(500).json({
       error: "Failed to generate images",
@@ -153,134 +947,572 @@ const generateImages = async (req, res) => {
   }
 };
 
-// Image-to-image generation
+// Image-to-image generation from one or more labelled reference images
+// (image, subject, background, style)
 const generateFromImage = async (req, res) => {
   try {
+    const context = getGenerationContext(req);
+    const fields = await resolveGenerationFields(req.body, context);
+    const references = await prepareReferences(req.files);
+    validateGeneration(fields, "image-to-image");
+
+    await dispatchGeneration(req, res, {
+      type: "image-to-image",
+      fields,
+      context,
+      run: (onProgress) =>
+        runImageToImage(fields, references, context, onProgress),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("Image-to-image generation error:", error);
+    res.status(500).json({
+      error: "Failed to generate images from input image",
+      details: error.message,
+    });
+  }
+};
+
+// Masked edit: change only the area selected by an uploaded mask image
+// (transparent = edit) or a rect, keeping every other pixel unchanged
+const editImage = async (req, res) => {
+  try {
+    const context = getGenerationContext(req);
+    const imageFile = req.files?.image?.[0];
+    const maskFile = req.files?.mask?.[0];
     const {
-      prompt: originalPrompt,
-      enhancePrompt = false,
-      category,
-      mood,
-      theme,
-      primaryColor,
-      includeText,
-      textStyle,
-      thumbnailStyle,
-      customPrompt,
-      imageCount = "4",
+      prompt,
+      rect,
+      imageCount,
+      provider,
+      model,
+      feather,
+      sortByQuality,
     } = req.body;
 
-    // Convert includeText string to boolean for database storage
-    const includeTextBoolean = includeText === "Yes" || includeText === true;
+    if (!imageFile) {
+      return res.status(400).json({ error: "Image file is required" });
+    }
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      return res.status(400).json({ error: "Edit prompt is required" });
+    }
+    if (Boolean(maskFile) === (rect !== undefined && rect !== "")) {
+      return res.status(400).json({
+        error: "Provide either a mask image or a rect",
+        details:
+          "Send a mask file whose transparent area marks the region to edit, or rect as { x, y, width, height } in pixels",
+      });
+    }
 
-    // Convert imageCount string to integer with validation
-    const imageCountInt = Math.max(1, Math.min(4, parseInt(imageCount) || 4));
+    const imageMask = new ImageMask();
+    const fields = {
+      originalPrompt: prompt.trim(),
+      imageCountInt: parseImageCount(imageCount),
+      provider: provider || undefined,
+      model: model || undefined,
+      feather: imageMask.resolveFeather(feather),
+      sortByQuality: isTruthyFlag(sortByQuality),
+    };
+    validateProviderSelection(fields, "image-edit");
 
-    const imageFile = req.file;
+    let parsedRect;
+    if (!maskFile) {
+      const { rect: parsed, error } = imageMask.parseRect(rect);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      parsedRect = parsed;
+    }
+    const { edit, error } = await imageMask.prepare({
+      imageBuffer: imageFile.buffer,
+      maskBuffer: maskFile?.buffer,
+      rect: parsedRect,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (!imageFile) {
-      return res.status(400).json({ error: "Image file is required" });
+    await dispatchGeneration(req, res, {
+      type: "image-edit",
+      fields,
+      context,
+      run: (onProgress) =>
+        runImageEdit(fields, imageFile, edit, context, onProgress),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error("Image edit error:", error);
+    res.status(500).json({
+      error: "Failed to edit image",
+      details: error.message,
+    });
+  }
+};
 
-    // Generate enhanced prompt from structured fields (image-to-image)
-    const structuredPrompt = generateEnhancedPrompt(
-      {
-        category,
-        mood,
-        theme,
-        primaryColor,
-        includeText,
-        textStyle,
-        thumbnailStyle,
-        customPrompt,
-      },
-      true
-    );
+// Request fields that change the prompt; overriding any of them on a
+// regeneration rebuilds the prompt instead of reusing the stored one
+const PROMPT_FIELDS = [
+  "prompt",
+  "enhancePrompt",
+  "category",
+  "mood",
+  "theme",
+  "primaryColor",
+  "includeText",
+  "textStyle",
+  "thumbnailStyle",
+  "customPrompt",
+  "templateId",
+  "variables",
+  "brandKitId",
+];
+const SIZE_FIELDS = ["preset", "aspectRatio", "width", "height", "maxBytes"];
+
+// Merge a history entry's settings with request overrides into a
+// generation request body
+const buildReplayBody = (entry, overrides) => {
+  const { async, workspaceId, ...changes } = overrides;
+  const stored = {
+    prompt: entry.originalPrompt,
+    enhancePrompt: entry.enhancedPrompt,
+    category: entry.category,
+    mood: entry.mood,
+    theme: entry.theme,
+    primaryColor: entry.primaryColor,
+    includeText: entry.includeText,
+    textStyle: entry.textStyle,
+    thumbnailStyle: entry.thumbnailStyle,
+    customPrompt: entry.customPrompt,
+    titleText: entry.titleText,
+    textOverlay: entry.textOverlay,
+    brandKitId: entry.brandKit?.id ? String(entry.brandKit.id) : undefined,
+    stampLogo: entry.brandKit?.logoStamped,
+    templateId: entry.promptTemplate?.id,
+    variables: entry.templateVariables,
+  };
+
+  // A new size replaces the stored one entirely
+  if (!SIZE_FIELDS.some((field) => changes[field] !== undefined)) {
+    stored.preset = entry.preset?.name;
+    stored.width = entry.preset?.width;
+    stored.height = entry.preset?.height;
+    stored.maxBytes = entry.preset?.maxBytes;
+  }
+
+  return { ...stored, ...changes };
+};
+
+// Load a history entry from the user's (or the workspace's) history
+const findHistoryEntry = async (req) => {
+  const { historyId } = req.params;
+  const entry = mongoose.isValidObjectId(historyId)
+    ? await Generation.findOne({
+        _id: historyId,
+        ...Generation.historyScope(req.user.id, req.workspace?._id),
+      }).lean()
+    : null;
+  if (!entry) {
+    throw new HttpError(404, "History entry not found");
+  }
+  return entry;
+};
+
+// Read a history image back from storage, preferring the version without
+// the title and logo unless preferBase is false
+const loadHistoryImage = async (
+  entry,
+  imageIndex,
+  { preferBase = true } = {}
+) => {
+  const base = preferBase ? entry.baseImages?.[imageIndex] : undefined;
+  const asset = base || entry.images?.[imageIndex];
+  if (asset?.key) {
+    return getStorage(asset.driver).download(asset.key);
+  }
+
+  // Entries from before storage keys were recorded only have URLs
+  const url =
+    (preferBase && entry.baseImageUrls?.[imageIndex]) ||
+    entry.imageUrls[imageIndex];
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not fetch image (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
 
-    let finalPrompt = structuredPrompt || originalPrompt;
+// Generate again from a history entry's stored prompt and fields. Body
+// fields override the stored ones; prompt overrides rebuild the prompt
+const regenerateHistoryEntry = async (req, res) => {
+  try {
+    const entry = await findHistoryEntry(req);
+    if (entry.type !== "text-to-image") {
+      return res.status(400).json({
+        error: "Only text-to-image entries can be regenerated",
+        details:
+          "Input images are not stored; create variations of an output image instead",
+      });
+    }
 
-    // Apply OpenAI enhancement if requested
-    if (enhancePrompt && finalPrompt) {
-      const promptEnhancer = new PromptEnhancer();
-      finalPrompt = await promptEnhancer.enhancePrompt(finalPrompt);
+    const context = getGenerationContext(req);
+    const overrides = req.body || {};
+    const body = buildReplayBody(entry, overrides);
+    if (overrides.imageCount === undefined) {
+      body.imageCount = entry.imagesGenerated || undefined;
     }
 
-    if (!finalPrompt) {
-      return res.status(400).json({ error: "Prompt is required" });
+    const fields = await resolveGenerationFields(body, context);
+    validateGeneration(fields, "text-to-image");
+    fields.parentId = entry._id;
+    if (!PROMPT_FIELDS.some((field) => overrides[field] !== undefined)) {
+      fields.replayPrompt = entry.finalPrompt;
     }
 
-    // Generate images from input image
-    const imageGenerator = new ImageGenerator();
-    const images = await imageGenerator.generateImagesFromImage(
-      imageFile.buffer,
-      finalPrompt,
-      imageCountInt
+    await dispatchGeneration(req, res, {
+      type: "text-to-image",
+      fields,
+      context,
+      run: (onProgress) => runTextToImage(fields, context, onProgress),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("Regenerate error:", error);
+    res.status(500).json({
+      error: "Failed to regenerate images",
+      details: error.message,
+    });
+  }
+};
+
+// Feed one output image of a history entry back through image-to-image,
+// with the entry's fields (overridable in the body)
+const createVariations = async (req, res) => {
+  try {
+    const entry = await findHistoryEntry(req);
+    const imageIndex = Number(req.params.imageIndex);
+    if (
+      !Number.isInteger(imageIndex) ||
+      imageIndex < 0 ||
+      imageIndex >= (entry.imageUrls?.length || 0)
+    ) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const context = getGenerationContext(req);
+    const fields = await resolveGenerationFields(
+      buildReplayBody(entry, req.body || {}),
+      context
     );
+    validateGeneration(fields, "image-to-image");
+    fields.parentId = entry._id;
+    fields.parentImageIndex = imageIndex;
+
+    const buffer = await loadHistoryImage(entry, imageIndex);
+    const references = await prepareReferences({
+      image: [
+        {
+          buffer,
+          originalname: `history-${entry._id}-${imageIndex}`,
+          size: buffer.length,
+        },
+      ],
+    });
 
-    // Upload to Cloudinary
-    const cloudinaryUploader = new CloudinaryUploader();
-    const imageUrls = await cloudinaryUploader.uploadMultiple(images);
-
-    // Store in user history
-    if (req.user) {
-      const user = await User.findById(req.user.id);
-      if (user) {
-        await user.addToHistory({
-          type: "image-to-image",
-          originalPrompt,
-          finalPrompt,
-          enhancedPrompt: enhancePrompt,
-          category,
-          mood,
-          theme,
-          primaryColor,
-          includeText: includeTextBoolean,
-          textStyle,
-          thumbnailStyle,
-          customPrompt,
-          inputImage: {
-            originalName: imageFile.originalname,
-            size: imageFile.size,
-            mimeType: imageFile.mimetype,
-          },
-          imagesGenerated: imageUrls.length,
-          imageUrls,
+    await dispatchGeneration(req, res, {
+      type: "image-to-image",
+      fields,
+      context,
+      run: (onProgress) =>
+        runImageToImage(fields, references, context, onProgress),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("Variations error:", error);
+    res.status(500).json({
+      error: "Failed to create variations",
+      details: error.message,
+    });
+  }
+};
+
+// Preview one history image as YouTube would show it: every feed layout in
+// light and dark, with the title, channel and duration badge. Rendered
+// locally; stored only with store=true
+const createFeedMockups = async (req, res) => {
+  try {
+    const entry = await findHistoryEntry(req);
+    const imageIndex = Number(req.params.imageIndex);
+    if (
+      !Number.isInteger(imageIndex) ||
+      imageIndex < 0 ||
+      imageIndex >= (entry.imageUrls?.length || 0)
+    ) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const mockup = new FeedMockup();
+    const { options, error } = mockup.resolveOptions(req.body || {});
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid mockup options", details: error });
+    }
+
+    const store = isTruthyFlag(req.body?.store);
+    if (store) {
+      if (req.user.apiKeyId && !req.user.scopes.includes("history:write")) {
+        throw new HttpError(403, "Insufficient scope", {
+          details: 'Storing mockups needs the "history:write" scope',
         });
       }
+      if (req.workspace && !Workspace.hasRole(req.workspaceRole, "editor")) {
+        throw new HttpError(403, "Insufficient workspace role", {
+          details: "Storing mockups needs the editor role",
+        });
+      }
+    }
+
+    // The final image, with its title and logo, is what viewers see
+    const buffer = await loadHistoryImage(entry, imageIndex, {
+      preferBase: false,
+    });
+    const mockups = await mockup.renderAll(buffer, options);
+
+    let urls;
+    if (store) {
+      const { storage, options: uploadOptions } = getUploadTarget(
+        req.workspace
+      );
+      const assets = await storage.uploadMultiple(
+        mockups.map(({ data }) => data),
+        "feed_mockup",
+        uploadOptions
+      );
+      urls = assets.map((asset) => asset.url);
+    } else {
+      urls = mockups.map(
+        ({ data }) => `data:image/png;base64,${data.toString("base64")}`
+      );
     }
 
     res.json({
-      success: true,
-      images: imageUrls,
-      prompt: finalPrompt,
-      enhanced: enhancePrompt,
-      inputImage: {
-        name: imageFile.originalname,
-        size: imageFile.size,
-      },
+      historyId: entry._id,
+      imageIndex,
+      title: options.title,
+      channelName: options.channelName,
+      duration: options.duration,
+      stored: store,
+      mockups: mockups.map(({ layout, label, theme, width, height }, i) => ({
+        layout,
+        label,
+        theme,
+        width,
+        height,
+        url: urls[i],
+      })),
     });
   } catch (error) {
-    console.error("Image-to-image generation error:", error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("Feed mockup error:", error);
     res.status(500).json({
-      error: "Failed to generate images from input image",
+      error: "Failed to render feed mockups",
       details: error.message,
     });
   }
 };
 
-// Get user generation history
-const getHistory = async (req, res) => {
+// Enhance a prompt into alternatives to choose from, tuned for the
+// category or thumbnail style (falling back to the workspace presets).
+// Send the chosen one as `prompt` with enhancePrompt=false to use it as is
+const previewEnhancedPrompts = async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
-    const user = await User.findById(req.user.id);
+    const body = applyWorkspacePresets(req.body || {}, req.workspace);
+    const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+    if (!prompt || prompt.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({
+        error: `prompt is required (up to ${MAX_PROMPT_LENGTH} characters)`,
+      });
+    }
+
+    const count = body.count === undefined ? 3 : parseInt(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES) {
+      return res.status(400).json({
+        error: `count must be between 1 and ${MAX_CANDIDATES}`,
+      });
+    }
+
+    const usage = new UsageTracker(
+      getGenerationContext(req),
+      "prompt-enhancement"
+    );
+    const result = await new PromptEnhancer().enhance(prompt, {
+      count,
+      category: body.category,
+      thumbnailStyle: body.thumbnailStyle,
+      usage,
+    });
+    await usage.save();
+    res.json({ original: prompt, ...result });
+  } catch (error) {
+    console.error("Prompt enhancement error:", error);
+    res.status(500).json({
+      error: "Failed to enhance prompt",
+      details: error.message,
+    });
+  }
+};
+
+// Render the prompt a generation request would send, without generating.
+// Accepts the generate fields, or an unsaved `template` to try it out.
+// OpenAI enhancement is not applied.
+const previewPrompt = async (req, res) => {
+  try {
+    const context = getGenerationContext(req);
+    const fields = await resolveGenerationFields(req.body, context);
+
+    if (req.body.template !== undefined) {
+      const { error } = parseTemplate(req.body.template);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      fields.promptTemplate = {
+        id: null,
+        name: null,
+        template: req.body.template,
+      };
+    }
+
+    const overlay = resolveTitleOverlay(fields);
+    const { prompt, missing, unused } = renderPrompt(
+      { ...fields, textOverlaySettings: overlay?.settings },
+      req.body.type === "image-to-image"
+    );
+    const { variables } = parseTemplate(fields.promptTemplate.template);
+
+    res.json({
+      prompt: fields.brandKit?.bannedTerms?.length
+        ? removeBannedTerms(prompt, fields.brandKit.bannedTerms)
+        : prompt,
+      template: summarizeTemplate(fields.promptTemplate),
+      variables,
+      missing,
+      unused,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("Prompt preview error:", error);
+    res.status(500).json({
+      error: "Failed to preview prompt",
+      details: error.message,
+    });
+  }
+};
+
+// Parse a createdAt bound; date-only "to" values include the whole day
+const parseDateParam = (value, name, endOfDay = false) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new HttpError(400, `Invalid ${name} date`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Turn history query parameters into Generation.findPage() options
+const parseHistoryQuery = (query) => {
+  const {
+    limit = 20,
+    cursor,
+    sort = "-createdAt",
+    q,
+    from,
+    to,
+    enhancedPrompt,
+    favorites,
+  } = query;
+
+  if (!Generation.SORTS[sort]) {
+    throw new HttpError(400, "Invalid sort", {
+      sorts: Object.keys(Generation.SORTS),
+    });
+  }
+  if (sort === "relevance" && !q) {
+    throw new HttpError(400, "Sorting by relevance requires a search query");
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+  const position = cursor ? Generation.decodeCursor(cursor) : null;
+  if (cursor && (!position || position.sort !== sort)) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+
+  // Comma-separated values match any of them (e.g. category=gaming,vlog)
+  const filters = {};
+  for (const field of Generation.FILTER_FIELDS) {
+    if (typeof query[field] === "string" && query[field] !== "") {
+      const values = query[field].split(",").map((value) => value.trim());
+      filters[field] = values.length > 1 ? values : values[0];
     }
+  }
+  if (enhancedPrompt !== undefined) {
+    filters.enhancedPrompt = enhancedPrompt === "true";
+  }
+
+  return {
+    limit: Math.max(1, Math.min(100, parseInt(limit) || 20)),
+    cursor,
+    sort,
+    search: typeof q === "string" && q.trim() ? q.trim() : undefined,
+    from: parseDateParam(from, "from"),
+    to: parseDateParam(to, "to", true),
+    favorites: favorites === "true",
+    filters,
+  };
+};
 
-    const historyData = user.getHistory(parseInt(limit), parseInt(offset));
-    res.json(historyData);
+// Get the user's generation history, or a workspace's shared history
+const getHistory = async (req, res) => {
+  try {
+    const options = {
+      ...parseHistoryQuery(req.query),
+      workspaceId: req.workspace?._id,
+    };
+    const { limit, cursor, sort, ...filterOptions } = options;
+
+    const [historyData, facets] = await Promise.all([
+      Generation.findPage(req.user.id, options),
+      req.query.facets === "false"
+        ? undefined
+        : Generation.getFacets(req.user.id, filterOptions),
+    ]);
+    res.json({
+      ...historyData,
+      history: historyData.history.map((entry) => ({
+        ...entry,
+        // Entries from before multiple references hold a single object
+        inputImage: entry.inputImage && [].concat(entry.inputImage),
+        favoriteImages: entry.favoriteImages || [],
+      })),
+      facets,
+    });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error("Get history error:", error);
     res.status(500).json({
       error: "Failed to fetch history",
@@ -293,14 +1525,21 @@ const getHistory = async (req, res) => {
 const deleteHistoryEntry = async (req, res) => {
   try {
     const { historyId } = req.params;
-    const user = await User.findById(req.user.id);
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    if (!mongoose.isValidObjectId(historyId)) {
+      return res.status(404).json({ error: "History entry not found" });
     }
 
-    const deleted = await user.deleteHistoryEntry(historyId);
-    if (deleted) {
+    const { deletedCount } = await Generation.deleteOne({
+      _id: historyId,
+      ...Generation.historyScope(req.user.id, req.workspace?._id),
+    });
+    if (deletedCount > 0) {
+      webhookDispatcher.emit(req.user.id, "history.deleted", {
+        historyIds: [historyId],
+        workspaceId: req.workspace?._id,
+        cleared: false,
+      });
       res.json({ success: true, message: "History entry deleted" });
     } else {
       res.status(404).json({ error: "History entry not found" });
@@ -314,16 +1553,84 @@ const deleteHistoryEntry = async (req, res) => {
   }
 };
 
-// Clear all history
-const clearHistory = async (req, res) => {
+// Get the lineage tree a history entry belongs to, from its oldest
+// ancestor still in history down through every regeneration and variation
+const getHistoryTree = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const { historyId } = req.params;
+    const tree = mongoose.isValidObjectId(historyId)
+      ? await Generation.findTree(
+          Generation.historyScope(req.user.id, req.workspace?._id),
+          historyId
+        )
+      : null;
+    if (!tree) {
+      return res.status(404).json({ error: "History entry not found" });
+    }
+    res.json(tree);
+  } catch (error) {
+    console.error("History tree error:", error);
+    res.status(500).json({
+      error: "Failed to fetch history tree",
+      details: error.message,
+    });
+  }
+};
+
+// Mark one image of a history entry as a favorite, or unmark it
+const setFavorite = (favorite) => async (req, res) => {
+  try {
+    const { historyId } = req.params;
+    const imageIndex = Number(req.params.imageIndex);
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    const entry =
+      mongoose.isValidObjectId(historyId) &&
+      Number.isInteger(imageIndex) &&
+      imageIndex >= 0
+        ? await Generation.setFavorite(
+            Generation.historyScope(req.user.id, req.workspace?._id),
+            historyId,
+            imageIndex,
+            favorite
+          )
+        : null;
+    if (!entry) {
+      return res.status(404).json({ error: "Image not found" });
     }
 
-    await user.clearHistory();
+    res.json({
+      historyId: entry._id,
+      imageIndex,
+      favorite,
+      favoriteImages: entry.favoriteImages || [],
+    });
+  } catch (error) {
+    console.error("Favorite image error:", error);
+    res.status(500).json({
+      error: "Failed to update favorite",
+      details: error.message,
+    });
+  }
+};
+
+const favoriteImage = setFavorite(true);
+const unfavoriteImage = setFavorite(false);
+
+// Clear all history (the user's own, or a workspace's)
+const clearHistory = async (req, res) => {
+  try {
+    // Collect the IDs first so webhooks can say what was removed
+    const historyIds = await Generation.find(
+      Generation.historyScope(req.user.id, req.workspace?._id)
+    ).distinct("_id");
+    await Generation.deleteMany({ _id: { $in: historyIds } });
+    if (historyIds.length > 0) {
+      webhookDispatcher.emit(req.user.id, "history.deleted", {
+        historyIds,
+        workspaceId: req.workspace?._id,
+        cleared: true,
+      });
+    }
     res.json({ success: true, message: "History cleared" });
   } catch (error) {
     console.error("Clear history error:", error);
@@ -335,9 +1642,19 @@ const clearHistory = async (req, res) => {
 };
 
 export {
+  recoverAbandonedJob,
   generateImages,
   generateFromImage,
+  editImage,
+  previewPrompt,
+  previewEnhancedPrompts,
+  regenerateHistoryEntry,
+  createVariations,
+  createFeedMockups,
   getHistory,
+  getHistoryTree,
   deleteHistoryEntry,
+  favoriteImage,
+  unfavoriteImage,
   clearHistory,
 };
@@ -0,0 +1,79 @@
+import jobQueue from "../utils/jobQueue.js";
+
+// Get the current status of a generation job
+const getJob = async (req, res) => {
+  try {
+    const job = await jobQueue.findJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      error: "Failed to fetch job",
+      details: error.message,
+    });
+  }
+};
+
+// Stream job progress as Server-Sent Events until it finishes
+const streamJobEvents = async (req, res) => {
+  const { jobId } = req.params;
+  let job;
+  try {
+    job = await jobQueue.findJob(jobId, req.user.id);
+  } catch (error) {
+    console.error("Get job error:", error);
+    return res.status(500).json({
+      error: "Failed to fetch job",
+      details: error.message,
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (snapshot) => {
+    res.write(`event: ${snapshot.status}\n`);
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off(`job:${jobId}`, onUpdate);
+  };
+
+  const onUpdate = (snapshot) => {
+    send(snapshot);
+    if (jobQueue.isFinished(snapshot)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  // Jobs running on another server only get their current status; poll
+  // GET /api/jobs/:jobId for those
+  send(job);
+  if (jobQueue.isFinished(job) || !jobQueue.getJob(jobId)) {
+    clearInterval(heartbeat);
+    return res.end();
+  }
+
+  jobQueue.on(`job:${jobId}`, onUpdate);
+  req.on("close", cleanup);
+};
+
+export { getJob, streamJobEvents };
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import ModerationPolicy from "../models/ModerationPolicy.js";
+import ModerationEvent from "../models/ModerationEvent.js";
+import HttpError from "../utils/httpError.js";
+import ContentModerator, {
+  compileRule,
+  clearPolicyCache,
+} from "../utils/contentModerator.js";
+
+const MAX_RULES = 500;
+const EVENT_PAGE_SIZE = { default: 50, max: 200 };
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+const serializePolicy = (policy) => ({
+  rules: policy.rules.map(
+    ({ _id, name, type, pattern, category, enabled }) => ({
+      id: _id,
+      name,
+      type,
+      pattern,
+      category,
+      enabled,
+    })
+  ),
+  providerCheck: policy.providerCheck,
+  updatedAt: policy.updatedAt,
+  providerConfigured: new ContentModerator().isProviderConfigured(),
+});
+
+// Validate one policy rule from an update request
+const parseRule = (input, index) => {
+  const label = `rules[${index}]`;
+  if (!input || typeof input !== "object") {
+    throw new HttpError(400, `${label} must be an object`);
+  }
+  const { name, type, pattern, category, enabled } = input;
+
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+    throw new HttpError(
+      400,
+      `${label}.name is required (up to 100 characters)`
+    );
+  }
+  if (!["term", "regex"].includes(type)) {
+    throw new HttpError(400, `${label}.type must be "term" or "regex"`);
+  }
+  if (typeof pattern !== "string" || !pattern.trim() || pattern.length > 1000) {
+    throw new HttpError(
+      400,
+      `${label}.pattern is required (up to 1000 characters)`
+    );
+  }
+  try {
+    compileRule({ type, pattern });
+  } catch (error) {
+    throw new HttpError(400, `${label}.pattern is not a valid regex`, {
+      details: error.message,
+    });
+  }
+  if (
+    category !== undefined &&
+    (typeof category !== "string" || category.length > 50)
+  ) {
+    throw new HttpError(
+      400,
+      `${label}.category must be a string of up to 50 characters`
+    );
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    throw new HttpError(400, `${label}.enabled must be true or false`);
+  }
+
+  return {
+    // Keep IDs of existing rules so audit events still point at them
+    ...(mongoose.isValidObjectId(input.id) ? { _id: input.id } : {}),
+    name: name.trim(),
+    type,
+    pattern,
+    category: category?.trim() || "other",
+    enabled: enabled ?? true,
+  };
+};
+
+// Get the content policy (the defaults until an admin saves one)
+const getModerationPolicy = async (req, res) => {
+  try {
+    res.json(serializePolicy(await ModerationPolicy.load()));
+  } catch (error) {
+    handleError(res, error, "Failed to fetch moderation policy");
+  }
+};
+
+// Replace the content policy: the full rule list and whether prompts and
+// reference images are also checked with the moderation provider
+const updateModerationPolicy = async (req, res) => {
+  try {
+    const { rules, providerCheck } = req.body || {};
+    if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+      throw new HttpError(
+        400,
+        `rules must be an array of up to ${MAX_RULES} rules`
+      );
+    }
+    if (typeof providerCheck !== "boolean") {
+      throw new HttpError(400, "providerCheck must be true or false");
+    }
+
+    const policy = await ModerationPolicy.replace(
+      { rules: rules.map(parseRule), providerCheck },
+      req.user.id
+    );
+    clearPolicyCache();
+    res.json(serializePolicy(policy));
+  } catch (error) {
+    handleError(res, error, "Failed to update moderation policy");
+  }
+};
+
+// Audit log of blocked requests, newest first. Filter with ?userId= and
+// page with ?before=<event createdAt>
+const listModerationEvents = async (req, res) => {
+  try {
+    const { userId, before } = req.query;
+
+    const query = {};
+    if (userId !== undefined) {
+      if (!mongoose.isValidObjectId(userId)) {
+        throw new HttpError(400, "Invalid userId");
+      }
+      query.user = userId;
+    }
+    if (before !== undefined) {
+      const date = new Date(before);
+      if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, "before must be a date");
+      }
+      query.createdAt = { $lt: date };
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || EVENT_PAGE_SIZE.default, 1),
+      EVENT_PAGE_SIZE.max
+    );
+    const events = await ModerationEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ events: events.map((event) => event.toPublic()) });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch moderation events");
+  }
+};
+
+export { getModerationPolicy, updateModerationPolicy, listModerationEvents };
@@ -0,0 +1,180 @@
+import PromptTemplate from "../models/PromptTemplate.js";
+import HttpError from "../utils/httpError.js";
+import {
+  BUILT_IN_TEMPLATES,
+  parseTemplate,
+  findPromptTemplate,
+} from "../utils/promptTemplates.js";
+
+const MAX_TEMPLATES_PER_OWNER = 50;
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Templates owned by the workspace in the request, or the user's own
+const ownerFilter = (req) =>
+  req.workspace
+    ? { workspace: req.workspace._id }
+    : { user: req.user.id, workspace: null };
+
+// Shape a built-in template like a saved one
+const serializeBuiltIn = (id) => {
+  const { name, description, template } = BUILT_IN_TEMPLATES[id];
+  return {
+    id,
+    name,
+    description,
+    template,
+    variables: parseTemplate(template).variables,
+    builtIn: true,
+  };
+};
+
+// Validate template fields from a create or update request
+const parseTemplateInput = (body, isCreate = false) => {
+  const update = {};
+
+  if (isCreate || body.name !== undefined) {
+    if (
+      typeof body.name !== "string" ||
+      !body.name.trim() ||
+      body.name.trim().length > 100
+    ) {
+      throw new HttpError(400, "Name is required (up to 100 characters)");
+    }
+    update.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (
+      body.description !== null &&
+      (typeof body.description !== "string" || body.description.length > 300)
+    ) {
+      throw new HttpError(
+        400,
+        "description must be a string of up to 300 characters"
+      );
+    }
+    update.description = body.description || undefined;
+  }
+
+  if (isCreate || body.template !== undefined) {
+    const { variables, error } = parseTemplate(body.template);
+    if (error) throw new HttpError(400, error);
+    update.template = body.template.trim();
+    update.variables = variables;
+  }
+
+  return update;
+};
+
+// Create a prompt template (pass workspaceId to share it with a workspace)
+const createPromptTemplate = async (req, res) => {
+  try {
+    const fields = parseTemplateInput(req.body, true);
+
+    const count = await PromptTemplate.countDocuments(ownerFilter(req));
+    if (count >= MAX_TEMPLATES_PER_OWNER) {
+      return res.status(400).json({
+        error: "Prompt template limit reached",
+        details: `Up to ${MAX_TEMPLATES_PER_OWNER} templates are allowed`,
+      });
+    }
+
+    const template = await PromptTemplate.create({
+      ...fields,
+      user: req.user.id,
+      workspace: req.workspace?._id,
+    });
+    res.status(201).json(template.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to create prompt template");
+  }
+};
+
+// List built-in templates with the user's (or a workspace's) saved ones
+const listPromptTemplates = async (req, res) => {
+  try {
+    const templates = await PromptTemplate.find(ownerFilter(req)).sort({
+      createdAt: 1,
+    });
+    res.json({
+      builtIn: Object.keys(BUILT_IN_TEMPLATES).map(serializeBuiltIn),
+      templates: templates.map((template) => template.toPublic()),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch prompt templates");
+  }
+};
+
+// Get a saved or built-in template
+const getPromptTemplate = async (req, res) => {
+  try {
+    const template = await findPromptTemplate(
+      req.params.templateId,
+      req.user.id,
+      "viewer"
+    );
+    res.json(
+      template.builtIn
+        ? serializeBuiltIn(template.id)
+        : template.document.toPublic()
+    );
+  } catch (error) {
+    handleError(res, error, "Failed to fetch prompt template");
+  }
+};
+
+// Load a saved template for changes; built-in templates are read-only
+const findEditableTemplate = async (req) => {
+  const template = await findPromptTemplate(
+    req.params.templateId,
+    req.user.id,
+    "editor"
+  );
+  if (template.builtIn) {
+    throw new HttpError(400, "Built-in templates cannot be changed");
+  }
+  return template.document;
+};
+
+// Update a saved template
+const updatePromptTemplate = async (req, res) => {
+  try {
+    const template = await findEditableTemplate(req);
+    const changes = parseTemplateInput(req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No changes provided" });
+    }
+
+    template.set({ ...changes, updatedAt: new Date() });
+    await template.save();
+    res.json(template.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to update prompt template");
+  }
+};
+
+// Delete a saved template
+const deletePromptTemplate = async (req, res) => {
+  try {
+    const template = await findEditableTemplate(req);
+    await template.deleteOne();
+    res.json({ success: true, message: "Prompt template deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete prompt template");
+  }
+};
+
+export {
+  createPromptTemplate,
+  listPromptTemplates,
+  getPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+};
@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import UsageRecord from "../models/UsageRecord.js";
+import HttpError from "../utils/httpError.js";
+
+// Reports cover the last 30 days unless `from` is given, and at most a year
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_GROUP_BY = ["day", "provider", "type"];
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Parse ?from= and ?to= (dates or timestamps). A date without a time in
+// `to` includes that whole day (UTC)
+const parseRange = ({ from, to }) => {
+  const parse = (value, name) => {
+    const date = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+      throw new HttpError(400, `${name} must be a date`);
+    }
+    return date;
+  };
+
+  const end =
+    to === undefined
+      ? new Date()
+      : /^\d{4}-\d{2}-\d{2}$/.test(to)
+      ? new Date(parse(to, "to").getTime() + DAY_MS)
+      : parse(to, "to");
+  const start =
+    from === undefined
+      ? new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS)
+      : parse(from, "from");
+
+  if (start >= end) {
+    throw new HttpError(400, "from must be before to");
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new HttpError(
+      400,
+      `The range can cover up to ${MAX_RANGE_DAYS} days`
+    );
+  }
+  return { from: start, to: end };
+};
+
+// Parse ?groupBy= as a comma-separated list of the allowed groups
+const parseGroupBy = (value, allowed) => {
+  if (value === undefined) return DEFAULT_GROUP_BY;
+
+  const groups = [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((group) => group.trim())
+        .filter(Boolean)
+    ),
+  ];
+  const unknown = groups.find((group) => !allowed.includes(group));
+  if (groups.length === 0 || unknown) {
+    throw new HttpError(400, `groupBy must list any of: ${allowed.join(", ")}`);
+  }
+  return groups;
+};
+
+// Run a report over the records matching `scope`
+const buildReport = async (scope, query, allowedGroups) => {
+  const { from, to } = parseRange(query);
+  const groupBy = parseGroupBy(query.groupBy, allowedGroups);
+
+  const report = await UsageRecord.aggregateUsage(
+    { ...scope, createdAt: { $gte: from, $lt: to } },
+    groupBy
+  );
+  return { from, to, groupBy, ...report };
+};
+
+// Provider calls and estimated cost of the user's own generations and
+// prompt enhancements (or the workspace's, with workspaceId), grouped by
+// day, provider and type unless ?groupBy= says otherwise
+const getUsage = async (req, res) => {
+  try {
+    res.json(
+      await buildReport(
+        UsageRecord.scope(req.user.id, req.workspace?._id),
+        req.query,
+        ["day", "provider", "model", "type"]
+      )
+    );
+  } catch (error) {
+    handleError(res, error, "Failed to fetch usage");
+  }
+};
+
+// One usage record with every provider call, e.g. from a history entry's
+// usageRecord
+const getUsageRecord = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    if (!mongoose.isValidObjectId(recordId)) {
+      throw new HttpError(400, "Invalid record ID");
+    }
+
+    const record = await UsageRecord.findOne({
+      _id: recordId,
+      ...UsageRecord.scope(req.user.id, req.workspace?._id),
+    });
+    if (!record) {
+      throw new HttpError(404, "Usage record not found");
+    }
+    res.json({ record: record.toPublic() });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch usage record");
+  }
+};
+
+// Usage across every account; narrow it with ?userId= or ?workspaceId=,
+// and group by user as well
+const getAdminUsage = async (req, res) => {
+  try {
+    const { userId, workspaceId } = req.query;
+
+    const scope = {};
+    for (const [field, value] of [
+      ["user", userId],
+      ["workspace", workspaceId],
+    ]) {
+      if (value === undefined) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        throw new HttpError(400, `Invalid ${field}Id`);
+      }
+      scope[field] = new mongoose.Types.ObjectId(String(value));
+    }
+
+    res.json(
+      await buildReport(scope, req.query, Object.keys(UsageRecord.GROUPS))
+    );
+  } catch (error) {
+    handleError(res, error, "Failed to fetch usage");
+  }
+};
+
+export { getUsage, getUsageRecord, getAdminUsage };
@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import HttpError from "../utils/httpError.js";
+import webhookDispatcher from "../utils/webhookDispatcher.js";
+import { isPrivateHost } from "../utils/publicAddress.js";
+
+const MAX_WEBHOOKS = 10;
+const DELIVERY_PAGE_SIZE = { default: 20, max: 100 };
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Validate a webhook URL. Private hosts are refused here and again when
+// each delivery resolves the name; production also requires HTTPS
+const parseWebhookUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    throw new HttpError(400, "url must be a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol) || input.length > 2048) {
+    throw new HttpError(400, "url must be an http(s) URL");
+  }
+  if (isPrivateHost(url.hostname)) {
+    throw new HttpError(400, "url must point at a public host");
+  }
+  if (process.env.NODE_ENV === "production" && url.protocol !== "https:") {
+    throw new HttpError(400, "url must be a public HTTPS URL");
+  }
+  return url.toString();
+};
+
+// Validate webhook fields from a create or update request
+const parseWebhookInput = (body, isCreate = false) => {
+  const update = {};
+
+  if (isCreate || body.url !== undefined) {
+    if (typeof body.url !== "string") {
+      throw new HttpError(400, "url is required");
+    }
+    update.url = parseWebhookUrl(body.url.trim());
+  }
+
+  if (isCreate || body.events !== undefined) {
+    const { events } = body;
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new HttpError(400, "At least one event is required", {
+        events: Webhook.EVENTS,
+      });
+    }
+    const unknown = events.filter((event) => !Webhook.EVENTS[event]);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown event(s): ${unknown.join(", ")}`, {
+        events: Webhook.EVENTS,
+      });
+    }
+    update.events = [...new Set(events)];
+  }
+
+  if (body.description !== undefined) {
+    if (
+      body.description !== null &&
+      (typeof body.description !== "string" || body.description.length > 200)
+    ) {
+      throw new HttpError(
+        400,
+        "description must be a string of up to 200 characters"
+      );
+    }
+    update.description = body.description || undefined;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      throw new HttpError(400, "active must be true or false");
+    }
+    update.active = body.active;
+  }
+
+  return update;
+};
+
+// Load one of the user's webhooks
+const findWebhook = async (req) => {
+  const { webhookId } = req.params;
+  const webhook = mongoose.isValidObjectId(webhookId)
+    ? await Webhook.findOne({ _id: webhookId, user: req.user.id })
+    : null;
+  if (!webhook) {
+    throw new HttpError(404, "Webhook not found");
+  }
+  return webhook;
+};
+
+// Register a webhook; its signing secret is only returned in this response
+const createWebhook = async (req, res) => {
+  try {
+    const fields = parseWebhookInput(req.body || {}, true);
+
+    const count = await Webhook.countDocuments({ user: req.user.id });
+    if (count >= MAX_WEBHOOKS) {
+      throw new HttpError(400, `You can have at most ${MAX_WEBHOOKS} webhooks`);
+    }
+
+    const webhook = await Webhook.create({
+      ...fields,
+      user: req.user.id,
+      secret: Webhook.generateSecret(),
+    });
+    res.status(201).json({ ...webhook.toPublic(), secret: webhook.secret });
+  } catch (error) {
+    handleError(res, error, "Failed to create webhook");
+  }
+};
+
+// List the user's webhooks (without their secrets)
+const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+    res.json({
+      webhooks: webhooks.map((webhook) => webhook.toPublic()),
+      events: Webhook.EVENTS,
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch webhooks");
+  }
+};
+
+// Change a webhook's URL, events, description or active flag; with
+// rotateSecret=true, also replace its secret and return the new one
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    const rotateSecret = req.body?.rotateSecret === true;
+
+    webhook.set(parseWebhookInput(req.body || {}));
+    if (rotateSecret) {
+      webhook.secret = Webhook.generateSecret();
+    }
+    await webhook.save();
+
+    res.json({
+      ...webhook.toPublic(),
+      ...(rotateSecret ? { secret: webhook.secret } : {}),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to update webhook");
+  }
+};
+
+// Delete a webhook along with its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    await Promise.all([
+      Webhook.deleteOne({ _id: webhook._id }),
+      WebhookDelivery.deleteMany({ webhook: webhook._id }),
+    ]);
+    res.json({ success: true, message: "Webhook deleted" });
+  } catch (error) {
+    handleError(res, error, "Failed to delete webhook");
+  }
+};
+
+// Delivery log of a webhook, newest first. Filter with ?status= and page
+// with ?before=<delivery createdAt>
+const listDeliveries = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    const { status, before } = req.query;
+
+    const query = { webhook: webhook._id };
+    if (status !== undefined) {
+      const statuses = WebhookDelivery.schema.path("status").enumValues;
+      if (!statuses.includes(status)) {
+        throw new HttpError(
+          400,
+          `status must be one of: ${statuses.join(", ")}`
+        );
+      }
+      query.status = status;
+    }
+    if (before !== undefined) {
+      const date = new Date(before);
+      if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, "before must be a date");
+      }
+      query.createdAt = { $lt: date };
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DELIVERY_PAGE_SIZE.default, 1),
+      DELIVERY_PAGE_SIZE.max
+    );
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({
+      deliveries: deliveries.map((delivery) => delivery.toPublic()),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch webhook deliveries");
+  }
+};
+
+// Send a delivery again now, with its original payload and a new
+// signature; responds with the updated delivery
+const redeliverWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    const { deliveryId } = req.params;
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOne({
+          _id: deliveryId,
+          webhook: webhook._id,
+        })
+      : null;
+    if (!delivery) {
+      throw new HttpError(404, "Delivery not found");
+    }
+    if (!webhook.active) {
+      throw new HttpError(409, "Webhook is disabled", {
+        details: "Enable the webhook before redelivering",
+      });
+    }
+
+    const updated = await webhookDispatcher.redeliver(delivery, webhook);
+    res.json(updated.toPublic());
+  } catch (error) {
+    handleError(res, error, "Failed to redeliver webhook");
+  }
+};
+
+export {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliverWebhook,
+};
@@ -0,0 +1,401 @@
+import mongoose from "mongoose";
+import Workspace from "../models/Workspace.js";
+import WorkspaceInvitation from "../models/WorkspaceInvitation.js";
+import User from "../models/User.js";
+import getMailer from "../utils/mailer/index.js";
+import { workspaceInvitationEmail } from "../utils/mailer/templates.js";
+import getStorage, { getWorkspaceDrivers } from "../utils/storage/index.js";
+import { resolvePreset } from "../utils/imagePresets.js";
+import TextOverlay from "../utils/textOverlay.js";
+import HttpError from "../utils/httpError.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Workspaces one user may own
+const MAX_OWNED_WORKSPACES = parseInt(process.env.WORKSPACES_MAX_OWNED) || 5;
+
+// Shape a workspace for API responses, with the caller's role
+const serializeWorkspace = (workspace, role) => ({
+  id: workspace._id,
+  name: workspace.name,
+  role,
+  plan: workspace.plan,
+  presets: workspace.toObject().presets || {},
+  storage: { driver: workspace.storage?.driver || null },
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt,
+});
+
+const validateName = (name) =>
+  typeof name === "string" &&
+  name.trim().length >= 2 &&
+  name.trim().length <= 100
+    ? null
+    : "Name must be between 2 and 100 characters";
+
+const validateRole = (role) =>
+  Workspace.ROLES.includes(role)
+    ? null
+    : `Role must be one of: ${Workspace.ROLES.join(", ")}`;
+
+// Check preset defaults the same way generation requests are checked
+const validatePresets = (presets) => {
+  if (typeof presets !== "object" || presets === null) {
+    throw new HttpError(400, "presets must be an object");
+  }
+
+  const unknown = Object.keys(presets).filter(
+    (field) => !Workspace.PRESET_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown preset field(s): ${unknown.join(", ")}`, {
+      fields: Workspace.PRESET_FIELDS,
+    });
+  }
+
+  const { preset, textOverlay, ...textFields } = presets;
+  if (preset != null) {
+    const { error } = resolvePreset({ preset });
+    if (error) throw new HttpError(400, error);
+  }
+  if (textOverlay != null) {
+    const { error } = new TextOverlay().resolveSettings(textOverlay);
+    if (error) throw new HttpError(400, error);
+  }
+  for (const [field, value] of Object.entries(textFields)) {
+    if (value != null && (typeof value !== "string" || value.length > 100)) {
+      throw new HttpError(
+        400,
+        `${field} must be a string of up to 100 characters`
+      );
+    }
+  }
+};
+
+const validateStorage = (storage) => {
+  const driver = storage?.driver;
+  if (driver == null) return;
+  const drivers = getWorkspaceDrivers();
+  if (!drivers.includes(driver)) {
+    throw new HttpError(400, `Storage driver "${driver}" is not available`, {
+      drivers,
+    });
+  }
+  if (!getStorage(driver).isConfigured()) {
+    throw new HttpError(400, `Storage driver "${driver}" is not configured`);
+  }
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+};
+
+// Create a workspace owned by the current user
+const createWorkspace = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const nameError = validateName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const owned = await Workspace.countDocuments({
+      members: { $elemMatch: { user: req.user.id, role: "owner" } },
+    });
+    if (owned >= MAX_OWNED_WORKSPACES) {
+      throw new HttpError(
+        403,
+        `You can own up to ${MAX_OWNED_WORKSPACES} workspaces`
+      );
+    }
+
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      members: [{ user: req.user.id, role: "owner" }],
+      createdBy: req.user.id,
+    });
+    res.status(201).json(serializeWorkspace(workspace, "owner"));
+  } catch (error) {
+    handleError(res, error, "Failed to create workspace");
+  }
+};
+
+// List the workspaces the current user belongs to
+const listWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({
+      "members.user": req.user.id,
+    }).sort({ createdAt: 1 });
+    res.json({
+      workspaces: workspaces.map((workspace) =>
+        serializeWorkspace(workspace, workspace.getRole(req.user.id))
+      ),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch workspaces");
+  }
+};
+
+// Get a workspace with its members
+const getWorkspace = async (req, res) => {
+  try {
+    await req.workspace.populate("members.user", "name email");
+    res.json({
+      ...serializeWorkspace(req.workspace, req.workspaceRole),
+      members: req.workspace.members.map((member) => ({
+        id: member.user?._id,
+        name: member.user?.name,
+        email: member.user?.email,
+        role: member.role,
+        joinedAt: member.joinedAt,
+      })),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch workspace");
+  }
+};
+
+// Rename a workspace or change its presets and storage driver
+const updateWorkspace = async (req, res) => {
+  try {
+    const { name, presets, storage } = req.body;
+    const workspace = req.workspace;
+
+    if (name !== undefined) {
+      const nameError = validateName(name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+      workspace.name = name.trim();
+    }
+    if (presets !== undefined) {
+      validatePresets(presets);
+      workspace.presets = presets;
+    }
+    if (storage !== undefined) {
+      validateStorage(storage);
+      workspace.storage = { driver: storage?.driver || undefined };
+    }
+
+    workspace.updatedAt = new Date();
+    await workspace.save();
+    res.json(serializeWorkspace(workspace, req.workspaceRole));
+  } catch (error) {
+    handleError(res, error, "Failed to update workspace");
+  }
+};
+
+// Invite someone by email; they join when they accept
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role = "editor" } = req.body;
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail }).select(
+      "_id"
+    );
+    if (existingUser && req.workspace.getRole(existingUser._id)) {
+      return res
+        .status(409)
+        .json({ error: "That user is already a member of this workspace" });
+    }
+
+    const { token, invitation } = await WorkspaceInvitation.issue(
+      req.workspace._id,
+      { email: normalizedEmail, role, invitedBy: req.user.id }
+    );
+    await getMailer().send({
+      to: normalizedEmail,
+      ...workspaceInvitationEmail({
+        workspaceName: req.workspace.name,
+        inviterName: req.user.name,
+        role,
+        token,
+        expiresInMinutes: WorkspaceInvitation.ttlMinutes(),
+      }),
+    });
+
+    res.status(201).json({
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to invite member");
+  }
+};
+
+// List pending invitations
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      workspace: req.workspace._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .select("email role expiresAt createdAt")
+      .lean();
+    res.json({
+      invitations: invitations.map(({ _id, ...invitation }) => ({
+        id: _id,
+        ...invitation,
+      })),
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch invitations");
+  }
+};
+
+// Cancel a pending invitation
+const cancelInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const { deletedCount } = mongoose.isValidObjectId(invitationId)
+      ? await WorkspaceInvitation.deleteOne({
+          _id: invitationId,
+          workspace: req.workspace._id,
+          acceptedAt: null,
+        })
+      : { deletedCount: 0 };
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    res.json({ success: true, message: "Invitation cancelled" });
+  } catch (error) {
+    handleError(res, error, "Failed to cancel invitation");
+  }
+};
+
+// Accept an invitation sent to the current user's email
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: "Token is required" });
+    }
+
+    const invitation = await WorkspaceInvitation.accept(token, req.user.email);
+    if (!invitation) {
+      return res.status(400).json({
+        error: "Invalid or expired invitation",
+        details:
+          "Invitations can only be accepted by the email they were sent to",
+      });
+    }
+
+    // Join unless already a member (e.g. invited twice)
+    await Workspace.updateOne(
+      { _id: invitation.workspace, "members.user": { $ne: req.user.id } },
+      { $push: { members: { user: req.user.id, role: invitation.role } } }
+    );
+
+    const workspace = await Workspace.findById(invitation.workspace);
+    if (!workspace) {
+      return res.status(404).json({ error: "Workspace not found" });
+    }
+    res.json(serializeWorkspace(workspace, workspace.getRole(req.user.id)));
+  } catch (error) {
+    handleError(res, error, "Failed to accept invitation");
+  }
+};
+
+// Change a member's role
+const updateMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const workspace = req.workspace;
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const member = workspace.members.find(
+      (entry) => String(entry.user) === userId
+    );
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (
+      member.role === "owner" &&
+      role !== "owner" &&
+      workspace.countOwners() === 1
+    ) {
+      return res
+        .status(400)
+        .json({ error: "A workspace must keep at least one owner" });
+    }
+
+    member.role = role;
+    workspace.updatedAt = new Date();
+    await workspace.save();
+    res.json({ id: member.user, role: member.role });
+  } catch (error) {
+    handleError(res, error, "Failed to update member");
+  }
+};
+
+// Remove a member; owners can remove anyone, members can remove themselves
+const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const workspace = req.workspace;
+
+    const leaving = userId === String(req.user.id);
+    if (!leaving && req.workspaceRole !== "owner") {
+      return res.status(403).json({
+        error: "Insufficient workspace role",
+        details: "Only owners can remove other members",
+      });
+    }
+
+    const member = workspace.members.find(
+      (entry) => String(entry.user) === userId
+    );
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (member.role === "owner" && workspace.countOwners() === 1) {
+      return res
+        .status(400)
+        .json({ error: "A workspace must keep at least one owner" });
+    }
+
+    workspace.members = workspace.members.filter(
+      (entry) => String(entry.user) !== userId
+    );
+    workspace.updatedAt = new Date();
+    await workspace.save();
+    res.json({ success: true, message: "Member removed" });
+  } catch (error) {
+    handleError(res, error, "Failed to remove member");
+  }
+};
+
+export {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  inviteMember,
+  listInvitations,
+  cancelInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+};
@@ -1,8 +1,44 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import ApiKey from "../models/ApiKey.js";
 
-// Middleware to require authentication
+// Authenticate with an X-API-Key header; keys carry their own scopes
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.authenticate(req.headers["x-api-key"], req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ error: "Invalid API key" });
+  }
+
+  const user = await User.findById(apiKey.user).select(
+    "email name emailVerified role"
+  );
+  if (!user) {
+    return res.status(401).json({ error: "Invalid API key" });
+  }
+
+  req.user = {
+    id: String(user._id),
+    email: user.email,
+    name: user.name,
+    emailVerified: user.emailVerified,
+    role: user.role,
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes,
+  };
+  next();
+};
+
+// Middleware to require authentication (Bearer JWT or X-API-Key)
 const requireAuth = async (req, res, next) => {
+  if (req.headers["x-api-key"]) {
+    try {
+      return await authenticateApiKey(req, res, next);
+    } catch (err) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+  }
+
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ error: "No token provided" });
@@ -10,14 +46,75 @@ const requireAuth = async (req, res, next) => {
   const token = authHeader.split(" ")[1];
   try {
     const decoded = User.verifyToken(token);
-    if (!decoded) throw new Error("Invalid token");
-    req.user = decoded;
+    if (!decoded || !decoded.sid) throw new Error("Invalid token");
+
+    // Reject tokens from revoked sessions or from before a logout-all
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.id).select("tokenVersion emailVerified role"),
+      RefreshToken.isSessionActive(decoded.sid),
+    ]);
+    if (!user || user.tokenVersion !== decoded.tv || !sessionActive) {
+      return res.status(401).json({ error: "Token revoked" });
+    }
+
+    req.user = {
+      ...decoded,
+      emailVerified: user.emailVerified,
+      role: user.role,
+    };
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid token" });
   }
 };
 
+// Requires an API key to hold a scope; signed-in sessions have every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user?.apiKeyId && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: "Insufficient scope",
+      details: `This API key needs the "${scope}" scope`,
+    });
+  }
+  next();
+};
+
+// Restricts a route to signed-in sessions (no API keys), e.g. key management
+const requireSession = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({
+      error: "API keys cannot use this endpoint",
+      details: "Sign in with a password to manage your account",
+    });
+  }
+  next();
+};
+
+// Restricts a route to admins (see scripts/setUserRole.js)
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({
+      error: "Admin access required",
+      details: "Only admins can use this endpoint",
+    });
+  }
+  next();
+};
+
+// Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !req.user?.emailVerified
+  ) {
+    return res.status(403).json({
+      error: "Email not verified",
+      details: "Verify your email address before generating images",
+    });
+  }
+  next();
+};
+
 // Registration validation middleware
 const validateRegistration = (req, res, next) => {
   const { name, email, password } = req.body;
@@ -43,4 +140,27 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
-export { requireAuth, validateRegistration, validateLogin };
+// Password reset validation middleware
+const validatePasswordReset = (req, res, next) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ error: "Token and password are required" });
+  }
+  if (password.length < 6) {
+    return res
+      .status(400)
+      .json({ error: "Password must be at least 6 characters" });
+  }
+  next();
+};
+
+export {
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  requireVerifiedEmail,
+  validateRegistration,
+  validateLogin,
+  validatePasswordReset,
+};
@@ -0,0 +1,100 @@
+import RateLimiter from "../utils/rateLimit/rateLimiter.js";
+
+// Reads a request limit from the environment; 0 disables that limit
+const envInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Limits per route group: requests per window, per client IP and per
+// signed-in user. Auth and refresh run before authentication, so they are
+// limited per IP only; refresh gets its own, higher limit because every
+// signed-in client calls it each time its access token expires
+const GROUPS = {
+  auth: {
+    windowMs: envInt("RATE_LIMIT_AUTH_WINDOW_SECONDS", 15 * 60) * 1000,
+    ip: envInt("RATE_LIMIT_AUTH_IP", 30),
+    user: 0,
+  },
+  refresh: {
+    windowMs: envInt("RATE_LIMIT_REFRESH_WINDOW_SECONDS", 15 * 60) * 1000,
+    ip: envInt("RATE_LIMIT_REFRESH_IP", 300),
+    user: 0,
+  },
+  generation: {
+    windowMs: envInt("RATE_LIMIT_GENERATION_WINDOW_SECONDS", 60) * 1000,
+    ip: envInt("RATE_LIMIT_GENERATION_IP", 20),
+    user: envInt("RATE_LIMIT_GENERATION_USER", 10),
+  },
+  history: {
+    windowMs: envInt("RATE_LIMIT_HISTORY_WINDOW_SECONDS", 60) * 1000,
+    ip: envInt("RATE_LIMIT_HISTORY_IP", 120),
+    user: envInt("RATE_LIMIT_HISTORY_USER", 60),
+  },
+};
+
+// Sets the IETF RateLimit headers for the most constrained limit
+const setHeaders = (res, result) => {
+  res.set("RateLimit-Limit", String(result.limit));
+  res.set("RateLimit-Remaining", String(result.remaining));
+  res.set("RateLimit-Reset", String(Math.ceil(result.resetMs / 1000)));
+};
+
+/**
+ * Builds middleware enforcing a route group's per-IP and per-user limits.
+ * Mount it after requireAuth so the per-user limit applies.
+ * @param {string} group - Route group (auth, refresh, generation or
+ * history)
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (group) => {
+  const config = GROUPS[group];
+  if (!config) {
+    throw new Error(`Unknown rate limit group "${group}"`);
+  }
+
+  const { windowMs } = config;
+  const limiters = {
+    ip: config.ip && new RateLimiter({ limit: config.ip, windowMs }),
+    user: config.user && new RateLimiter({ limit: config.user, windowMs }),
+  };
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === "false") return next();
+
+    try {
+      const checks = [];
+      if (limiters.ip) {
+        checks.push(limiters.ip.consume(`${group}:ip:${req.ip}`));
+      }
+      if (limiters.user && req.user?.id) {
+        checks.push(limiters.user.consume(`${group}:user:${req.user.id}`));
+      }
+      const results = await Promise.all(checks);
+      if (results.length === 0) return next();
+
+      const blocked = results.find((result) => !result.allowed);
+      const tightest = results.reduce((a, b) =>
+        b.remaining < a.remaining ? b : a
+      );
+      setHeaders(res, blocked || tightest);
+
+      if (blocked) {
+        const retryAfter = Math.ceil(blocked.resetMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Too many requests",
+          details: `Rate limit exceeded. Try again in ${retryAfter} seconds.`,
+        });
+      }
+      next();
+    } catch (error) {
+      // A broken limiter store should not take the API down with it
+      console.error("Rate limit error:", error);
+      next();
+    }
+  };
+};
+
+export { GROUPS };
+export default rateLimit;
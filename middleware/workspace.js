@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import Workspace from "../models/Workspace.js";
+
+/**
+ * Loads the workspace named by the request and checks the user's role.
+ * The ID is read from the route params, then the body, then the query.
+ * Sets req.workspace and req.workspaceRole.
+ * @param {string} minRole - Lowest role allowed (viewer, editor or owner)
+ * @param {Object} options
+ * @param {boolean} options.optional - Continue without a workspace when no
+ * ID is given (personal requests)
+ * @returns {Function} - Express middleware
+ */
+const requireWorkspaceRole =
+  (minRole, { optional = false } = {}) =>
+  async (req, res, next) => {
+    const workspaceId =
+      req.params.workspaceId ?? req.body?.workspaceId ?? req.query?.workspaceId;
+
+    if (!workspaceId) {
+      if (optional) return next();
+      return res.status(400).json({ error: "workspaceId is required" });
+    }
+
+    try {
+      // Non-members get a 404 so workspace IDs cannot be probed
+      const workspace = mongoose.isValidObjectId(workspaceId)
+        ? await Workspace.findOne({
+            _id: workspaceId,
+            "members.user": req.user.id,
+          })
+        : null;
+      if (!workspace) {
+        return res.status(404).json({ error: "Workspace not found" });
+      }
+
+      const role = workspace.getRole(req.user.id);
+      if (!Workspace.hasRole(role, minRole)) {
+        return res.status(403).json({
+          error: "Insufficient workspace role",
+          details: `This action needs the ${minRole} role; you are a ${role}`,
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceRole = role;
+      next();
+    } catch (error) {
+      console.error("Workspace membership error:", error);
+      res.status(500).json({
+        error: "Failed to check workspace membership",
+        details: error.message,
+      });
+    }
+  };
+
+export { requireWorkspaceRole };
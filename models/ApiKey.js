@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Scopes a key can be granted; each route checks one of these
+const SCOPES = {
+  generate: "Generate images and follow generation jobs",
+  "history:read": "List generation history",
+  "history:write": "Delete generation history",
+  "credits:read": "Read credit balance and transactions",
+  webhooks: "Manage webhooks and their delivery logs",
+};
+
+const KEY_PREFIX = "aig_";
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // Start of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the key; the key itself is only returned once, on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.keys(SCOPES) }],
+    required: true,
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+/**
+ * Creates an API key for a user
+ * @param {string} userId - Owner of the key
+ * @param {Object} options
+ * @param {string} options.name - Label shown in listings
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {Date} options.expiresAt - Optional expiry
+ * @returns {Promise<{ key: string, apiKey: Object }>} - Plain key (shown
+ * once) and the stored document
+ */
+apiKeySchema.statics.issue = async function (
+  userId,
+  { name, scopes, expiresAt }
+) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt,
+  });
+  return { key, apiKey };
+};
+
+/**
+ * Looks up an active key and records its use
+ * @param {string} key - Key from the X-API-Key header
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - Key document, or null if unknown,
+ * revoked or expired
+ */
+apiKeySchema.statics.authenticate = async function (key, ip) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await this.findOne({
+    keyHash: hashKey(key),
+    revokedAt: null,
+  });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  // Record usage at most once a minute to keep writes off the hot path
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > 60 * 1000) {
+    await this.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: now, lastUsedIp: ip }
+    );
+  }
+  return apiKey;
+};
+
+/**
+ * Shapes a key for API responses, without its hash
+ * @returns {Object} - Public key fields
+ */
+apiKeySchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
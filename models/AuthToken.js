@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Lifetime of each kind of single-use token, in minutes
+const PURPOSES = {
+  "password-reset": () =>
+    parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  "email-verification": () =>
+    parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60,
+};
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(PURPOSES),
+    required: true,
+  },
+  // SHA-256 of the token; the token itself only goes out by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * @param {string} purpose - Token purpose
+ * @returns {number} - Token lifetime in minutes
+ */
+authTokenSchema.statics.ttlMinutes = function (purpose) {
+  return PURPOSES[purpose]();
+};
+
+/**
+ * Creates a single-use token, invalidating any earlier unused token of the
+ * same purpose so only the latest email works
+ * @param {string} userId - Owner of the token
+ * @param {string} purpose - "password-reset" or "email-verification"
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+authTokenSchema.statics.issue = async function (userId, purpose) {
+  if (!PURPOSES[purpose]) {
+    throw new Error(`Unknown token purpose "${purpose}"`);
+  }
+
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + PURPOSES[purpose]() * 60 * 1000);
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt,
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Marks a token as used, atomically, so it cannot be redeemed twice
+ * @param {string} token - Token from the email link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<string|null>} - Owner's user ID, or null if the token is
+ * unknown, expired or already used
+ */
+authTokenSchema.statics.consume = async function (token, purpose) {
+  if (typeof token !== "string" || !token) return null;
+
+  const claimed = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+  return claimed ? claimed.user : null;
+};
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+export default AuthToken;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+const brandKitSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Set for kits shared by a workspace; otherwise the kit is personal
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // Brand palette; the first color becomes the prompt's primaryColor
+  colors: [String],
+  mood: String,
+  thumbnailStyle: String,
+  textStyle: String,
+  // Terms removed from every prompt generated with the kit
+  bannedTerms: [String],
+  // Default font for title overlays (key of FONTS in utils/textOverlay.js)
+  font: String,
+  // Logo stored as a normalized PNG; small enough to keep in the document
+  logo: {
+    data: Buffer,
+    width: Number,
+    height: Number,
+    updatedAt: Date,
+  },
+  logoPlacement: mongoose.Schema.Types.Mixed,
+  // Incremented on every change so history can tell which version was used
+  version: {
+    type: Number,
+    default: 1,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Shapes a kit for API responses, without the logo bytes
+ * @returns {Object} - Public kit fields
+ */
+brandKitSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    workspace: this.workspace || null,
+    name: this.name,
+    colors: this.colors,
+    mood: this.mood,
+    thumbnailStyle: this.thumbnailStyle,
+    textStyle: this.textStyle,
+    bannedTerms: this.bannedTerms,
+    font: this.font,
+    logo: this.logo?.data
+      ? {
+          url: `/api/brand-kits/${this._id}/logo`,
+          width: this.logo.width,
+          height: this.logo.height,
+          updatedAt: this.logo.updatedAt,
+        }
+      : null,
+    logoPlacement: this.logoPlacement || null,
+    version: this.version,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const BrandKit = mongoose.model("BrandKit", brandKitSchema);
+export default BrandKit;
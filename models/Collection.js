@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+const MAX_ITEMS = 500;
+
+// One image from a history entry. The URL is copied so the collection
+// still shows the image after the history entry is pruned or deleted
+const collectionItemSchema = new mongoose.Schema({
+  generation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Generation",
+    required: true,
+  },
+  imageIndex: {
+    type: Number,
+    required: true,
+  },
+  imageUrl: String,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Named board of images, e.g. the thumbnails for one video series. Items
+// are kept in display order
+const collectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Set for collections shared by a workspace; they hold images from the
+  // workspace's history instead of the user's own
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+  },
+  items: [collectionItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+collectionSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+/**
+ * @param {string} generationId - History entry ID
+ * @param {number} imageIndex - Index into the entry's imageUrls
+ * @returns {boolean} - True if the image is already in the collection
+ */
+collectionSchema.methods.hasImage = function (generationId, imageIndex) {
+  return this.items.some(
+    (item) =>
+      String(item.generation) === String(generationId) &&
+      item.imageIndex === imageIndex
+  );
+};
+
+/**
+ * Shapes a collection for API responses
+ * @param {boolean} withItems - Include the items (otherwise a count and
+ * cover image)
+ * @returns {Object} - Public collection fields
+ */
+collectionSchema.methods.toPublic = function (withItems = false) {
+  const summary = {
+    id: this._id,
+    workspace: this.workspace || null,
+    name: this.name,
+    description: this.description,
+    itemCount: this.items.length,
+    coverUrl: this.items[0]?.imageUrl || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+  if (!withItems) return summary;
+
+  return {
+    ...summary,
+    items: this.items.map((item) => ({
+      id: item._id,
+      historyId: item.generation,
+      imageIndex: item.imageIndex,
+      imageUrl: item.imageUrl,
+      addedBy: item.addedBy,
+      addedAt: item.addedAt,
+    })),
+  };
+};
+
+const Collection = mongoose.model("Collection", collectionSchema);
+export default Collection;
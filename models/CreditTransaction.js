@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// Ledger of every change to a user's credit balance
+const creditTransactionSchema = new mongoose.Schema({
+  // User whose request changed the balance
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Set when the credits belong to a workspace rather than the user
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+  },
+  // allowance: monthly reset, reserve: held before generating,
+  // refund: returned for images that were not delivered
+  type: {
+    type: String,
+    enum: ["allowance", "reserve", "refund", "adjustment"],
+    required: true,
+  },
+  // Signed change to the balance
+  amount: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: Number,
+  // Refunds point at the reservation they return credits from
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CreditTransaction",
+  },
+  // Set on a reservation when it is settled, so it is settled only once
+  settledAt: Date,
+  generationType: String,
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+creditTransactionSchema.index({ workspace: 1, _id: -1 });
+
+/**
+ * Lists an account's transactions, newest first
+ * @param {Object} owner - { userId } for personal credits, or
+ * { workspaceId } for a workspace's credits
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {string} options.before - Only return transactions older than this ID
+ * @returns {Promise<{ transactions: Object[], hasMore: boolean, nextCursor: string|null }>}
+ */
+creditTransactionSchema.statics.findPage = async function (
+  { userId, workspaceId },
+  { limit = 20, before } = {}
+) {
+  const query = workspaceId
+    ? { workspace: workspaceId }
+    : { user: userId, workspace: null };
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  const rows = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .select("-__v")
+    .lean();
+  const hasMore = rows.length > limit;
+  const transactions = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    transactions,
+    hasMore,
+    nextCursor: hasMore
+      ? String(transactions[transactions.length - 1]._id)
+      : null,
+  };
+};
+
+const CreditTransaction = mongoose.model(
+  "CreditTransaction",
+  creditTransactionSchema
+);
+export default CreditTransaction;
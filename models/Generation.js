@@ -0,0 +1,568 @@
+import mongoose from "mongoose";
+import getStorage from "../utils/storage/index.js";
+
+// Where a stored image lives, so it can be managed after upload
+const storedImageSchema = new mongoose.Schema(
+  {
+    url: String,
+    key: String,
+    driver: String,
+  },
+  { _id: false }
+);
+
+// Offline quality report for one image (see QualityScorer)
+const qualityReportSchema = new mongoose.Schema(
+  {
+    score: Number,
+    metrics: {
+      brightness: Number,
+      contrast: Number,
+      colorfulness: Number,
+      sharpness: Number,
+      edgeDensity: Number,
+      readability: Number,
+      emptySpace: Number,
+    },
+    warnings: [
+      new mongoose.Schema({ metric: String, message: String }, { _id: false }),
+    ],
+  },
+  { _id: false }
+);
+
+const generationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Set for generations made inside a workspace; they appear in the
+  // workspace's shared history instead of the user's own
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+  },
+  type: {
+    type: String,
+    enum: ["text-to-image", "image-to-image", "image-edit"],
+    required: true,
+  },
+  originalPrompt: String,
+  finalPrompt: String,
+  enhancedPrompt: Boolean,
+  // New structured fields
+  category: String,
+  mood: String,
+  theme: String,
+  primaryColor: String,
+  includeText: Boolean,
+  textStyle: String,
+  thumbnailStyle: String,
+  customPrompt: String,
+  // Reference images sent with the request, one per role (image, subject,
+  // background, style)
+  inputImage: {
+    type: [
+      new mongoose.Schema(
+        {
+          role: String,
+          originalName: String,
+          size: Number,
+          mimeType: String,
+          width: Number,
+          height: Number,
+        },
+        { _id: false }
+      ),
+    ],
+    default: undefined,
+  },
+  // Area changed by an image edit: an uploaded mask or a rect, the share
+  // of pixels it covers and the edge softening used
+  mask: {
+    type: new mongoose.Schema(
+      {
+        source: String,
+        rect: {
+          x: Number,
+          y: Number,
+          width: Number,
+          height: Number,
+        },
+        coverage: Number,
+        feather: Number,
+      },
+      { _id: false }
+    ),
+    default: undefined,
+  },
+  preset: {
+    name: String,
+    width: Number,
+    height: Number,
+    maxBytes: Number,
+  },
+  // Title composited onto the images and the settings used to draw it
+  titleText: String,
+  textOverlay: mongoose.Schema.Types.Mixed,
+  // Brand kit applied to the prompt, and the kit version at the time
+  brandKit: {
+    type: new mongoose.Schema(
+      {
+        id: mongoose.Schema.Types.ObjectId,
+        name: String,
+        version: Number,
+        logoStamped: Boolean,
+      },
+      { _id: false }
+    ),
+    default: undefined,
+  },
+  // Prompt template used (built-in key or saved template ID) and the
+  // variables it was filled with
+  promptTemplate: {
+    type: new mongoose.Schema(
+      {
+        id: String,
+        name: String,
+      },
+      { _id: false }
+    ),
+    default: undefined,
+  },
+  templateVariables: mongoose.Schema.Types.Mixed,
+  imagesGenerated: Number,
+  imageUrls: [String],
+  // Same images without the title and logo, for re-rendering them later
+  baseImageUrls: {
+    type: [String],
+    default: undefined,
+  },
+  // Quality report for each entry of imageUrls, in the same order
+  quality: {
+    type: [qualityReportSchema],
+    default: undefined,
+  },
+  // Storage key and driver for each entry of imageUrls / baseImageUrls
+  images: [storedImageSchema],
+  baseImages: {
+    type: [storedImageSchema],
+    default: undefined,
+  },
+  // Entry this one was regenerated from, and for variations the index of
+  // the image that was fed back in
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Generation",
+    index: true,
+  },
+  parentImageIndex: Number,
+  // Provider calls made for this entry and their estimated cost
+  usageRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "UsageRecord",
+  },
+  // Indexes into imageUrls of the images marked as favorites
+  favoriteImages: {
+    type: [Number],
+    default: undefined,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+// Newest-first listing per user, with _id as the tiebreaker for cursors
+generationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+generationSchema.index({ user: 1, category: 1 });
+generationSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+
+// Full-text search over the prompts
+generationSchema.index({
+  originalPrompt: "text",
+  finalPrompt: "text",
+  customPrompt: "text",
+});
+
+/**
+ * Limits a query to one history: a workspace's shared history, or the
+ * user's personal history (generations made outside any workspace)
+ * @param {string} userId - Owner of the generations
+ * @param {string} workspaceId - Workspace (optional)
+ * @returns {Object} - MongoDB filter
+ */
+const historyScope = (userId, workspaceId) =>
+  workspaceId
+    ? { workspace: new mongoose.Types.ObjectId(String(workspaceId)) }
+    : { user: new mongoose.Types.ObjectId(String(userId)), workspace: null };
+
+/**
+ * Stores a generation for a user and prunes entries beyond the limit
+ * @param {string} userId - Owner of the generation
+ * @param {Object} generationData - History entry fields (including the
+ * workspace, if any)
+ * @param {number|null} historyLimit - Entries to keep in the history the
+ * generation lands in; null keeps all
+ * @returns {Promise<Object>} - Saved generation
+ */
+generationSchema.statics.addForUser = async function (
+  userId,
+  generationData,
+  historyLimit = null
+) {
+  const generation = await this.create({ ...generationData, user: userId });
+  if (historyLimit) {
+    await this.enforceRetention(
+      historyScope(userId, generationData.workspace),
+      historyLimit
+    );
+  }
+  return generation;
+};
+
+/**
+ * Deletes the oldest generations in a history beyond the retention limit,
+ * along with their stored images
+ * @param {Object} scope - History filter from historyScope()
+ * @param {number} historyLimit - Entries to keep
+ * @returns {Promise<number>} - Number of entries removed
+ */
+generationSchema.statics.enforceRetention = async function (
+  scope,
+  historyLimit
+) {
+  const expired = await this.find(scope)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(historyLimit)
+    .select("images baseImages")
+    .lean();
+  if (expired.length === 0) return 0;
+
+  await this.deleteMany({ _id: { $in: expired.map((entry) => entry._id) } });
+
+  // Best effort: an image left behind must not fail the new generation.
+  // Entries from before storage keys were recorded only have URLs
+  const assets = expired
+    .flatMap((entry) => [...(entry.images || []), ...(entry.baseImages || [])])
+    .filter((asset) => asset?.key && asset.driver);
+  await Promise.all(
+    assets.map(async (asset) => {
+      try {
+        await getStorage(asset.driver).delete(asset.key);
+      } catch (error) {
+        console.error(`Failed to delete stored image ${asset.key}:`, error);
+      }
+    })
+  );
+  return expired.length;
+};
+
+// Supported sort orders for history listings
+const SORTS = {
+  "-createdAt": { field: "createdAt", direction: -1 },
+  createdAt: { field: "createdAt", direction: 1 },
+  "-imagesGenerated": { field: "imagesGenerated", direction: -1 },
+  imagesGenerated: { field: "imagesGenerated", direction: 1 },
+  // Text-search score; only valid together with a search query
+  relevance: { field: "score", direction: -1 },
+};
+
+// Fields that support exact-match filters and facet counts
+const FILTER_FIELDS = [
+  "type",
+  "category",
+  "mood",
+  "theme",
+  "thumbnailStyle",
+  "primaryColor",
+];
+const FACET_FIELDS = [...FILTER_FIELDS, "enhancedPrompt"];
+
+/**
+ * Encodes the position after an entry as an opaque cursor
+ * @param {Object} entry - Last generation on the page
+ * @param {string} sort - Sort key the page was listed with
+ * @param {number} offset - Entries seen so far (relevance sort only)
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (entry, sort, offset) => {
+  const { field } = SORTS[sort];
+  const position =
+    field === "score"
+      ? { sort, offset }
+      : { sort, value: entry[field], id: entry._id };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+};
+
+/**
+ * Decodes a cursor from encodeCursor()
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object|null} - { sort, value, id } or { sort, offset }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const sort = SORTS[position.sort];
+    if (!sort) return null;
+
+    if (sort.field === "score") {
+      return Number.isInteger(position.offset) && position.offset >= 0
+        ? position
+        : null;
+    }
+
+    if (!mongoose.isValidObjectId(position.id)) return null;
+    const value =
+      sort.field === "createdAt" ? new Date(position.value) : position.value;
+    if (value instanceof Date && isNaN(value)) return null;
+    return {
+      sort: position.sort,
+      value,
+      id: new mongoose.Types.ObjectId(position.id),
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Builds the match stage shared by listings and facet counts
+ * @param {string} userId - Owner of the generations
+ * @param {Object} options
+ * @param {string} options.workspaceId - List a workspace's shared history
+ * @param {Object} options.filters - Field -> value or array of values
+ * @param {Date} options.from - Earliest createdAt (inclusive)
+ * @param {Date} options.to - Latest createdAt (inclusive)
+ * @param {string} options.search - Full-text query over the prompts
+ * @param {boolean} options.favorites - Only entries with a favorite image
+ * @returns {Object} - MongoDB filter
+ */
+const buildFilter = (
+  userId,
+  { workspaceId, filters = {}, from, to, search, favorites } = {}
+) => {
+  const filter = historyScope(userId, workspaceId);
+
+  if (favorites) {
+    filter["favoriteImages.0"] = { $exists: true };
+  }
+
+  for (const [field, value] of Object.entries(filters)) {
+    if (value === undefined) continue;
+    filter[field] = Array.isArray(value) ? { $in: value } : value;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  return filter;
+};
+
+/**
+ * Marks or unmarks one image of a history entry as a favorite
+ * @param {Object} scope - History filter from historyScope()
+ * @param {string} historyId - History entry ID
+ * @param {number} imageIndex - Index into the entry's imageUrls
+ * @param {boolean} favorite - True to add the favorite, false to remove it
+ * @returns {Promise<Object|null>} - Updated entry, or null if the entry or
+ * image does not exist
+ */
+generationSchema.statics.setFavorite = async function (
+  scope,
+  historyId,
+  imageIndex,
+  favorite
+) {
+  return this.findOneAndUpdate(
+    {
+      _id: historyId,
+      ...scope,
+      [`imageUrls.${imageIndex}`]: { $exists: true },
+    },
+    favorite
+      ? { $addToSet: { favoriteImages: imageIndex } }
+      : { $pull: { favoriteImages: imageIndex } },
+    { new: true }
+  )
+    .select("imageUrls favoriteImages")
+    .lean();
+};
+
+// Fields returned for each node of a lineage tree
+const TREE_FIELDS =
+  "type finalPrompt imageUrls favoriteImages parentId parentImageIndex createdAt";
+const MAX_TREE_DEPTH = 50;
+const MAX_TREE_NODES = 200;
+
+/**
+ * Loads the lineage tree around a history entry: its oldest ancestor that
+ * is still in history, and every descendant of that ancestor
+ * @param {Object} scope - History filter from historyScope()
+ * @param {string} historyId - Any entry in the tree
+ * @returns {Promise<Object|null>} - { root, size, truncated } with nested
+ * `children` arrays (oldest first), or null if the entry does not exist.
+ * truncated is set when the size or depth limit cut the tree short
+ */
+generationSchema.statics.findTree = async function (scope, historyId) {
+  let root = await this.findOne({ _id: historyId, ...scope })
+    .select(TREE_FIELDS)
+    .lean();
+  if (!root) return null;
+
+  for (let depth = 0; root.parentId && depth < MAX_TREE_DEPTH; depth++) {
+    const parent = await this.findOne({ _id: root.parentId, ...scope })
+      .select(TREE_FIELDS)
+      .lean();
+    if (!parent) break;
+    root = parent;
+  }
+
+  // Collect descendants one generation at a time
+  const nodes = [root];
+  let frontier = [root._id];
+  let truncated = false;
+  for (let depth = 0; frontier.length > 0; depth++) {
+    const remaining = MAX_TREE_NODES - nodes.length;
+    if (depth >= MAX_TREE_DEPTH || remaining <= 0) {
+      truncated = true;
+      break;
+    }
+
+    const children = await this.find({ ...scope, parentId: { $in: frontier } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(remaining + 1)
+      .select(TREE_FIELDS)
+      .lean();
+    if (children.length > remaining) {
+      truncated = true;
+      children.length = remaining;
+    }
+    nodes.push(...children);
+    frontier = children.map((child) => child._id);
+  }
+
+  // Every node after the root was found through its parent, so the
+  // parent is already in the map
+  const byId = new Map(
+    nodes.map((node) => [String(node._id), { ...node, children: [] }])
+  );
+  for (const node of nodes.slice(1)) {
+    byId.get(String(node.parentId)).children.push(byId.get(String(node._id)));
+  }
+
+  return { root: byId.get(String(root._id)), size: nodes.length, truncated };
+};
+
+generationSchema.statics.SORTS = SORTS;
+generationSchema.statics.FILTER_FIELDS = FILTER_FIELDS;
+generationSchema.statics.decodeCursor = decodeCursor;
+generationSchema.statics.historyScope = historyScope;
+
+/**
+ * Lists a user's generations with filters, search and sorting
+ * @param {string} userId - Owner of the generations
+ * @param {Object} options - buildFilter() options, plus:
+ * @param {number} options.limit - Page size
+ * @param {string} options.sort - Key of SORTS (default "-createdAt")
+ * @param {string} options.cursor - Cursor from a previous page's nextCursor
+ * @returns {Promise<Object>} - { history, total, hasMore, nextCursor }
+ */
+generationSchema.statics.findPage = async function (
+  userId,
+  { limit = 20, sort = "-createdAt", cursor = null, ...filterOptions } = {}
+) {
+  const filter = buildFilter(userId, filterOptions);
+  const { field, direction } = SORTS[sort];
+  const position = cursor ? decodeCursor(cursor) : null;
+
+  let query;
+  let offset = 0;
+  if (field === "score") {
+    offset = position?.offset || 0;
+    query = this.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: -1 })
+      .skip(offset);
+  } else {
+    const pageFilter = position
+      ? {
+          $and: [
+            filter,
+            {
+              $or: [
+                {
+                  [field]: { [direction < 0 ? "$lt" : "$gt"]: position.value },
+                },
+                {
+                  [field]: position.value,
+                  _id: { [direction < 0 ? "$lt" : "$gt"]: position.id },
+                },
+              ],
+            },
+          ],
+        }
+      : filter;
+    query = this.find(pageFilter).sort({ [field]: direction, _id: direction });
+  }
+
+  const [entries, total] = await Promise.all([
+    query.limit(limit + 1).lean(),
+    this.countDocuments(filter),
+  ]);
+
+  const hasMore = entries.length > limit;
+  const history = entries.slice(0, limit);
+  return {
+    history,
+    total,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor(history[history.length - 1], sort, offset + limit)
+      : null,
+  };
+};
+
+/**
+ * Counts matching generations per value of each facet field
+ * @param {string} userId - Owner of the generations
+ * @param {Object} options - Same filter options as findPage()
+ * @returns {Promise<Object>} - Field -> [{ value, count }], most common first
+ */
+generationSchema.statics.getFacets = async function (userId, options = {}) {
+  const facetStages = {};
+  for (const field of FACET_FIELDS) {
+    facetStages[field] = [
+      { $match: { [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 },
+    ];
+  }
+
+  const [result] = await this.aggregate([
+    { $match: buildFilter(userId, options) },
+    { $facet: facetStages },
+  ]);
+
+  const facets = {};
+  for (const field of FACET_FIELDS) {
+    facets[field] = result[field].map(({ _id, count }) => ({
+      value: _id,
+      count,
+    }));
+  }
+  return facets;
+};
+
+const Generation = mongoose.model("Generation", generationSchema);
+export default Generation;
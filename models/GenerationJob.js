@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Finished jobs are kept this long, then removed by MongoDB
+const RETENTION_DAYS = 7;
+
+// Persistent record of a background generation job. The queue runs jobs in
+// process memory; this record survives a restart so jobs that never
+// finished can be failed and their reserved credits refunded.
+const generationJobSchema = new mongoose.Schema({
+  // Same ID the API returns (a UUID)
+  _id: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "done", "failed"],
+    default: "queued",
+  },
+  // Credits held for the job, as returned by CreditManager.reserve()
+  reservation: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: mongoose.Schema.Types.Mixed,
+  // Renewed while the server running the job is alive; an unfinished job
+  // whose lease ran out was lost with its server
+  leaseUntil: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+generationJobSchema.index({ status: 1, leaseUntil: 1 });
+generationJobSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const GenerationJob = mongoose.model("GenerationJob", generationJobSchema);
+export default GenerationJob;
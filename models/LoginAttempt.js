@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// Failed logins tolerated before an account is locked, and the lockout
+// length, which doubles with every further failure up to the maximum
+const lockoutSettings = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000,
+  maxMs: (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000,
+  // Failures older than this no longer count towards a lockout
+  resetMs: 24 * 60 * 60 * 1000,
+});
+
+// Tracked per email rather than per user so unknown emails behave the same
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+  lastFailureAt: Date,
+  expiresAt: Date,
+});
+
+// Let MongoDB forget accounts once their failures stop counting
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Returns how long an email is still locked out
+ * @param {string} email - Login email
+ * @returns {Promise<number>} - Milliseconds left, 0 when not locked
+ */
+loginAttemptSchema.statics.getLockout = async function (email) {
+  const attempt = await this.findOne({
+    email: String(email).toLowerCase(),
+  }).lean();
+  if (!attempt?.lockedUntil) return 0;
+  return Math.max(0, attempt.lockedUntil.getTime() - Date.now());
+};
+
+/**
+ * Counts a failed login and locks the email once past the threshold
+ * @param {string} email - Login email
+ * @returns {Promise<number>} - Lockout length in milliseconds, 0 if not locked
+ */
+loginAttemptSchema.statics.recordFailure = async function (email) {
+  const { threshold, baseMs, maxMs, resetMs } = lockoutSettings();
+  const now = new Date();
+  const normalized = String(email).toLowerCase();
+
+  // Start counting again when the last failure is too old to matter
+  await this.updateOne(
+    { email: normalized, lastFailureAt: { $lt: new Date(now - resetMs) } },
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+  );
+  const attempt = await this.findOneAndUpdate(
+    { email: normalized },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(+now + resetMs) },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failures < threshold) return 0;
+
+  const lockoutMs = Math.min(
+    maxMs,
+    baseMs * 2 ** (attempt.failures - threshold)
+  );
+  await this.updateOne(
+    { _id: attempt._id },
+    { lockedUntil: new Date(+now + lockoutMs) }
+  );
+  console.warn(
+    `Locked login for ${normalized} for ${lockoutMs / 1000}s after ${
+      attempt.failures
+    } failed attempts`
+  );
+  return lockoutMs;
+};
+
+/**
+ * Clears the failure count after a successful login or password reset
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+loginAttemptSchema.statics.reset = async function (email) {
+  await this.deleteOne({ email: String(email).toLowerCase() });
+};
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+export default LoginAttempt;
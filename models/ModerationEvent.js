@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+// Longest prompt excerpt kept with an event, in characters
+const PROMPT_EXCERPT_LENGTH = 1000;
+
+// Audit record of one generation request blocked by moderation
+const moderationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+  },
+  // Generation type, e.g. "text-to-image"
+  type: String,
+  // What was blocked: the prompt or a reference image
+  target: {
+    type: String,
+    enum: ["prompt", "image"],
+    required: true,
+  },
+  // Which check blocked it: a local policy rule or the moderation provider
+  source: {
+    type: String,
+    enum: ["policy", "provider"],
+    required: true,
+  },
+  rule: {
+    id: String,
+    name: String,
+    category: String,
+  },
+  // Text that matched a local rule
+  match: String,
+  prompt: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+moderationEventSchema.index({ user: 1, createdAt: -1 });
+moderationEventSchema.index({ createdAt: -1 });
+
+/**
+ * Records a blocked request
+ * @param {Object} context - { userId, workspace }
+ * @param {Object} violation - From ContentModerator
+ * @param {Object} details - { type, prompt }
+ * @returns {Promise<Object>} - Event document
+ */
+moderationEventSchema.statics.record = function (
+  { userId, workspace },
+  violation,
+  { type, prompt }
+) {
+  return this.create({
+    user: userId,
+    workspace: workspace?._id,
+    type,
+    target: violation.target,
+    source: violation.source,
+    rule: violation.rule,
+    match: violation.match,
+    prompt: prompt?.slice(0, PROMPT_EXCERPT_LENGTH),
+  });
+};
+
+/**
+ * Shapes an event for the audit log
+ * @returns {Object} - Public event fields
+ */
+moderationEventSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    userId: this.user,
+    workspaceId: this.workspace,
+    type: this.type,
+    target: this.target,
+    source: this.source,
+    rule: this.rule,
+    match: this.match,
+    prompt: this.prompt,
+    createdAt: this.createdAt,
+  };
+};
+
+const ModerationEvent = mongoose.model(
+  "ModerationEvent",
+  moderationEventSchema
+);
+export default ModerationEvent;
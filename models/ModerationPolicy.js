@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+const POLICY_KEY = "default";
+
+// Used until an admin saves a policy
+const DEFAULT_RULES = [
+  {
+    name: "Sexual content involving minors",
+    type: "regex",
+    pattern:
+      "\\b(child|children|kid|kids|minor|minors|underage|teen|teens|schoolgirl|schoolboy)\\b.*\\b(nude|naked|sexual|sexy|explicit|porn)\\b|\\b(nude|naked|sexual|sexy|explicit|porn)\\b.*\\b(child|children|kid|kids|minor|minors|underage|teen|teens|schoolgirl|schoolboy)\\b",
+    category: "sexual/minors",
+  },
+  {
+    name: "Non-consensual imagery",
+    type: "term",
+    pattern: "deepfake nude",
+    category: "sexual",
+  },
+];
+
+// One local rule. Terms match whole words, ignoring case; regexes are
+// matched case-insensitively
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  type: {
+    type: String,
+    enum: ["term", "regex"],
+    required: true,
+  },
+  pattern: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+  },
+  // Reported to the user with the rule name, e.g. "violence"
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: "other",
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// The server-wide content policy, edited by admins. There is one document
+const moderationPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true,
+  },
+  rules: [ruleSchema],
+  // Also send prompts (and reference images) to the OpenAI moderation API
+  providerCheck: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+moderationPolicySchema.statics.DEFAULT_RULES = DEFAULT_RULES;
+
+/**
+ * Loads the policy, or the defaults when none was saved
+ * @returns {Promise<Object>} - Plain policy object
+ */
+moderationPolicySchema.statics.load = async function () {
+  const policy = await this.findOne({ key: POLICY_KEY }).lean();
+  return (
+    policy || {
+      rules: DEFAULT_RULES.map((rule) => ({ ...rule, enabled: true })),
+      providerCheck: false,
+      updatedAt: null,
+    }
+  );
+};
+
+/**
+ * Replaces the policy
+ * @param {Object} policy - { rules, providerCheck }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Saved policy, as a plain object
+ */
+moderationPolicySchema.statics.replace = function (
+  { rules, providerCheck },
+  userId
+) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { rules, providerCheck, updatedBy: userId, updatedAt: new Date() },
+    { new: true, upsert: true, runValidators: true, lean: true }
+  );
+};
+
+const ModerationPolicy = mongoose.model(
+  "ModerationPolicy",
+  moderationPolicySchema
+);
+export default ModerationPolicy;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const promptTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Set for templates shared by a workspace; otherwise the template is
+  // personal
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    maxlength: 300,
+  },
+  // Prompt text with {{variable}} placeholders (see utils/promptTemplates.js)
+  template: {
+    type: String,
+    required: true,
+  },
+  // Variables found in the template when it was saved
+  variables: [
+    {
+      _id: false,
+      name: String,
+      defaultValue: String,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Shapes a template for API responses
+ * @returns {Object} - Public template fields
+ */
+promptTemplateSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    workspace: this.workspace || null,
+    name: this.name,
+    description: this.description,
+    template: this.template,
+    variables: this.variables,
+    builtIn: false,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const PromptTemplate = mongoose.model("PromptTemplate", promptTemplateSchema);
+export default PromptTemplate;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Request count for one rate limit key in one fixed window
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Number,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+// Let MongoDB remove counters once they can no longer affect a window
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema
+);
+export default RateLimitCounter;
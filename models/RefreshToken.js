@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the token; the token itself is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Every token rotated from the same login shares a family (session) ID
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  // Set when the token was rotated; presenting it again means it leaked
+  replacedAt: Date,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a refresh token for a user
+ * @param {string} userId - Owner of the token
+ * @param {Object} options
+ * @param {string} options.family - Session ID to continue (new session if omitted)
+ * @param {string} options.userAgent - Client user agent
+ * @param {string} options.ip - Client IP
+ * @returns {Promise<{ token: string, family: string, expiresAt: Date }>}
+ */
+refreshTokenSchema.statics.issue = async function (
+  userId,
+  { family = crypto.randomUUID(), userAgent, ip } = {}
+) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+
+  await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    userAgent,
+    ip,
+  });
+
+  return { token, family, expiresAt };
+};
+
+/**
+ * Exchanges a refresh token for a new one in the same family. Reusing a
+ * token that was already rotated revokes the whole family.
+ * @param {string} token - Refresh token from the client
+ * @param {Object} meta - { userAgent, ip } of the client
+ * @returns {Promise<Object>} - { user, token, family, expiresAt } or { error }
+ */
+refreshTokenSchema.statics.rotate = async function (token, meta = {}) {
+  const existing = await this.findOne({ tokenHash: hashToken(token) });
+
+  if (!existing || existing.expiresAt <= new Date()) {
+    return { error: "Invalid refresh token" };
+  }
+
+  if (existing.replacedAt) {
+    await this.revokeFamily(existing.family);
+    console.warn(
+      `Refresh token reuse detected for user ${existing.user}, revoked session ${existing.family}`
+    );
+    return { error: "Refresh token reuse detected" };
+  }
+
+  if (existing.revokedAt) {
+    return { error: "Refresh token revoked" };
+  }
+
+  // Issue the replacement before claiming the old token, so the session
+  // always has a live token (see isSessionActive) and a failed issue leaves
+  // the old token usable
+  const next = await this.issue(existing.user, {
+    family: existing.family,
+    ...meta,
+  });
+
+  // Claim the token atomically so two concurrent refreshes cannot both win.
+  // Only replacedAt is set: revokedAt is kept for reuse and logout
+  const claimed = await this.findOneAndUpdate(
+    { _id: existing._id, replacedAt: null, revokedAt: null },
+    { replacedAt: new Date() }
+  );
+  if (!claimed) {
+    await this.revokeFamily(existing.family);
+    return { error: "Refresh token reuse detected" };
+  }
+
+  return { user: existing.user, ...next };
+};
+
+/**
+ * Revokes every token in a session
+ * @param {string} family - Session ID
+ * @returns {Promise<void>}
+ */
+refreshTokenSchema.statics.revokeFamily = async function (family) {
+  await this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Revokes every token a user holds
+ * @param {string} userId - Owner of the tokens
+ * @returns {Promise<void>}
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function (userId) {
+  await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Checks whether a session still has a live (unrevoked) token
+ * @param {string} family - Session ID
+ * @returns {Promise<boolean>}
+ */
+refreshTokenSchema.statics.isSessionActive = async function (family) {
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!active;
+};
+
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
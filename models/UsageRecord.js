@@ -0,0 +1,195 @@
+import mongoose from "mongoose";
+
+// How usage reports can be grouped (combine with commas, e.g. day,provider)
+const GROUPS = {
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+  provider: "$calls.provider",
+  model: "$calls.model",
+  type: "$type",
+  user: "$user",
+};
+
+// One call to an image provider or to the prompt enhancer
+const callSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["image", "enhancement"],
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    model: String,
+    // Output size as "WIDTHxHEIGHT", for image calls that returned one
+    size: String,
+    latencyMs: Number,
+    // Retries made inside the provider (e.g. after a rate limit)
+    retries: {
+      type: Number,
+      default: 0,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    error: String,
+    images: {
+      type: Number,
+      default: 0,
+    },
+    inputTokens: Number,
+    outputTokens: Number,
+    // Estimated USD (see utils/pricing.js); null when the price is unknown
+    costUsd: Number,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Provider calls made for one request: a generation (referenced from its
+// history entry) or a prompt enhancement preview
+const usageRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+  },
+  // Generation type, or "prompt-enhancement"
+  type: {
+    type: String,
+    required: true,
+  },
+  generation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Generation",
+  },
+  calls: [callSchema],
+  costUsd: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+usageRecordSchema.index({ user: 1, workspace: 1, createdAt: -1 });
+usageRecordSchema.index({ workspace: 1, createdAt: -1 });
+usageRecordSchema.index({ createdAt: -1 });
+
+usageRecordSchema.statics.GROUPS = GROUPS;
+
+/**
+ * Builds the filter for a user's own usage, or a workspace's. IDs are cast
+ * because aggregation pipelines are not
+ * @param {string} userId - Owner of the usage
+ * @param {string} workspaceId - Workspace (optional)
+ * @returns {Object} - MongoDB filter
+ */
+usageRecordSchema.statics.scope = (userId, workspaceId) =>
+  workspaceId
+    ? { workspace: new mongoose.Types.ObjectId(String(workspaceId)) }
+    : { user: new mongoose.Types.ObjectId(String(userId)), workspace: null };
+
+/**
+ * Sums provider calls, grouped by any of GROUPS (days are in UTC)
+ * @param {Object} match - Filter on records (owner and createdAt range)
+ * @param {string[]} groupBy - Keys of GROUPS
+ * @returns {Promise<{ totals: Object, groups: Object[] }>} - Totals and
+ * one row per group as { key, ...totals }, in key order
+ */
+usageRecordSchema.statics.aggregateUsage = async function (match, groupBy) {
+  const sums = {
+    calls: { $sum: 1 },
+    failures: { $sum: { $cond: ["$calls.success", 0, 1] } },
+    retries: { $sum: "$calls.retries" },
+    images: { $sum: "$calls.images" },
+    costUsd: { $sum: { $ifNull: ["$calls.costUsd", 0] } },
+    // Calls without a known price, so totals can be read as lower bounds
+    unpricedCalls: {
+      $sum: { $cond: [{ $isNumber: "$calls.costUsd" }, 0, 1] },
+    },
+    latencyMs: { $avg: "$calls.latencyMs" },
+  };
+  const shape = (row) => ({
+    calls: row.calls,
+    failures: row.failures,
+    retries: row.retries,
+    images: row.images,
+    costUsd: Math.round(row.costUsd * 1e6) / 1e6,
+    unpricedCalls: row.unpricedCalls,
+    avgLatencyMs: row.latencyMs === null ? null : Math.round(row.latencyMs),
+  });
+
+  const [requests, [result]] = await Promise.all([
+    this.countDocuments(match),
+    this.aggregate([
+      { $match: match },
+      { $unwind: "$calls" },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          groups: [
+            {
+              $group: {
+                _id: Object.fromEntries(
+                  groupBy.map((key) => [key, GROUPS[key]])
+                ),
+                ...sums,
+              },
+            },
+            {
+              $sort: Object.fromEntries(
+                groupBy.map((key) => [`_id.${key}`, 1])
+              ),
+            },
+          ],
+        },
+      },
+    ]),
+  ]);
+
+  const totals = result.totals[0] || {
+    calls: 0,
+    failures: 0,
+    retries: 0,
+    images: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+    latencyMs: null,
+  };
+  return {
+    totals: { requests, ...shape(totals) },
+    groups: result.groups.map((row) => ({ key: row._id, ...shape(row) })),
+  };
+};
+
+/**
+ * Shapes a record for API responses
+ * @returns {Object} - Public record fields
+ */
+usageRecordSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    generationId: this.generation,
+    workspaceId: this.workspace,
+    calls: this.calls,
+    costUsd: this.costUsd,
+    createdAt: this.createdAt,
+  };
+};
+
+const UsageRecord = mongoose.model("UsageRecord", usageRecordSchema);
+export default UsageRecord;
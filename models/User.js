@@ -1,37 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-
-const generationHistorySchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ["text-to-image", "image-to-image"],
-    required: true,
-  },
-  originalPrompt: String,
-  finalPrompt: String,
-  enhancedPrompt: Boolean,
-  // New structured fields
-  category: String,
-  mood: String,
-  theme: String,
-  primaryColor: String,
-  includeText: Boolean,
-  textStyle: String,
-  thumbnailStyle: String,
-  customPrompt: String,
-  inputImage: {
-    originalName: String,
-    size: Number,
-    mimeType: String,
-  },
-  imagesGenerated: Number,
-  imageUrls: [String],
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-});
+import { PLANS, DEFAULT_PLAN } from "../utils/plans.js";
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -51,7 +21,36 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6,
   },
-  generationHistory: [generationHistorySchema],
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  // Bumped by logout-all; access tokens carrying an older version are rejected
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Admins can manage server-wide settings such as the moderation policy
+  role: {
+    type: String,
+    enum: ["user", "admin"],
+    default: "user",
+  },
+  // Plan tier; controls history retention (see utils/plans.js)
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    default: DEFAULT_PLAN,
+  },
+  // Remaining image credits for the current monthly period
+  credits: {
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    periodStart: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -72,12 +71,19 @@ userSchema.methods.validatePassword = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateToken = function () {
+// Short-lived access token bound to a refresh token session
+userSchema.methods.generateToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, email: this.email, name: this.name },
+    {
+      id: this._id,
+      email: this.email,
+      name: this.name,
+      sid: sessionId,
+      tv: this.tokenVersion,
+    },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+      expiresIn: process.env.JWT_EXPIRES_IN || "15m",
     }
   );
 };
@@ -90,38 +96,5 @@ userSchema.statics.verifyToken = function (token) {
   }
 };
 
-userSchema.methods.addToHistory = function (generationData) {
-  this.generationHistory.unshift(generationData);
-  if (this.generationHistory.length > 100) {
-    this.generationHistory = this.generationHistory.slice(0, 100);
-  }
-  return this.save();
-};
-
-userSchema.methods.getHistory = function (limit = 20, offset = 0) {
-  const history = this.generationHistory.slice(offset, offset + limit);
-  return {
-    history,
-    total: this.generationHistory.length,
-    hasMore: offset + limit < this.generationHistory.length,
-  };
-};
-
-userSchema.methods.deleteHistoryEntry = function (historyId) {
-  const initialLength = this.generationHistory.length;
-  this.generationHistory = this.generationHistory.filter(
-    (entry) => entry._id.toString() !== historyId
-  );
-  if (this.generationHistory.length < initialLength) {
-    return this.save();
-  }
-  return Promise.resolve(false);
-};
-
-userSchema.methods.clearHistory = function () {
-  this.generationHistory = [];
-  return this.save();
-};
-
 const User = mongoose.model("User", userSchema);
 export default User;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Events a webhook can subscribe to
+const EVENTS = {
+  "generation.completed": "A generation finished and its images are stored",
+  "generation.failed": "A generation failed and its credits were refunded",
+  "history.deleted": "History entries were deleted or history was cleared",
+};
+
+const SECRET_PREFIX = "whsec_";
+
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2048,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  events: {
+    type: [{ type: String, enum: Object.keys(EVENTS) }],
+    required: true,
+  },
+  // Signing key for deliveries. Kept as is (not hashed) since every
+  // delivery is signed with it; only returned on creation and rotation
+  secret: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  lastDeliveryAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const generateSecret = () =>
+  `${SECRET_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+webhookSchema.statics.EVENTS = EVENTS;
+webhookSchema.statics.generateSecret = generateSecret;
+
+/**
+ * Active webhooks of a user subscribed to an event
+ * @param {string} userId - Owner of the webhooks
+ * @param {string} event - Event name
+ * @returns {Promise<Object[]>} - Webhook documents
+ */
+webhookSchema.statics.findSubscribed = function (userId, event) {
+  return this.find({ user: userId, active: true, events: event });
+};
+
+/**
+ * Shapes a webhook for API responses, without its secret
+ * @returns {Object} - Public webhook fields
+ */
+webhookSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    url: this.url,
+    description: this.description,
+    events: this.events,
+    active: this.active,
+    lastDeliveryAt: this.lastDeliveryAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+export default Webhook;
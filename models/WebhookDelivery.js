@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// Deliveries are kept this long, then removed by MongoDB
+const RETENTION_DAYS = 30;
+
+// One HTTP request made for a delivery
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Sent from the redeliver endpoint rather than the retry schedule
+    manual: {
+      type: Boolean,
+      default: false,
+    },
+    // Only the status is kept; response bodies are never stored
+    responseStatus: Number,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Exact JSON body sent (and signed) on every attempt
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "pending",
+  },
+  attempts: [attemptSchema],
+  // Automatic attempts made so far; manual redeliveries are not counted
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  // When the next retry is due, while pending
+  nextAttemptAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Shapes a delivery for the delivery log
+ * @returns {Object} - Public delivery fields
+ */
+webhookDeliverySchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    webhookId: this.webhook,
+    event: this.event,
+    status: this.status,
+    attempts: this.attempts.map(
+      ({ at, manual, responseStatus, error, durationMs }) => ({
+        at,
+        manual,
+        responseStatus,
+        error,
+        durationMs,
+      })
+    ),
+    nextAttemptAt: this.nextAttemptAt,
+    payload: this.payload,
+    createdAt: this.createdAt,
+  };
+};
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+export default WebhookDelivery;
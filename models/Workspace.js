@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import { PLANS, DEFAULT_WORKSPACE_PLAN } from "../utils/plans.js";
+
+// Member roles, from least to most privileged
+const ROLES = ["viewer", "editor", "owner"];
+
+// Generation fields a workspace can preset for its members
+const PRESET_FIELDS = [
+  "preset",
+  "category",
+  "mood",
+  "theme",
+  "primaryColor",
+  "thumbnailStyle",
+  "textOverlay",
+];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100,
+  },
+  members: [memberSchema],
+  // Plan tier; controls credits and history retention for the workspace.
+  // Workspaces get no credits until an administrator assigns a plan
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    default: DEFAULT_WORKSPACE_PLAN,
+  },
+  // Shared credit balance, charged for generations made in the workspace
+  credits: {
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    periodStart: Date,
+  },
+  // Defaults applied to generation requests that leave these fields out
+  presets: {
+    preset: String,
+    category: String,
+    mood: String,
+    theme: String,
+    primaryColor: String,
+    thumbnailStyle: String,
+    textOverlay: mongoose.Schema.Types.Mixed,
+  },
+  // Storage driver for the workspace's images (server default when unset)
+  storage: {
+    driver: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+workspaceSchema.index({ "members.user": 1 });
+
+workspaceSchema.statics.ROLES = ROLES;
+workspaceSchema.statics.PRESET_FIELDS = PRESET_FIELDS;
+
+/**
+ * Compares two roles
+ * @param {string} role - Role held
+ * @param {string} minRole - Role required
+ * @returns {boolean} - True if role is at least minRole
+ */
+workspaceSchema.statics.hasRole = function (role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+};
+
+/**
+ * @param {string} userId - User to look up
+ * @returns {string|null} - The user's role, or null if not a member
+ */
+workspaceSchema.methods.getRole = function (userId) {
+  const member = this.members.find(
+    (entry) => String(entry.user) === String(userId)
+  );
+  return member ? member.role : null;
+};
+
+/**
+ * @returns {number} - Number of members with the owner role
+ */
+workspaceSchema.methods.countOwners = function () {
+  return this.members.filter((member) => member.role === "owner").length;
+};
+
+/**
+ * Storage folder for the workspace's images, inside the configured folder
+ * @returns {string} - Folder path relative to the storage root
+ */
+workspaceSchema.methods.getStorageFolder = function () {
+  const base = process.env.STORAGE_FOLDER || "ai-generated-images";
+  return `${base}/workspaces/${this._id}`;
+};
+
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+export default Workspace;
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const invitationTtlMs = () =>
+  (parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS) || 7) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ["viewer", "editor", "owner"],
+    required: true,
+  },
+  // SHA-256 of the token; the token itself only goes out by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove invitations once they expire
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates an invitation, replacing any pending one for the same email
+ * @param {string} workspaceId - Workspace to join
+ * @param {Object} options
+ * @param {string} options.email - Invitee email
+ * @param {string} options.role - Role granted on acceptance
+ * @param {string} options.invitedBy - Inviting user
+ * @returns {Promise<{ token: string, invitation: Object }>}
+ */
+workspaceInvitationSchema.statics.issue = async function (
+  workspaceId,
+  { email, role, invitedBy }
+) {
+  await this.deleteMany({
+    workspace: workspaceId,
+    email: email.toLowerCase(),
+    acceptedAt: null,
+  });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const invitation = await this.create({
+    workspace: workspaceId,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + invitationTtlMs()),
+  });
+  return { token, invitation };
+};
+
+/**
+ * Marks a pending invitation as accepted, atomically
+ * @param {string} token - Token from the invitation email
+ * @param {string} email - Email of the accepting user; must match
+ * @returns {Promise<Object|null>} - The invitation, or null if the token is
+ * unknown, expired, used or addressed to someone else
+ */
+workspaceInvitationSchema.statics.accept = function (token, email) {
+  if (typeof token !== "string" || !token) return null;
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      email: String(email).toLowerCase(),
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+workspaceInvitationSchema.statics.ttlMinutes = function () {
+  return Math.round(invitationTtlMs() / 60000);
+};
+
+const WorkspaceInvitation = mongoose.model(
+  "WorkspaceInvitation",
+  workspaceInvitationSchema
+);
+export default WorkspaceInvitation;
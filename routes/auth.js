@@ -1,9 +1,67 @@
 import express from "express";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { validateRegistration, validateLogin } from "../middleware/auth.js";
+import RefreshToken from "../models/RefreshToken.js";
+import AuthToken from "../models/AuthToken.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import getMailer from "../utils/mailer/index.js";
+import {
+  passwordResetEmail,
+  emailVerificationEmail,
+} from "../utils/mailer/templates.js";
+import {
+  requireAuth,
+  requireSession,
+  validateRegistration,
+  validateLogin,
+  validatePasswordReset,
+} from "../middleware/auth.js";
 const router = express.Router();
 
+// Start a new session: short-lived access token plus a refresh token
+const issueSession = async (user, req) => {
+  const refresh = await RefreshToken.issue(user._id, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  return {
+    token: user.generateToken(refresh.family),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt,
+  };
+};
+
+// Email a fresh verification link to a user
+const sendVerificationEmail = async (user) => {
+  const { token } = await AuthToken.issue(user._id, "email-verification");
+  await getMailer().send({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      token,
+      expiresInMinutes: AuthToken.ttlMinutes("email-verification"),
+    }),
+  });
+};
+
+const serializeUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+});
+
+// Reject a login while the account is locked after repeated failures
+const respondLockedOut = (res, lockoutMs) => {
+  const retryAfter = Math.ceil(lockoutMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many failed login attempts",
+    details: `Login is locked for this account. Try again in ${retryAfter} seconds.`,
+  });
+};
+
 // Signup endpoint
 router.post("/signup", validateRegistration, async (req, res) => {
   try {
@@ -14,13 +72,16 @@ router.post("/signup", validateRegistration, async (req, res) => {
     }
     const user = new User({ name, email, password });
     await user.save();
-    const token = user.generateToken();
-    res
-      .status(201)
-      .json({
-        token,
-        user: { id: user._id, name: user.name, email: user.email },
-      });
+
+    // A mail outage should not block signup; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
+    }
+
+    const session = await issueSession(user, req);
+    res.status(201).json({ ...session, user: serializeUser(user) });
   } catch (err) {
     res.status(500).json({ error: "Signup failed", details: err.message });
   }
@@ -30,21 +91,204 @@ router.post("/signup", validateRegistration, async (req, res) => {
 router.post("/login", validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: "Invalid credentials" });
+
+    const lockoutMs = await LoginAttempt.getLockout(email);
+    if (lockoutMs > 0) {
+      return respondLockedOut(res, lockoutMs);
     }
-    const valid = await user.validatePassword(password);
+
+    const user = await User.findOne({ email });
+    const valid = user ? await user.validatePassword(password) : false;
     if (!valid) {
+      const newLockoutMs = await LoginAttempt.recordFailure(email);
+      if (newLockoutMs > 0) {
+        return respondLockedOut(res, newLockoutMs);
+      }
       return res.status(401).json({ error: "Invalid credentials" });
     }
-    const token = user.generateToken();
+    await LoginAttempt.reset(email);
+    const session = await issueSession(user, req);
+    res.json({ ...session, user: serializeUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: "Login failed", details: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const rotated = await RefreshToken.rotate(refreshToken, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+    if (rotated.error) {
+      return res.status(401).json({ error: rotated.error });
+    }
+
+    const user = await User.findById(rotated.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(rotated.family);
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
     res.json({
-      token,
-      user: { id: user._id, name: user.name, email: user.email },
+      token: user.generateToken(rotated.family),
+      refreshToken: rotated.token,
+      refreshTokenExpiresAt: rotated.expiresAt,
     });
   } catch (err) {
-    res.status(500).json({ error: "Login failed", details: err.message });
+    res.status(500).json({ error: "Refresh failed", details: err.message });
+  }
+});
+
+// End the current session
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const existing = await RefreshToken.findByToken(refreshToken);
+    if (existing) {
+      await RefreshToken.revokeFamily(existing.family);
+    }
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ error: "Logout failed", details: err.message });
+  }
+});
+
+// End every session of the current user, including unexpired access tokens
+router.post("/logout-all", requireAuth, requireSession, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.revokeAllForUser(req.user.id);
+    res.json({ success: true, message: "Logged out of all sessions" });
+  } catch (err) {
+    res.status(500).json({ error: "Logout failed", details: err.message });
+  }
+});
+
+// Email a reset link to the user with this email, if there is one
+const sendPasswordResetEmail = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user) return;
+
+  const { token } = await AuthToken.issue(user._id, "password-reset");
+  await getMailer().send({
+    to: user.email,
+    ...passwordResetEmail({
+      name: user.name,
+      token,
+      expiresInMinutes: AuthToken.ttlMinutes("password-reset"),
+    }),
+  });
+};
+
+// Email a password reset link. Answers before looking the email up, and
+// whatever happens next, so neither the response nor its timing tells
+// which emails are registered
+router.post("/forgot-password", (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+
+  res.json({
+    success: true,
+    message: "If that email is registered, a reset link has been sent",
+  });
+
+  sendPasswordResetEmail(String(email).toLowerCase()).catch((err) =>
+    console.error("Password reset email error:", err)
+  );
+});
+
+// Set a new password with a reset token; signs out every existing session
+router.post("/reset-password", validatePasswordReset, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await AuthToken.consume(token, "password-reset");
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    user.password = password;
+    user.tokenVersion += 1;
+    // The reset link proved the user can read mail sent to this address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    user.updatedAt = new Date();
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+    await LoginAttempt.reset(user.email);
+
+    res.json({ success: true, message: "Password has been reset" });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Password reset failed", details: err.message });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: "Token is required" });
+    }
+
+    const userId = await AuthToken.consume(token, "email-verification");
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification token" });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.updatedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ success: true, user: serializeUser(user) });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Email verification failed", details: err.message });
+  }
+});
+
+// Send another verification email to the current user
+router.post("/resend-verification", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    res.status(500).json({
+      error: "Failed to send verification email",
+      details: err.message,
+    });
   }
 });
 
@@ -0,0 +1,71 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import Generation from "../models/Generation.js";
+
+// One-time migration: moves User.generationHistory entries into the
+// generations collection, keeping their _id. Safe to re-run; entries that
+// were already copied are skipped and users are only cleaned up once every
+// entry has been copied.
+const migrateHistory = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB connected");
+
+  // Read the raw collection: generationHistory is no longer in the schema
+  const users = mongoose.connection.collection("users");
+  const cursor = users.find(
+    { "generationHistory.0": { $exists: true } },
+    { projection: { generationHistory: 1 } }
+  );
+
+  let migratedUsers = 0;
+  let migratedEntries = 0;
+
+  for await (const user of cursor) {
+    const entries = user.generationHistory.map((entry) => ({
+      ...entry,
+      user: user._id,
+    }));
+
+    try {
+      const result = await Generation.collection.insertMany(entries, {
+        ordered: false,
+      });
+      migratedEntries += result.insertedCount;
+    } catch (error) {
+      // Duplicate keys mean the entry was copied by an earlier run
+      const onlyDuplicates = error.writeErrors?.every(
+        (writeError) => writeError.code === 11000
+      );
+      if (!onlyDuplicates) throw error;
+      migratedEntries += error.result?.insertedCount || 0;
+    }
+
+    const copied = await Generation.countDocuments({
+      _id: { $in: entries.map((entry) => entry._id) },
+    });
+    if (copied !== entries.length) {
+      throw new Error(
+        `Only ${copied} of ${entries.length} entries copied for user ${user._id}`
+      );
+    }
+
+    await users.updateOne(
+      { _id: user._id },
+      { $unset: { generationHistory: "" } }
+    );
+    migratedUsers++;
+  }
+
+  await Generation.syncIndexes();
+  console.log(
+    `Migrated ${migratedEntries} history entries from ${migratedUsers} users`
+  );
+};
+
+migrateHistory()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("History migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+// Grants or removes admin access: node scripts/setUserRole.js <email> <role>
+// where role is "admin" or "user"
+const setUserRole = async ([email, role]) => {
+  const roles = User.schema.path("role").enumValues;
+  if (!email || !roles.includes(role)) {
+    throw new Error(
+      `Usage: node scripts/setUserRole.js <email> <${roles.join("|")}>`
+    );
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB connected");
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  console.log(
+    `${user.email} is now ${role === "admin" ? "an admin" : "a user"}`
+  );
+};
+
+setUserRole(process.argv.slice(2))
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Setting user role failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
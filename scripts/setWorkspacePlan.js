@@ -0,0 +1,39 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import Workspace from "../models/Workspace.js";
+
+// Assigns a plan to a workspace: node scripts/setWorkspacePlan.js
+// <workspaceId> <plan>. New workspaces have no credits until this is done;
+// the plan's allowance is granted on the next request
+const setWorkspacePlan = async ([workspaceId, plan]) => {
+  const plans = Workspace.schema.path("plan").enumValues;
+  if (!mongoose.isValidObjectId(workspaceId) || !plans.includes(plan)) {
+    throw new Error(
+      `Usage: node scripts/setWorkspacePlan.js <workspaceId> <${plans.join(
+        "|"
+      )}>`
+    );
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB connected");
+
+  // Clearing periodStart makes the next request grant the new allowance
+  const workspace = await Workspace.findByIdAndUpdate(
+    workspaceId,
+    { plan, "credits.periodStart": null, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!workspace) {
+    throw new Error(`No workspace with ID ${workspaceId}`);
+  }
+  console.log(`${workspace.name} is now on the ${plan} plan`);
+};
+
+setWorkspacePlan(process.argv.slice(2))
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Setting workspace plan failed:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -4,23 +4,127 @@ import cors from "cors";
 import multer from "multer";
 import PromptEnhancer from "./utils/promptEnhancer.js";
 import ImageGenerator from "./utils/imageGenerator.js";
-import CloudinaryUploader from "./utils/cloudinaryUpload.js";
+import getStorage, { isLocalStorageEnabled } from "./utils/storage/index.js";
+import getMailer from "./utils/mailer/index.js";
+import { PUBLIC_PATH as LOCAL_STORAGE_PATH } from "./utils/storage/localStorage.js";
 import connectMongo from "./utils/connectMongo.js";
-import { requireAuth } from "./middleware/auth.js";
+import { REFERENCE_FIELDS } from "./utils/referenceImages.js";
+import {
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  requireVerifiedEmail,
+} from "./middleware/auth.js";
+import rateLimit from "./middleware/rateLimit.js";
+import { requireWorkspaceRole } from "./middleware/workspace.js";
 import {
   generateImages,
   generateFromImage,
+  editImage,
+  previewPrompt,
+  previewEnhancedPrompts,
+  regenerateHistoryEntry,
+  createVariations,
+  createFeedMockups,
   getHistory,
+  getHistoryTree,
   deleteHistoryEntry,
+  favoriteImage,
+  unfavoriteImage,
   clearHistory,
+  recoverAbandonedJob,
 } from "./controllers/imageController.js";
+import { getJob, streamJobEvents } from "./controllers/jobController.js";
+import {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+} from "./controllers/apiKeyController.js";
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliverWebhook,
+} from "./controllers/webhookController.js";
+import {
+  getModerationPolicy,
+  updateModerationPolicy,
+  listModerationEvents,
+} from "./controllers/moderationController.js";
+import {
+  getUsage,
+  getUsageRecord,
+  getAdminUsage,
+} from "./controllers/usageController.js";
+import webhookDispatcher from "./utils/webhookDispatcher.js";
+import jobQueue from "./utils/jobQueue.js";
+import {
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  inviteMember,
+  listInvitations,
+  cancelInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+} from "./controllers/workspaceController.js";
+import {
+  getCredits,
+  getCreditTransactions,
+} from "./controllers/creditController.js";
+import {
+  createBrandKit,
+  listBrandKits,
+  getBrandKit,
+  updateBrandKit,
+  deleteBrandKit,
+  uploadBrandKitLogo,
+  deleteBrandKitLogo,
+  getBrandKitLogo,
+} from "./controllers/brandKitController.js";
+import {
+  createPromptTemplate,
+  listPromptTemplates,
+  getPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+} from "./controllers/promptTemplateController.js";
+import {
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  removeCollectionItem,
+  reorderCollectionItems,
+} from "./controllers/collectionController.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, take the client IP (used by rate limits) from
+// X-Forwarded-For; TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Connect to MongoDB
 connectMongo();
 
+// Retry failed webhook deliveries in the background
+webhookDispatcher.start();
+
+// Fail generation jobs lost in a restart (or with another server) and
+// refund the credits they held
+jobQueue.start(recoverAbandonedJob);
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -42,6 +146,28 @@ const upload = multer({
 app.use(cors());
 app.use(express.json({ limit: "2mb" }));
 
+// Serve locally stored images, only when local storage is the default
+// (workspaces cannot choose it otherwise)
+const imageStorage = getStorage();
+if (isLocalStorageEnabled()) {
+  app.use(LOCAL_STORAGE_PATH, express.static(getStorage("local").rootDir));
+}
+
+// Throttle auth endpoints against password guessing and mail flooding
+app.use(
+  [
+    "/api/signup",
+    "/api/login",
+    "/api/forgot-password",
+    "/api/reset-password",
+    "/api/verify-email",
+    "/api/resend-verification",
+  ],
+  rateLimit("auth")
+);
+// Refreshing tokens is routine for signed-in clients; it has its own limit
+app.use("/api/refresh", rateLimit("refresh"));
+
 // Auth routes
 import authRoutes from "./routes/auth.js";
 app.use("/api", authRoutes);
@@ -51,9 +177,15 @@ app.use((req, res, next) => {
   const openPaths = [
     "/api/signup",
     "/api/login",
+    "/api/refresh",
+    "/api/logout",
+    "/api/forgot-password",
+    "/api/reset-password",
+    "/api/verify-email",
     "/api/health",
     "/health",
     "/api-docs",
+    LOCAL_STORAGE_PATH,
   ];
   if (openPaths.some((path) => req.path.startsWith(path))) {
     return next();
@@ -87,15 +219,25 @@ app.use((error, req, res, next) => {
 // Initialize services
 const promptEnhancer = new PromptEnhancer();
 const imageGenerator = new ImageGenerator();
-const cloudinaryUploader = new CloudinaryUploader();
 
 // Health check endpoint
 app.get("/health", (req, res) => {
+  const providers = imageGenerator.getProviderStatus();
   const status = {
     server: "running",
-    gemini: imageGenerator.isConfigured(),
+    gemini: providers.gemini.configured,
     openai: promptEnhancer.isConfigured(),
-    cloudinary: cloudinaryUploader.isConfigured(),
+    cloudinary: getStorage("cloudinary").isConfigured(),
+    storage: {
+      driver: imageStorage.name,
+      configured: imageStorage.isConfigured(),
+    },
+    mail: {
+      driver: getMailer().name,
+      configured: getMailer().isConfigured(),
+    },
+    imageGeneration: imageGenerator.isConfigured(),
+    providers,
   };
 
   res.json({
@@ -106,20 +248,389 @@ app.get("/health", (req, res) => {
 });
 
 // Main image generation endpoint
-app.post("/api/generate", express.json(), requireAuth, generateImages);
+app.post(
+  "/api/generate",
+  express.json(),
+  requireAuth,
+  requireScope("generate"),
+  rateLimit("generation"),
+  requireVerifiedEmail,
+  requireWorkspaceRole("editor", { optional: true }),
+  generateImages
+);
 
-// Image-to-image generation endpoint
+// Image-to-image generation endpoint (reference images as image, subject,
+// background and style files)
 app.post(
   "/api/generate-from-image",
-  upload.single("image"),
+  upload.fields(REFERENCE_FIELDS),
   requireAuth,
+  requireScope("generate"),
+  rateLimit("generation"),
+  requireVerifiedEmail,
+  requireWorkspaceRole("editor", { optional: true }),
   generateFromImage
 );
 
-// History endpoints
-app.get("/api/history", requireAuth, getHistory);
-app.delete("/api/history/:historyId", requireAuth, deleteHistoryEntry);
-app.delete("/api/history", requireAuth, clearHistory);
+// Masked edit endpoint: image plus a mask image or rect
+app.post(
+  "/api/edit-image",
+  upload.fields([
+    { name: "image", maxCount: 1 },
+    { name: "mask", maxCount: 1 },
+  ]),
+  requireAuth,
+  requireScope("generate"),
+  rateLimit("generation"),
+  requireVerifiedEmail,
+  requireWorkspaceRole("editor", { optional: true }),
+  editImage
+);
+
+// Generate again from a history entry, or from one of its images
+const historyGenerationAccess = [
+  requireAuth,
+  requireScope("generate"),
+  rateLimit("generation"),
+  requireVerifiedEmail,
+  requireWorkspaceRole("editor", { optional: true }),
+];
+app.post(
+  "/api/history/:historyId/regenerate",
+  ...historyGenerationAccess,
+  regenerateHistoryEntry
+);
+app.post(
+  "/api/history/:historyId/images/:imageIndex/variations",
+  ...historyGenerationAccess,
+  createVariations
+);
+
+// Generation job endpoints (for requests made with async=true)
+app.get("/api/jobs/:jobId", requireAuth, requireScope("generate"), getJob);
+app.get(
+  "/api/jobs/:jobId/events",
+  requireAuth,
+  requireScope("generate"),
+  streamJobEvents
+);
+
+// Credit endpoints
+// (pass workspaceId for a workspace's shared credits)
+const creditsAccess = [
+  requireAuth,
+  requireScope("credits:read"),
+  requireWorkspaceRole("viewer", { optional: true }),
+];
+app.get("/api/credits", ...creditsAccess, getCredits);
+app.get("/api/credits/transactions", ...creditsAccess, getCreditTransactions);
+
+// Usage endpoints: provider calls and estimated cost, by date range
+// (pass workspaceId for a workspace's usage)
+app.get("/api/usage", ...creditsAccess, getUsage);
+app.get("/api/usage/records/:recordId", ...creditsAccess, getUsageRecord);
+
+// API key endpoints (signed-in sessions only)
+app.post("/api/api-keys", requireAuth, requireSession, createApiKey);
+app.get("/api/api-keys", requireAuth, requireSession, listApiKeys);
+app.patch("/api/api-keys/:keyId", requireAuth, requireSession, updateApiKey);
+app.delete("/api/api-keys/:keyId", requireAuth, requireSession, revokeApiKey);
+
+// Workspace endpoints (signed-in sessions only)
+app.post("/api/workspaces", requireAuth, requireSession, createWorkspace);
+app.get("/api/workspaces", requireAuth, requireSession, listWorkspaces);
+app.post(
+  "/api/workspace-invitations/accept",
+  requireAuth,
+  requireSession,
+  acceptInvitation
+);
+const workspaceAccess = (minRole) => [
+  requireAuth,
+  requireSession,
+  requireWorkspaceRole(minRole),
+];
+app.get(
+  "/api/workspaces/:workspaceId",
+  ...workspaceAccess("viewer"),
+  getWorkspace
+);
+app.patch(
+  "/api/workspaces/:workspaceId",
+  ...workspaceAccess("owner"),
+  updateWorkspace
+);
+app.post(
+  "/api/workspaces/:workspaceId/invitations",
+  ...workspaceAccess("owner"),
+  inviteMember
+);
+app.get(
+  "/api/workspaces/:workspaceId/invitations",
+  ...workspaceAccess("owner"),
+  listInvitations
+);
+app.delete(
+  "/api/workspaces/:workspaceId/invitations/:invitationId",
+  ...workspaceAccess("owner"),
+  cancelInvitation
+);
+app.patch(
+  "/api/workspaces/:workspaceId/members/:userId",
+  ...workspaceAccess("owner"),
+  updateMember
+);
+app.delete(
+  "/api/workspaces/:workspaceId/members/:userId",
+  ...workspaceAccess("viewer"),
+  removeMember
+);
+
+// Brand kit endpoints (pass workspaceId to create or list a workspace's
+// kits). API keys with the generate scope can read kits to pick a brandKitId
+app.post(
+  "/api/brand-kits",
+  requireAuth,
+  requireSession,
+  requireWorkspaceRole("editor", { optional: true }),
+  createBrandKit
+);
+app.get(
+  "/api/brand-kits",
+  requireAuth,
+  requireScope("generate"),
+  requireWorkspaceRole("viewer", { optional: true }),
+  listBrandKits
+);
+app.get(
+  "/api/brand-kits/:kitId",
+  requireAuth,
+  requireScope("generate"),
+  getBrandKit
+);
+app.patch(
+  "/api/brand-kits/:kitId",
+  requireAuth,
+  requireSession,
+  updateBrandKit
+);
+app.delete(
+  "/api/brand-kits/:kitId",
+  requireAuth,
+  requireSession,
+  deleteBrandKit
+);
+app.get(
+  "/api/brand-kits/:kitId/logo",
+  requireAuth,
+  requireScope("generate"),
+  getBrandKitLogo
+);
+app.put(
+  "/api/brand-kits/:kitId/logo",
+  upload.single("logo"),
+  requireAuth,
+  requireSession,
+  uploadBrandKitLogo
+);
+app.delete(
+  "/api/brand-kits/:kitId/logo",
+  requireAuth,
+  requireSession,
+  deleteBrandKitLogo
+);
+
+// Alternative enhanced prompts to choose from (calls OpenAI, so it shares
+// the generation rate limit)
+app.post(
+  "/api/enhance-prompt",
+  requireAuth,
+  requireScope("generate"),
+  rateLimit("generation"),
+  requireWorkspaceRole("viewer", { optional: true }),
+  previewEnhancedPrompts
+);
+
+// Prompt template endpoints (pass workspaceId to create or list a
+// workspace's templates). The preview renders the prompt a generate request
+// with the same body would use
+app.post(
+  "/api/prompt-templates/preview",
+  requireAuth,
+  requireScope("generate"),
+  requireWorkspaceRole("viewer", { optional: true }),
+  previewPrompt
+);
+app.post(
+  "/api/prompt-templates",
+  requireAuth,
+  requireSession,
+  requireWorkspaceRole("editor", { optional: true }),
+  createPromptTemplate
+);
+app.get(
+  "/api/prompt-templates",
+  requireAuth,
+  requireScope("generate"),
+  requireWorkspaceRole("viewer", { optional: true }),
+  listPromptTemplates
+);
+app.get(
+  "/api/prompt-templates/:templateId",
+  requireAuth,
+  requireScope("generate"),
+  getPromptTemplate
+);
+app.patch(
+  "/api/prompt-templates/:templateId",
+  requireAuth,
+  requireSession,
+  updatePromptTemplate
+);
+app.delete(
+  "/api/prompt-templates/:templateId",
+  requireAuth,
+  requireSession,
+  deletePromptTemplate
+);
+
+// History endpoints (pass workspaceId for a workspace's shared history)
+const historyRateLimit = rateLimit("history");
+app.get(
+  "/api/history",
+  requireAuth,
+  requireScope("history:read"),
+  historyRateLimit,
+  requireWorkspaceRole("viewer", { optional: true }),
+  getHistory
+);
+app.get(
+  "/api/history/:historyId/tree",
+  requireAuth,
+  requireScope("history:read"),
+  historyRateLimit,
+  requireWorkspaceRole("viewer", { optional: true }),
+  getHistoryTree
+);
+app.delete(
+  "/api/history/:historyId",
+  requireAuth,
+  requireScope("history:write"),
+  historyRateLimit,
+  requireWorkspaceRole("editor", { optional: true }),
+  deleteHistoryEntry
+);
+app.delete(
+  "/api/history",
+  requireAuth,
+  requireScope("history:write"),
+  historyRateLimit,
+  requireWorkspaceRole("owner", { optional: true }),
+  clearHistory
+);
+// Feed mockups of a history image (store=true also needs edit access)
+app.post(
+  "/api/history/:historyId/images/:imageIndex/mockups",
+  requireAuth,
+  requireScope("history:read"),
+  historyRateLimit,
+  requireWorkspaceRole("viewer", { optional: true }),
+  createFeedMockups
+);
+app.put(
+  "/api/history/:historyId/images/:imageIndex/favorite",
+  requireAuth,
+  requireScope("history:write"),
+  historyRateLimit,
+  requireWorkspaceRole("editor", { optional: true }),
+  favoriteImage
+);
+app.delete(
+  "/api/history/:historyId/images/:imageIndex/favorite",
+  requireAuth,
+  requireScope("history:write"),
+  historyRateLimit,
+  requireWorkspaceRole("editor", { optional: true }),
+  unfavoriteImage
+);
+
+// Webhook endpoints (signed POSTs for generation and history events)
+const webhookAccess = [requireAuth, requireScope("webhooks"), historyRateLimit];
+app.post("/api/webhooks", ...webhookAccess, createWebhook);
+app.get("/api/webhooks", ...webhookAccess, listWebhooks);
+app.patch("/api/webhooks/:webhookId", ...webhookAccess, updateWebhook);
+app.delete("/api/webhooks/:webhookId", ...webhookAccess, deleteWebhook);
+app.get(
+  "/api/webhooks/:webhookId/deliveries",
+  ...webhookAccess,
+  listDeliveries
+);
+app.post(
+  "/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver",
+  ...webhookAccess,
+  redeliverWebhook
+);
+
+// Admin moderation endpoints: the content policy screened before every
+// generation, and the audit log of blocked requests
+const adminAccess = [requireAuth, requireSession, requireAdmin];
+app.get("/api/admin/moderation/policy", ...adminAccess, getModerationPolicy);
+app.put("/api/admin/moderation/policy", ...adminAccess, updateModerationPolicy);
+app.get("/api/admin/moderation/events", ...adminAccess, listModerationEvents);
+
+// Admin usage report across every account
+app.get("/api/admin/usage", ...adminAccess, getAdminUsage);
+
+// Collection endpoints (pass workspaceId to create or list a workspace's
+// collections, which hold images from the workspace's history)
+const collectionRead = [
+  requireAuth,
+  requireScope("history:read"),
+  historyRateLimit,
+];
+const collectionWrite = [
+  requireAuth,
+  requireScope("history:write"),
+  historyRateLimit,
+];
+app.post(
+  "/api/collections",
+  ...collectionWrite,
+  requireWorkspaceRole("editor", { optional: true }),
+  createCollection
+);
+app.get(
+  "/api/collections",
+  ...collectionRead,
+  requireWorkspaceRole("viewer", { optional: true }),
+  listCollections
+);
+app.get("/api/collections/:collectionId", ...collectionRead, getCollection);
+app.patch(
+  "/api/collections/:collectionId",
+  ...collectionWrite,
+  updateCollection
+);
+app.delete(
+  "/api/collections/:collectionId",
+  ...collectionWrite,
+  deleteCollection
+);
+app.post(
+  "/api/collections/:collectionId/items",
+  ...collectionWrite,
+  addCollectionItem
+);
+app.put(
+  "/api/collections/:collectionId/items/order",
+  ...collectionWrite,
+  reorderCollectionItems
+);
+app.delete(
+  "/api/collections/:collectionId/items/:itemId",
+  ...collectionWrite,
+  removeCollectionItem
+);
 
 // Start server
 app.listen(PORT, () => {
@@ -129,25 +640,64 @@ app.listen(PORT, () => {
   console.log(
     `🖼️ Generate from image: POST http://localhost:${PORT}/api/generate-from-image`
   );
+  console.log(`🖌️ Edit image: POST http://localhost:${PORT}/api/edit-image`);
+  console.log(
+    `📺 Feed mockups: POST http://localhost:${PORT}/api/history/:historyId/images/:imageIndex/mockups`
+  );
+  console.log(
+    `✨ Enhance prompt: POST http://localhost:${PORT}/api/enhance-prompt`
+  );
+  console.log(`⏳ Job status: GET http://localhost:${PORT}/api/jobs/:jobId`);
+  console.log(`💳 Credits: GET http://localhost:${PORT}/api/credits`);
+  console.log(`🧾 Usage: GET http://localhost:${PORT}/api/usage`);
+  console.log(`👥 Workspaces: GET http://localhost:${PORT}/api/workspaces`);
+  console.log(`🏷️ Brand kits: GET http://localhost:${PORT}/api/brand-kits`);
+  console.log(`🗂️ Collections: GET http://localhost:${PORT}/api/collections`);
+  console.log(
+    `🧩 Prompt templates: GET http://localhost:${PORT}/api/prompt-templates`
+  );
+  console.log(`🪝 Webhooks: GET http://localhost:${PORT}/api/webhooks`);
+  console.log(
+    `🛡️ Moderation policy: GET http://localhost:${PORT}/api/admin/moderation/policy`
+  );
+  console.log(`🗝️ API keys: POST http://localhost:${PORT}/api/api-keys`);
   console.log(`👤 Register: POST http://localhost:${PORT}/api/signup`);
   console.log(`👤 Login: POST http://localhost:${PORT}/api/login`);
+  console.log(
+    `🔑 Password reset: POST http://localhost:${PORT}/api/forgot-password`
+  );
 
   // Check service configurations
   console.log("\n📋 Service Status:");
-  console.log(`   Gemini AI: ${imageGenerator.isConfigured() ? "✅" : "❌"}`);
+  for (const [name, provider] of Object.entries(
+    imageGenerator.getProviderStatus()
+  )) {
+    console.log(
+      `   Image provider ${name}: ${provider.configured ? "✅" : "❌"}`
+    );
+  }
   console.log(`   OpenAI: ${promptEnhancer.isConfigured() ? "✅" : "❌"}`);
   console.log(
-    `   Cloudinary: ${cloudinaryUploader.isConfigured() ? "✅" : "❌"}`
+    `   Storage (${imageStorage.name}): ${
+      imageStorage.isConfigured() ? "✅" : "❌"
+    }`
+  );
+  console.log(
+    `   Mail (${getMailer().name}): ${getMailer().isConfigured() ? "✅" : "❌"}`
   );
 
   if (!imageGenerator.isConfigured()) {
-    console.log("⚠️  Set GEMINI_API_KEY to enable image generation");
+    console.log(
+      "⚠️  Set GEMINI_API_KEY or OPENAI_API_KEY (or MOCK_PROVIDER_ENABLED=true with IMAGE_PROVIDER_ORDER=mock) to enable image generation"
+    );
   }
   if (!promptEnhancer.isConfigured()) {
     console.log("⚠️  Set OPENAI_API_KEY to enable prompt enhancement");
   }
-  if (!cloudinaryUploader.isConfigured()) {
-    console.log("⚠️  Set Cloudinary credentials to enable image uploads");
+  if (!imageStorage.isConfigured()) {
+    console.log(
+      `⚠️  Set ${imageStorage.name} credentials (or STORAGE_DRIVER=local) to enable image uploads`
+    );
   }
 });
 
@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import BrandKit from "../models/BrandKit.js";
+import HttpError from "./httpError.js";
+import { assertResourceAccess, assertSameWorkspace } from "./resourceAccess.js";
+import LogoStamp from "./logoStamp.js";
+import { FONTS } from "./textOverlay.js";
+
+const LIMITS = {
+  colors: 6,
+  bannedTerms: 50,
+  termLength: 50,
+  textLength: 100,
+};
+
+// Kit fields used as defaults for the generation request fields
+const REQUEST_DEFAULTS = {
+  mood: "mood",
+  thumbnailStyle: "thumbnailStyle",
+  textStyle: "textStyle",
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const cleanList = (value, name, maxItems, maxLength) => {
+  if (!Array.isArray(value)) {
+    throw new HttpError(400, `${name} must be an array of strings`);
+  }
+  const items = [
+    ...new Set(
+      value
+        .filter((item) => typeof item === "string")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (
+    items.length > maxItems ||
+    items.some((item) => item.length > maxLength)
+  ) {
+    throw new HttpError(
+      400,
+      `${name} allows up to ${maxItems} entries of up to ${maxLength} characters`
+    );
+  }
+  return items;
+};
+
+/**
+ * Validates brand kit fields from a create or update request
+ * @param {Object} body - Request body
+ * @param {boolean} isCreate - Require the fields a new kit needs
+ * @returns {Object} - Fields to set on the kit
+ * @throws {HttpError} - 400 for invalid fields
+ */
+const parseBrandKitInput = (body, isCreate = false) => {
+  const update = {};
+
+  if (isCreate || body.name !== undefined) {
+    if (
+      typeof body.name !== "string" ||
+      !body.name.trim() ||
+      body.name.trim().length > LIMITS.textLength
+    ) {
+      throw new HttpError(400, "Name is required (up to 100 characters)");
+    }
+    update.name = body.name.trim();
+  }
+
+  if (body.colors !== undefined) {
+    update.colors = cleanList(body.colors, "colors", LIMITS.colors, 30);
+  }
+  if (body.bannedTerms !== undefined) {
+    update.bannedTerms = cleanList(
+      body.bannedTerms,
+      "bannedTerms",
+      LIMITS.bannedTerms,
+      LIMITS.termLength
+    );
+  }
+
+  for (const field of Object.keys(REQUEST_DEFAULTS)) {
+    if (body[field] === undefined) continue;
+    if (
+      body[field] !== null &&
+      (typeof body[field] !== "string" ||
+        body[field].length > LIMITS.textLength)
+    ) {
+      throw new HttpError(
+        400,
+        `${field} must be a string of up to ${LIMITS.textLength} characters`
+      );
+    }
+    update[field] = body[field] || undefined;
+  }
+
+  if (body.font !== undefined) {
+    if (body.font !== null && !FONTS[body.font]) {
+      throw new HttpError(400, `Unknown font "${body.font}"`, {
+        fonts: Object.keys(FONTS),
+      });
+    }
+    update.font = body.font || undefined;
+  }
+
+  if (body.logoPlacement !== undefined) {
+    const { placement, error } = new LogoStamp().resolvePlacement(
+      body.logoPlacement
+    );
+    if (error) throw new HttpError(400, error);
+    update.logoPlacement = placement;
+  }
+
+  return update;
+};
+
+/**
+ * Loads a brand kit the user may access (see assertResourceAccess)
+ * @param {string} kitId - Brand kit ID
+ * @param {string} userId - Requesting user
+ * @param {string} minRole - Lowest workspace role allowed
+ * @returns {Promise<Object>} - Brand kit document
+ * @throws {HttpError} - 404 if missing or hidden, 403 if the role is too low
+ */
+const findBrandKit = async (kitId, userId, minRole = "viewer") => {
+  const kit = mongoose.isValidObjectId(kitId)
+    ? await BrandKit.findById(kitId)
+    : null;
+  await assertResourceAccess(kit, userId, minRole, "Brand kit");
+  return kit;
+};
+
+/**
+ * Loads the brand kit named in a generation request. Workspace kits can
+ * only be used for generations in that workspace.
+ * @param {string} kitId - brandKitId from the request (optional)
+ * @param {Object} context - { userId, workspace } of the generation
+ * @returns {Promise<Object|null>} - Brand kit, or null when none was given
+ */
+const loadGenerationBrandKit = async (kitId, { userId, workspace }) => {
+  if (isBlank(kitId)) return null;
+
+  const kit = await findBrandKit(kitId, userId, "viewer");
+  assertSameWorkspace(kit, workspace, "Brand kit");
+  return kit;
+};
+
+/**
+ * Fills request fields the client left out from a brand kit. Request
+ * fields always win.
+ * @param {Object} body - Generation request body
+ * @param {Object} kit - Brand kit (optional)
+ * @returns {Object} - Body with kit defaults applied
+ */
+const applyBrandKit = (body, kit) => {
+  if (!kit) return body;
+
+  const merged = { ...body };
+  if (isBlank(merged.primaryColor) && kit.colors?.length > 0) {
+    merged.primaryColor = kit.colors[0];
+  }
+  for (const [kitField, requestField] of Object.entries(REQUEST_DEFAULTS)) {
+    if (isBlank(merged[requestField]) && !isBlank(kit[kitField])) {
+      merged[requestField] = kit[kitField];
+    }
+  }
+
+  // The kit font applies unless the request picks its own
+  if (kit.font) {
+    let overlay = merged.textOverlay;
+    if (typeof overlay === "string") {
+      try {
+        overlay = JSON.parse(overlay);
+      } catch (e) {
+        // Left as is so the overlay validation reports it
+        return merged;
+      }
+    }
+    if (!overlay?.font) {
+      merged.textOverlay = { ...(overlay || {}), font: kit.font };
+    }
+  }
+  return merged;
+};
+
+/**
+ * Removes banned terms (whole words or phrases in any script, any case)
+ * from a prompt
+ * @param {string} prompt - Prompt to clean
+ * @param {string[]} terms - Banned terms
+ * @returns {string} - Prompt without the terms
+ */
+const removeBannedTerms = (prompt, terms = []) => {
+  let cleaned = prompt;
+  for (const term of terms) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    // Not \b: terms may start or end with symbols (e.g. "C++", "#ad")
+    cleaned = cleaned.replace(
+      new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "giu"),
+      ""
+    );
+  }
+  // Tidy the gaps and dangling commas left behind
+  return cleaned
+    .replace(/\s+,/g, ",")
+    .replace(/,(\s*,)+/g, ",")
+    .replace(/\s{2,}/g, " ")
+    .replace(/^[\s,]+|[\s,]+$/g, "");
+};
+
+/**
+ * Resolves the logo stamp for a generation
+ * @param {Object} kit - Brand kit (optional)
+ * @param {boolean|undefined} stampLogo - Request override of the kit setting
+ * @returns {Object|null} - { buffer, placement } or null for no stamp
+ */
+const resolveBrandLogo = (kit, stampLogo) => {
+  if (!kit?.logo?.data) {
+    if (stampLogo === true) {
+      throw new HttpError(400, "This brand kit has no logo to stamp");
+    }
+    return null;
+  }
+
+  const { placement } = new LogoStamp().resolvePlacement(kit.logoPlacement);
+  const enabled = stampLogo ?? placement.enabled;
+  return enabled ? { buffer: kit.logo.data, placement } : null;
+};
+
+export {
+  parseBrandKitInput,
+  findBrandKit,
+  loadGenerationBrandKit,
+  applyBrandKit,
+  removeBannedTerms,
+  resolveBrandLogo,
+};
@@ -0,0 +1,237 @@
+import OpenAI from "openai";
+import sharp from "sharp";
+import ModerationPolicy from "../models/ModerationPolicy.js";
+import ModerationEvent from "../models/ModerationEvent.js";
+import HttpError from "./httpError.js";
+
+const PROVIDER_MODEL = "omni-moderation-latest";
+
+// Images are screened at this size; enough for moderation, and small
+const SCREEN_SIZE = 512;
+
+// The policy is reloaded at most this often (saving it clears the cache)
+const POLICY_TTL_MS = 30 * 1000;
+let policyCache = null;
+
+// Longest matched text reported back, in characters
+const MATCH_LENGTH = 200;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds the matcher for a rule: terms match whole words (in any script),
+ * regexes as written; both ignore case
+ * @param {Object} rule - { type, pattern }
+ * @returns {RegExp}
+ * @throws {SyntaxError} - When a regex rule does not compile
+ */
+const compileRule = ({ type, pattern }) =>
+  type === "term"
+    ? new RegExp(
+        `(?<![\\p{L}\\p{N}])${escapeRegExp(
+          pattern.trim().replace(/\s+/g, " ")
+        ).replace(/ /g, "\\s+")}(?![\\p{L}\\p{N}])`,
+        "iu"
+      )
+    : new RegExp(pattern, "i");
+
+// Forget the cached policy, e.g. after an admin saves a new one
+const clearPolicyCache = () => {
+  policyCache = null;
+};
+
+/**
+ * Screens prompts and reference images before they reach an image
+ * provider: first against the admin-editable local policy, then (when the
+ * policy enables it) with the OpenAI moderation API. Blocked requests are
+ * recorded for the audit log.
+ */
+class ContentModerator {
+  constructor() {
+    this.openai = null;
+  }
+
+  /**
+   * Lazily creates the OpenAI client so the server can start without a key
+   * @returns {OpenAI} - OpenAI client
+   */
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    }
+    return this.openai;
+  }
+
+  /**
+   * The current policy with its enabled rules compiled
+   * @returns {Promise<{ providerCheck: boolean, rules: Object[] }>} - Rules
+   * as { rule, regex }
+   */
+  async loadPolicy() {
+    if (policyCache && Date.now() - policyCache.loadedAt < POLICY_TTL_MS) {
+      return policyCache.policy;
+    }
+
+    const stored = await ModerationPolicy.load();
+    const rules = stored.rules
+      .filter((rule) => rule.enabled !== false)
+      .flatMap((rule) => {
+        try {
+          return [{ rule, regex: compileRule(rule) }];
+        } catch (error) {
+          // Rules are validated when saved; skip one that no longer compiles
+          console.error(`Skipping moderation rule "${rule.name}":`, error);
+          return [];
+        }
+      });
+    const policy = { providerCheck: stored.providerCheck, rules };
+    policyCache = { policy, loadedAt: Date.now() };
+    return policy;
+  }
+
+  /**
+   * Checks a prompt against the policy rules, then the moderation provider
+   * @param {string} prompt - Prompt about to be sent to a provider
+   * @returns {Promise<Object|null>} - Violation as { target, source, rule,
+   * match }, or null when allowed
+   */
+  async checkPrompt(prompt) {
+    if (!prompt) return null;
+    const policy = await this.loadPolicy();
+
+    for (const { rule, regex } of policy.rules) {
+      const match = regex.exec(prompt);
+      if (match) {
+        return {
+          target: "prompt",
+          source: "policy",
+          rule: {
+            id: rule._id ? String(rule._id) : null,
+            name: rule.name,
+            category: rule.category,
+          },
+          match: match[0].slice(0, MATCH_LENGTH),
+        };
+      }
+    }
+
+    if (policy.providerCheck && this.isProviderConfigured()) {
+      return this.checkWithProvider(prompt, "prompt");
+    }
+    return null;
+  }
+
+  /**
+   * Screens reference images with the moderation provider. Local rules
+   * only cover text, so nothing is checked when the provider is off.
+   * @param {Buffer[]} imageBuffers - Images about to be sent to a provider
+   * @returns {Promise<Object|null>} - Violation, or null when allowed
+   */
+  async checkImages(imageBuffers) {
+    const policy = await this.loadPolicy();
+    if (!policy.providerCheck || !this.isProviderConfigured()) return null;
+
+    for (const buffer of imageBuffers) {
+      const preview = await sharp(buffer)
+        .rotate()
+        .resize(SCREEN_SIZE, SCREEN_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+      const violation = await this.checkWithProvider(
+        [
+          {
+            type: "image_url",
+            image_url: {
+              url: `data:image/jpeg;base64,${preview.toString("base64")}`,
+            },
+          },
+        ],
+        "image"
+      );
+      if (violation) return violation;
+    }
+    return null;
+  }
+
+  /**
+   * Asks the OpenAI moderation API about one input. Errors are logged and
+   * the input is allowed, so an outage does not stop generation.
+   * @param {string|Object[]} input - Text, or multi-modal input parts
+   * @param {string} target - "prompt" or "image"
+   * @returns {Promise<Object|null>} - Violation, or null when allowed
+   */
+  async checkWithProvider(input, target) {
+    try {
+      const response = await this.getClient().moderations.create({
+        model: PROVIDER_MODEL,
+        input,
+      });
+      const flagged = response.results.find((result) => result.flagged);
+      if (!flagged) return null;
+
+      const categories = Object.entries(flagged.categories)
+        .filter(([, value]) => value)
+        .map(([category]) => category);
+      return {
+        target,
+        source: "provider",
+        rule: {
+          id: null,
+          name: "OpenAI moderation",
+          category: categories.join(", ") || "flagged",
+        },
+      };
+    } catch (error) {
+      console.error("Moderation provider error:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Screens a generation request and blocks it when anything violates the
+   * policy
+   * @param {Object} input - { prompt, images } (images as buffers)
+   * @param {Object} context - { userId, workspace } of the request
+   * @param {string} type - Generation type, for the audit log
+   * @returns {Promise<void>}
+   * @throws {HttpError} - 422 with the violated rule
+   */
+  async screen({ prompt, images = [] }, context, type) {
+    const violation =
+      (await this.checkPrompt(prompt)) ||
+      (images.length > 0 ? await this.checkImages(images) : null);
+    if (!violation) return;
+
+    if (context.userId) {
+      await ModerationEvent.record(context, violation, { type, prompt }).catch(
+        (error) => console.error("Moderation audit error:", error)
+      );
+    }
+
+    const { target, source, rule, match } = violation;
+    throw new HttpError(422, "Content policy violation", {
+      details:
+        source === "policy"
+          ? `The ${target} matches the "${rule.name}" rule (${rule.category})`
+          : `The ${target} was flagged by content moderation (${rule.category})`,
+      violation: { target, source, rule, match },
+    });
+  }
+
+  /**
+   * Validates if the moderation provider can be used
+   * @returns {boolean} - True if an OpenAI API key is available
+   */
+  isProviderConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+}
+
+export { compileRule, clearPolicyCache };
+export default ContentModerator;
@@ -0,0 +1,230 @@
+import User from "../models/User.js";
+import Workspace from "../models/Workspace.js";
+import CreditTransaction from "../models/CreditTransaction.js";
+import HttpError from "./httpError.js";
+import { getPlan } from "./plans.js";
+
+// First instant of the calendar month (UTC) that contains a date
+const monthStart = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const nextMonthStart = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+/**
+ * Credits belong to a workspace when the request is made inside one, and
+ * to the user otherwise. An owner is { userId, workspaceId }.
+ * @param {Object} owner - { userId, workspaceId }
+ * @returns {Object} - { Model, id, ledger } where ledger holds the
+ * transaction fields identifying the owner
+ */
+const resolveAccount = ({ userId, workspaceId } = {}) =>
+  workspaceId
+    ? {
+        Model: Workspace,
+        id: workspaceId,
+        ledger: { user: userId, workspace: workspaceId },
+      }
+    : { Model: User, id: userId, ledger: { user: userId } };
+
+class CreditManager {
+  /**
+   * Loads the account that owns the credits, granting the monthly allowance
+   * when a new month started since the last grant. Unused credits from
+   * earlier months lapse.
+   * @param {Object} owner - { userId, workspaceId }
+   * @returns {Promise<Object|null>} - User or workspace, or null if not found
+   */
+  async loadAccount(owner) {
+    const { Model, id, ledger } = resolveAccount(owner);
+    const account = await Model.findById(id);
+    if (!account) return null;
+
+    const plan = getPlan(account.plan);
+    const periodStart = monthStart();
+    if (
+      plan.monthlyCredits === null ||
+      account.credits?.periodStart >= periodStart
+    ) {
+      return account;
+    }
+
+    // Only one concurrent request may apply the grant
+    const previousBalance = account.credits?.balance || 0;
+    const updated = await Model.findOneAndUpdate(
+      {
+        _id: account._id,
+        $or: [
+          { "credits.periodStart": null },
+          { "credits.periodStart": { $lt: periodStart } },
+        ],
+      },
+      {
+        $set: {
+          "credits.balance": plan.monthlyCredits,
+          "credits.periodStart": periodStart,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return Model.findById(id);
+    }
+
+    await CreditTransaction.create({
+      ...ledger,
+      type: "allowance",
+      amount: plan.monthlyCredits - previousBalance,
+      balanceAfter: plan.monthlyCredits,
+      reason: `Monthly ${plan.name} allowance`,
+    });
+    return updated;
+  }
+
+  /**
+   * Summarises an account's balance and plan limits
+   * @param {Object} owner - { userId, workspaceId }
+   * @returns {Promise<Object|null>} - Credit summary, or null if not found
+   */
+  async getSummary(owner) {
+    const account = await this.loadAccount(owner);
+    if (!account) return null;
+
+    const plan = getPlan(account.plan);
+    const unmetered = plan.monthlyCredits === null;
+    return {
+      plan: plan.name,
+      balance: unmetered ? null : account.credits.balance,
+      monthlyAllowance: plan.monthlyCredits,
+      maxImageCount: plan.maxImageCount,
+      periodStart: unmetered ? null : account.credits.periodStart,
+      resetsAt: unmetered ? null : nextMonthStart(),
+    };
+  }
+
+  /**
+   * Holds credits for a generation before any provider is called
+   * @param {Object} owner - { userId, workspaceId } to charge
+   * @param {number} imageCount - Images requested (one credit each); the
+   * plan's maximum when undefined
+   * @param {string} generationType - "text-to-image" or "image-to-image"
+   * @returns {Promise<Object>} - Reservation { id, owner, amount, imageCount }
+   * @throws {HttpError} - 400 above the plan's imageCount, 402 when depleted
+   */
+  async reserve(owner, requestedCount, generationType) {
+    const { Model, ledger } = resolveAccount(owner);
+    const account = await this.loadAccount(owner);
+    if (!account) {
+      throw new HttpError(404, `${Model.modelName} not found`);
+    }
+
+    const plan = getPlan(account.plan);
+    const imageCount = requestedCount ?? plan.maxImageCount;
+    if (imageCount > plan.maxImageCount) {
+      throw new HttpError(
+        400,
+        `The ${plan.name} plan allows up to ${plan.maxImageCount} images per request`,
+        { plan: plan.name, maxImageCount: plan.maxImageCount }
+      );
+    }
+    if (plan.monthlyCredits === null) {
+      return { id: null, owner, amount: 0, imageCount };
+    }
+    if (plan.monthlyCredits === 0 && account.credits.balance < imageCount) {
+      throw new HttpError(402, "Insufficient credits", {
+        details: `The ${plan.name} plan has no credit allowance. Ask an administrator to assign a plan.`,
+        balance: account.credits.balance,
+        required: imageCount,
+      });
+    }
+
+    // Decrement only if the balance covers the whole request
+    const updated = await Model.findOneAndUpdate(
+      { _id: account._id, "credits.balance": { $gte: imageCount } },
+      { $inc: { "credits.balance": -imageCount } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new HttpError(402, "Insufficient credits", {
+        details: `This request needs ${imageCount} credits but only ${
+          account.credits.balance
+        } remain. Credits reset on ${nextMonthStart().toISOString()}.`,
+        balance: account.credits.balance,
+        required: imageCount,
+        resetsAt: nextMonthStart(),
+      });
+    }
+
+    const transaction = await CreditTransaction.create({
+      ...ledger,
+      type: "reserve",
+      amount: -imageCount,
+      balanceAfter: updated.credits.balance,
+      generationType,
+      reason: `Reserved for ${imageCount} image${imageCount === 1 ? "" : "s"}`,
+    });
+    return {
+      id: transaction._id,
+      owner,
+      amount: imageCount,
+      imageCount,
+    };
+  }
+
+  /**
+   * Settles a reservation once a generation finishes, refunding credits
+   * for every image that was not delivered. A reservation is settled only
+   * once; later calls (e.g. from the recovery of a job whose server stopped
+   * after settling it) change nothing.
+   * @param {Object} reservation - Reservation returned by reserve()
+   * @param {number} delivered - Images actually delivered to the user
+   * @param {string} reason - Why credits were refunded
+   * @returns {Promise<Object>} - { charged, refunded, balance }
+   */
+  async settle(reservation, delivered, reason = "Images not delivered") {
+    if (!reservation?.id) {
+      return { charged: 0, refunded: 0, balance: null };
+    }
+
+    const { Model, id, ledger } = resolveAccount(reservation.owner);
+    const currentBalance = async () => {
+      const account = await Model.findById(id).select("credits");
+      return account?.credits.balance ?? null;
+    };
+
+    const claimed = await CreditTransaction.findOneAndUpdate(
+      { _id: reservation.id, type: "reserve", settledAt: null },
+      { settledAt: new Date() }
+    );
+    if (!claimed) {
+      console.log(`Reservation ${reservation.id} was already settled`);
+      return { charged: 0, refunded: 0, balance: await currentBalance() };
+    }
+
+    const refunded = Math.max(0, reservation.amount - delivered);
+    const charged = reservation.amount - refunded;
+    if (refunded === 0) {
+      return { charged, refunded, balance: await currentBalance() };
+    }
+
+    const updated = await Model.findOneAndUpdate(
+      { _id: id },
+      { $inc: { "credits.balance": refunded } },
+      { new: true }
+    );
+    await CreditTransaction.create({
+      ...ledger,
+      type: "refund",
+      amount: refunded,
+      balanceAfter: updated?.credits.balance,
+      reservation: reservation.id,
+      reason,
+    });
+    console.log(
+      `Refunded ${refunded} credits to ${Model.modelName.toLowerCase()} ${id}: ${reason}`
+    );
+    return { charged, refunded, balance: updated?.credits.balance ?? null };
+  }
+}
+
+export default CreditManager;
@@ -0,0 +1,477 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+const LAYOUT_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "assets",
+  "mockups",
+  "layouts.json"
+);
+
+// Layouts are in CSS pixels and drawn at `scale` (2 = high-DPI screens)
+const {
+  scale: SCALE,
+  font: FONT,
+  themes: THEMES,
+  layouts: LAYOUTS,
+} = JSON.parse(fs.readFileSync(LAYOUT_FILE, "utf8"));
+
+const LIMITS = {
+  title: 100,
+  channelName: 100,
+  stat: 30,
+  // 24 hours, in seconds
+  duration: 24 * 60 * 60,
+};
+
+// Shown under the title when the request does not send them
+const DEFAULT_STATS = { views: "12K views", age: "3 days ago" };
+
+// Avatar colors, picked from a hash of the channel name
+const AVATAR_COLORS = [
+  "#c62828",
+  "#6a1b9a",
+  "#283593",
+  "#00838f",
+  "#2e7d32",
+  "#ef6c00",
+  "#4e342e",
+  "#37474f",
+];
+
+const escapeMarkup = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const px = (value) => Math.round(value * SCALE);
+
+/**
+ * Parses a video duration given in seconds or as m:ss / h:mm:ss
+ * @param {number|string} value - Duration from the request
+ * @returns {string|null} - Badge text (e.g. "12:05", "1:02:03"), or null
+ * when invalid
+ */
+const formatDuration = (value) => {
+  const input = String(value ?? "").trim();
+  let seconds;
+  if (/^\d+$/.test(input)) {
+    seconds = Number(input);
+  } else {
+    const match = input.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const [hours, minutes, secs] = [match[1] || 0, match[2], match[3]].map(
+      Number
+    );
+    if (secs > 59 || (match[1] !== undefined && minutes > 59)) return null;
+    seconds = hours * 3600 + minutes * 60 + secs;
+  }
+  if (seconds < 1 || seconds > LIMITS.duration) return null;
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (number) => String(number).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+    : `${minutes}:${pad(seconds % 60)}`;
+};
+
+// Split a list given as an array or comma-separated string
+const parseList = (input, allowed, name) => {
+  if (input === undefined || input === null || input === "") {
+    return { values: allowed, error: null };
+  }
+  const values = (Array.isArray(input) ? input : String(input).split(","))
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+  const unknown = values.find((value) => !allowed.includes(value));
+  if (unknown || values.length === 0) {
+    return {
+      values: null,
+      error: `Invalid ${name}${
+        unknown ? ` "${unknown}"` : ""
+      }. Use one or more of: ${allowed.join(", ")}`,
+    };
+  }
+  return { values: [...new Set(values)], error: null };
+};
+
+class FeedMockup {
+  constructor() {
+    // Text widths by font and text; the same lines repeat across themes
+    this.widths = new Map();
+  }
+
+  /**
+   * Validates mockup options from a request
+   * @param {Object} input - { title, channelName, duration, views, age,
+   * layouts, themes }
+   * @returns {{ options: Object|null, error: string|null }}
+   */
+  resolveOptions(input = {}) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title || title.length > LIMITS.title) {
+      return {
+        options: null,
+        error: `title is required (up to ${LIMITS.title} characters)`,
+      };
+    }
+    const channelName =
+      typeof input.channelName === "string" ? input.channelName.trim() : "";
+    if (!channelName || channelName.length > LIMITS.channelName) {
+      return {
+        options: null,
+        error: `channelName is required (up to ${LIMITS.channelName} characters)`,
+      };
+    }
+    const duration = formatDuration(input.duration);
+    if (!duration) {
+      return {
+        options: null,
+        error: "duration must be seconds or m:ss / h:mm:ss, up to 24 hours",
+      };
+    }
+
+    const stats = {};
+    for (const field of ["views", "age"]) {
+      const value = input[field] ?? DEFAULT_STATS[field];
+      if (typeof value !== "string" || value.length > LIMITS.stat) {
+        return {
+          options: null,
+          error: `${field} must be a string of up to ${LIMITS.stat} characters`,
+        };
+      }
+      stats[field] = value.trim() || DEFAULT_STATS[field];
+    }
+
+    const layouts = parseList(input.layouts, Object.keys(LAYOUTS), "layout");
+    if (layouts.error) return { options: null, error: layouts.error };
+    const themes = parseList(input.themes, Object.keys(THEMES), "theme");
+    if (themes.error) return { options: null, error: themes.error };
+
+    return {
+      options: {
+        title,
+        channelName,
+        duration,
+        ...stats,
+        layouts: layouts.values,
+        themes: themes.values,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Renders every requested layout in every requested theme
+   * @param {Buffer} thumbnailBuffer - Thumbnail image
+   * @param {Object} options - Options from resolveOptions()
+   * @returns {Promise<Object[]>} - { layout, label, theme, data, width,
+   * height } with PNG data
+   */
+  async renderAll(thumbnailBuffer, options) {
+    const mockups = [];
+    // One at a time; each render holds a few full-size layers in memory
+    for (const layout of options.layouts) {
+      for (const theme of options.themes) {
+        const { data, width, height } = await this.render(
+          thumbnailBuffer,
+          options,
+          layout,
+          theme
+        );
+        mockups.push({
+          layout,
+          label: LAYOUTS[layout].label,
+          theme,
+          data,
+          width,
+          height,
+        });
+      }
+    }
+    return mockups;
+  }
+
+  /**
+   * Renders the thumbnail in one feed layout
+   * @param {Buffer} thumbnailBuffer - Thumbnail image
+   * @param {Object} options - Options from resolveOptions()
+   * @param {string} layoutName - Key of a layout in layouts.json
+   * @param {string} themeName - "light" or "dark"
+   * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+   */
+  async render(thumbnailBuffer, options, layoutName, themeName) {
+    const layout = LAYOUTS[layoutName];
+    const theme = THEMES[themeName];
+    const width = px(layout.width);
+    const height = px(layout.height);
+
+    const layers = [
+      {
+        input: await this.renderThumbnail(
+          thumbnailBuffer,
+          layout,
+          theme,
+          options.duration
+        ),
+        left: px(layout.thumbnail.x),
+        top: px(layout.thumbnail.y),
+      },
+    ];
+
+    if (layout.avatar) {
+      layers.push({
+        input: await this.renderAvatar(
+          options.channelName,
+          px(layout.avatar.size)
+        ),
+        left: px(layout.avatar.x),
+        top: px(layout.avatar.y),
+      });
+    }
+
+    let top = px(layout.text.y);
+    for (const line of layout.text.lines) {
+      top += px(line.marginTop || 0);
+      const lineHeight = px(line.lineHeight);
+      let left = px(layout.text.x);
+      let maxWidth = px(layout.text.width);
+
+      if (line.avatar) {
+        const size = px(line.avatar);
+        layers.push({
+          input: await this.renderAvatar(options.channelName, size),
+          left,
+          top: top + Math.round((lineHeight - size) / 2),
+        });
+        left += size + px(8);
+        maxWidth -= size + px(8);
+      }
+
+      const style = { fontSize: px(line.fontSize), weight: line.weight };
+      const texts = await this.wrapText(
+        this.fieldText(line.field, options),
+        style,
+        maxWidth,
+        line.maxLines || 1
+      );
+      for (const text of texts) {
+        const rendered = await this.renderText(text, style, theme[line.color]);
+        layers.push({
+          input: rendered.data,
+          left,
+          top: Math.max(
+            0,
+            top + Math.round((lineHeight - rendered.height) / 2)
+          ),
+        });
+        top += lineHeight;
+      }
+    }
+
+    const data = await sharp({
+      create: { width, height, channels: 4, background: theme.background },
+    })
+      .composite(layers)
+      .png()
+      .toBuffer();
+    return { data, width, height };
+  }
+
+  /**
+   * Crops the thumbnail to the layout's slot, rounds its corners and draws
+   * the duration badge bottom-right
+   * @returns {Promise<Buffer>} - PNG buffer at the slot size
+   */
+  async renderThumbnail(thumbnailBuffer, layout, theme, duration) {
+    const width = px(layout.thumbnail.width);
+    const height = px(layout.thumbnail.height);
+    const radius = px(layout.thumbnail.radius);
+
+    const badgeText = await this.renderText(
+      duration,
+      { fontSize: px(layout.badge.fontSize), weight: "Medium" },
+      theme.badgeText
+    );
+    const badgeWidth = badgeText.width + px(8);
+    const badgeHeight = badgeText.height + px(2);
+    const badgeLeft = width - px(layout.badge.margin) - badgeWidth;
+    const badgeTop = height - px(layout.badge.margin) - badgeHeight;
+
+    const layers = [
+      {
+        input: Buffer.from(
+          `<svg width="${badgeWidth}" height="${badgeHeight}"><rect width="${badgeWidth}" height="${badgeHeight}" rx="${px(
+            4
+          )}" fill="${theme.badgeBackground}" fill-opacity="${
+            theme.badgeOpacity
+          }"/></svg>`
+        ),
+        left: badgeLeft,
+        top: badgeTop,
+      },
+      {
+        input: badgeText.data,
+        left: badgeLeft + px(4),
+        top: badgeTop + px(1),
+      },
+    ];
+    if (radius > 0) {
+      layers.push({
+        input: Buffer.from(
+          `<svg width="${width}" height="${height}"><rect width="${width}" height="${height}" rx="${radius}"/></svg>`
+        ),
+        blend: "dest-in",
+      });
+    }
+
+    return sharp(thumbnailBuffer)
+      .resize(width, height, { fit: "cover" })
+      .ensureAlpha()
+      .composite(layers)
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Draws a round avatar with the channel's initial
+   * @param {string} channelName - Channel name
+   * @param {number} size - Diameter in pixels
+   * @returns {Promise<Buffer>} - PNG buffer
+   */
+  async renderAvatar(channelName, size) {
+    let hash = 0;
+    for (const char of channelName) {
+      hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    const color = AVATAR_COLORS[hash % AVATAR_COLORS.length];
+    const initial = await this.renderText(
+      [...channelName][0].toUpperCase(),
+      { fontSize: Math.round(size * 0.45), weight: "Medium" },
+      "#ffffff"
+    );
+
+    return sharp(
+      Buffer.from(
+        `<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${
+          size / 2
+        }" r="${size / 2}" fill="${color}"/></svg>`
+      )
+    )
+      .composite([
+        {
+          input: initial.data,
+          left: Math.max(0, Math.round((size - initial.width) / 2)),
+          top: Math.max(0, Math.round((size - initial.height) / 2)),
+        },
+      ])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Text for a layout line
+   * @param {string} field - title, channel, stats or channelStats
+   * @param {Object} options - Options from resolveOptions()
+   * @returns {string}
+   */
+  fieldText(field, options) {
+    const stats = `${options.views} • ${options.age}`;
+    switch (field) {
+      case "title":
+        return options.title;
+      case "channel":
+        return options.channelName;
+      case "channelStats":
+        return `${options.channelName} • ${stats}`;
+      default:
+        return stats;
+    }
+  }
+
+  /**
+   * Wraps text onto at most maxLines lines, ending the last one with an
+   * ellipsis when the text does not fit
+   * @returns {Promise<string[]>} - Lines
+   */
+  async wrapText(text, style, maxWidth, maxLines) {
+    const lines = [];
+    let rest = text.split(/\s+/);
+    while (rest.length > 0 && lines.length < maxLines) {
+      let count = 1;
+      while (
+        count < rest.length &&
+        (await this.measure(rest.slice(0, count + 1).join(" "), style)) <=
+          maxWidth
+      ) {
+        count++;
+      }
+      lines.push(rest.slice(0, count).join(" "));
+      rest = rest.slice(count);
+    }
+
+    if (rest.length > 0) {
+      lines[lines.length - 1] += ` ${rest.join(" ")}`;
+    }
+    return Promise.all(
+      lines.map((line) => this.ellipsize(line, style, maxWidth))
+    );
+  }
+
+  /**
+   * Shortens text with a trailing ellipsis until it fits
+   * @returns {Promise<string>} - The text, shortened when needed
+   */
+  async ellipsize(text, style, maxWidth) {
+    if ((await this.measure(text, style)) <= maxWidth) return text;
+
+    // Longest prefix that fits with the ellipsis
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      const candidate = `${text.slice(0, middle).trimEnd()}…`;
+      if ((await this.measure(candidate, style)) <= maxWidth) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return `${text.slice(0, low).trimEnd()}…`;
+  }
+
+  /**
+   * @returns {Promise<number>} - Rendered width of the text in pixels
+   */
+  async measure(text, style) {
+    const key = `${style.weight}|${style.fontSize}|${text}`;
+    if (!this.widths.has(key)) {
+      const { width } = await this.renderText(text, style, "#000000");
+      this.widths.set(key, width);
+    }
+    return this.widths.get(key);
+  }
+
+  /**
+   * Renders one line of text with the layout font
+   * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+   */
+  async renderText(text, { fontSize, weight }, color) {
+    const { data, info } = await sharp({
+      text: {
+        text: `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+        font: `${FONT} ${weight || "Normal"} ${fontSize}`,
+        dpi: 72,
+        rgba: true,
+      },
+    })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+}
+
+export { LAYOUTS, THEMES, formatDuration };
+export default FeedMockup;
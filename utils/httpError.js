@@ -0,0 +1,27 @@
+/**
+ * Error carrying an HTTP status so controllers can map failures from
+ * shared generation code onto the right response.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Short error message (sent as `error`)
+   * @param {Object} extra - Optional extra fields merged into the response body
+   */
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.extra = extra;
+  }
+
+  /**
+   * Builds the JSON body sent to the client
+   * @returns {Object} - Response payload
+   */
+  toJSON() {
+    return { error: this.message, ...this.extra };
+  }
+}
+
+export default HttpError;
@@ -1,30 +1,78 @@
-import { GoogleGenAI } from "@google/genai";
-import OpenAI from "openai";
-import mime from "mime";
+import sharp from "sharp";
+import providerRegistry from "./providers/index.js";
 
 class ImageGenerator {
-  constructor() {
-    this.ai = new GoogleGenAI({
-      apiKey: process.env.GEMINI_API_KEY,
-    });
+  /**
+   * @param {ProviderRegistry} registry - Registry of image providers
+   */
+  constructor(registry = providerRegistry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Checks a per-request provider/model selection against the registry
+   * @param {string} type - "text-to-image", "image-to-image" or "image-edit"
+   * @param {string} providerName - Requested provider (optional)
+   * @param {string} model - Requested model (optional)
+   * @returns {string|null} - Error message, or null when the selection is valid
+   */
+  validateSelection(type, providerName, model) {
+    if (providerName) {
+      const provider = this.registry.get(providerName);
+      if (!provider) {
+        return `Unknown provider "${providerName}"`;
+      }
+      if (!this.registry.supports(provider, type)) {
+        return `Provider "${providerName}" does not support ${type}`;
+      }
+      if (!provider.isConfigured()) {
+        return `Provider "${providerName}" is not configured`;
+      }
+      if (model && !provider.models.includes(model)) {
+        return `Model "${model}" is not available for provider "${providerName}"`;
+      }
+      return null;
+    }
 
-    // Initialize OpenAI for image generation as fallback
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    const offered = this.resolveProviders(type).some((provider) =>
+      provider.models.includes(model)
+    );
+    if (model && !offered) {
+      return `Model "${model}" is not available for ${type}`;
+    }
+    return null;
+  }
 
-    this.useOpenAI = true; // Use OpenAI DALL-E for now since Gemini image models have access issues
+  /**
+   * Resolves the providers to try for a request, in order
+   * @param {string} type - "text-to-image", "image-to-image" or "image-edit"
+   * @param {string} providerName - Explicit provider; disables fallback
+   * @returns {Object[]} - Configured providers
+   */
+  resolveProviders(type, providerName = null) {
+    const chain = providerName
+      ? [this.registry.get(providerName)].filter(Boolean)
+      : this.registry.getFallbackOrder(type);
+    return chain.filter((provider) => provider.isConfigured());
   }
 
   /**
    * Generates multiple images from a single prompt
    * @param {string} prompt - Text prompt for image generation
    * @param {number} count - Number of images to generate (default: 4)
+   * @param {Object} options
+   * @param {string} options.provider - Provider name (defaults to fallback chain)
+   * @param {string} options.model - Model name for the selected provider
+   * @param {number} options.aspectRatio - Target width / height (optional)
+   * @param {Function} options.onProgress - Optional (completed, total) callback
+   * @param {UsageTracker} options.usage - Records each provider call
+   * (optional)
    * @returns {Promise<Buffer[]>} - Array of image buffers
    */
-  async generateImages(prompt, count = 4) {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error("GEMINI_API_KEY environment variable is not set");
+  async generateImages(prompt, count = 4, options = {}) {
+    const providers = this.resolveProviders("text-to-image", options.provider);
+    if (providers.length === 0) {
+      throw new Error("No configured image provider for text-to-image");
     }
 
     console.log(`Generating ${count} images for prompt: "${prompt}"`);
@@ -34,8 +82,21 @@ class ImageGenerator {
 
     // Generate multiple images concurrently
     for (let i = 0; i < count; i++) {
-      generatePromises.push(this.generateSingleImage(prompt, i + 1));
+      generatePromises.push(
+        this.generateWithFallback(
+          providers,
+          "generate",
+          i + 1,
+          {
+            prompt,
+            model: options.model,
+            aspectRatio: options.aspectRatio,
+          },
+          options.usage
+        )
+      );
     }
+    this.trackProgress(generatePromises, options.onProgress);
 
     try {
       const results = await Promise.all(generatePromises);
@@ -56,83 +117,57 @@ class ImageGenerator {
   }
 
   /**
-   * Generates a single image from a prompt
-   * @param {string} prompt - Text prompt for image generation
-   * @param {number} index - Index for logging purposes
-   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
-   */
-  async generateSingleImage(prompt, index) {
-    try {
-      console.log(
-        `Generating image ${index} with OpenAI DALL-E and prompt: "${prompt}"`
-      );
-
-      if (this.useOpenAI) {
-        const response = await this.openai.images.generate({
-          model: "dall-e-3",
-          prompt: prompt,
-          n: 1,
-          size: "1024x1024",
-          quality: "standard",
-          response_format: "b64_json",
-        });
-
-        const imageBuffers = [];
-
-        if (response.data && response.data.length > 0) {
-          for (const imageData of response.data) {
-            if (imageData.b64_json) {
-              const buffer = Buffer.from(imageData.b64_json, "base64");
-              imageBuffers.push(buffer);
-              console.log(
-                `Image ${index} generated successfully with DALL-E - buffer size: ${buffer.length} bytes`
-              );
-            }
-          }
-        }
-
-        console.log(
-          `Final result for image ${index}: ${imageBuffers.length} buffers generated`
-        );
-        return imageBuffers;
-      }
-    } catch (error) {
-      console.error(`Error generating image ${index} with OpenAI:`, {
-        message: error.message,
-        status: error.status,
-        code: error.code,
-      });
-    }
-
-    console.log(`Image generation failed for image ${index}`);
-    return [];
-  }
-
-  /**
-   * Generates multiple images from an input image and prompt
-   * @param {Buffer} imageBuffer - Input image buffer
+   * Generates multiple images from reference images and a prompt
+   * @param {Object[]|Buffer} references - Labelled references ({ role,
+   * buffer, mimeType }), or a single image buffer
    * @param {string} prompt - Text prompt for image generation
    * @param {number} count - Number of images to generate (default: 4)
+   * @param {Object} options - Same as generateImages()
    * @returns {Promise<Buffer[]>} - Array of image buffers
    */
-  async generateImagesFromImage(imageBuffer, prompt, count = 4) {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error("GEMINI_API_KEY environment variable is not set");
+  async generateImagesFromImage(references, prompt, count = 4, options = {}) {
+    const providers = this.resolveProviders("image-to-image", options.provider);
+    if (providers.length === 0) {
+      throw new Error("No configured image provider for image-to-image");
     }
 
+    const labelled = (
+      Buffer.isBuffer(references)
+        ? [{ role: "image", buffer: references }]
+        : references
+    ).map((reference) => ({
+      ...reference,
+      mimeType: reference.mimeType || this.detectMimeType(reference.buffer),
+    }));
+
     console.log(
-      `Generating ${count} images from input image with prompt: "${prompt}"`
+      `Generating ${count} images from ${labelled.length} reference image(s) with prompt: "${prompt}"`
     );
 
     const imageBuffers = [];
     const generatePromises = [];
 
-    // Generate multiple images concurrently
+    // Generate multiple images concurrently. Providers that take a single
+    // image use the first reference
     for (let i = 0; i < count; i++) {
       generatePromises.push(
-        this.generateSingleImageFromImage(imageBuffer, prompt, i + 1)
+        this.generateWithFallback(
+          providers,
+          "generateFromImage",
+          i + 1,
+          {
+            references: labelled,
+            imageBuffer: labelled[0].buffer,
+            mimeType: labelled[0].mimeType,
+            prompt,
+            model: options.model,
+            aspectRatio: options.aspectRatio,
+          },
+          options.usage
+        )
       );
     }
+    this.trackProgress(generatePromises, options.onProgress);
 
     try {
       const results = await Promise.all(generatePromises);
@@ -155,165 +190,157 @@ class ImageGenerator {
   }
 
   /**
-   * Generates a single image from an input image and prompt
-   * @param {Buffer} imageBuffer - Input image buffer
-   * @param {string} prompt - Text prompt for image generation
-   * @param {number} index - Index for logging purposes
-   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   * Edits the masked area of an image, producing multiple candidates
+   * @param {Buffer} imageBuffer - PNG image to edit
+   * @param {Buffer} maskBuffer - Greyscale PNG mask, white = area to edit
+   * @param {string} prompt - Description of the change
+   * @param {number} count - Number of images to generate (default: 4)
+   * @param {Object} options - Same as generateImages()
+   * @returns {Promise<Buffer[]>} - Edited images as returned by providers
+   * (the caller composites them back onto the original)
    */
-  async generateSingleImageFromImage(imageBuffer, prompt, index) {
-    const base64Image = imageBuffer.toString("base64");
+  async editImages(imageBuffer, maskBuffer, prompt, count = 4, options = {}) {
+    const providers = this.resolveProviders("image-edit", options.provider);
+    if (providers.length === 0) {
+      throw new Error("No configured image provider for image-edit");
+    }
+
+    console.log(`Editing masked area ${count} times with prompt: "${prompt}"`);
+
+    const imageBuffers = [];
+    const generatePromises = [];
     const mimeType = this.detectMimeType(imageBuffer);
 
-    // Try Gemini 2.5 Flash Image Preview first for superior image-to-image quality
-    try {
-      console.log(
-        `Generating image ${index} from input image with Gemini 2.5 Flash Image Preview...`
+    for (let i = 0; i < count; i++) {
+      generatePromises.push(
+        this.generateWithFallback(
+          providers,
+          "edit",
+          i + 1,
+          {
+            imageBuffer,
+            maskBuffer,
+            mimeType,
+            prompt,
+            model: options.model,
+            aspectRatio: options.aspectRatio,
+          },
+          options.usage
+        )
       );
+    }
+    this.trackProgress(generatePromises, options.onProgress);
 
-      const enhancedPrompt = `Transform and enhance this image: ${prompt}. Create a professional YouTube thumbnail style image with high quality, vibrant colors, and eye-catching design. Maintain key visual elements from the reference image while incorporating the requested changes.`;
-
-      // Add delay to avoid rate limits
-      if (index > 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay between requests
-      }
+    try {
+      const results = await Promise.all(generatePromises);
 
-      // Use exact structure from official Gemini docs
-      const promptArray = [
-        { 
-          text: enhancedPrompt 
-        },
-        {
-          inlineData: {
-            mimeType: mimeType,
-            data: base64Image,
-          },
-        },
-      ];
-
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash-image-preview",
-        contents: promptArray,
-      });
-
-      const imageBuffers = [];
-
-      if (response.candidates?.[0]?.content?.parts) {
-        for (const part of response.candidates[0].content.parts) {
-          if (part.text) {
-            console.log(`AI Response for image ${index}:`, part.text);
-          } else if (part.inlineData) {
-            const buffer = Buffer.from(part.inlineData.data, "base64");
-            imageBuffers.push(buffer);
-            console.log(
-              `Image ${index} generated successfully with Gemini 2.5 Flash Image Preview - buffer size: ${buffer.length} bytes`
-            );
-          }
+      for (const result of results) {
+        if (result && result.length > 0) {
+          imageBuffers.push(...result);
         }
       }
 
-      if (imageBuffers.length > 0) {
-        return imageBuffers;
-      }
+      console.log(`Successfully edited ${imageBuffers.length} images`);
+      return imageBuffers;
     } catch (error) {
-      console.error(`Error generating image ${index} with Gemini:`, {
-        message: error.message,
-        status: error.status,
-        details: error.details,
-      });
-
-      // If it's a rate limit error (429), wait and retry once
-      if (error.status === 429) {
-        console.log(`Rate limited, waiting 5 seconds before retry for image ${index}...`);
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        
-        try {
-          const retryPromptArray = [
-            { 
-              text: enhancedPrompt 
-            },
-            {
-              inlineData: {
-                mimeType: mimeType,
-                data: base64Image,
-              },
-            },
-          ];
-
-          const retryResponse = await this.ai.models.generateContent({
-            model: "gemini-2.5-flash-image-preview",
-            contents: retryPromptArray,
-          });
-
-          const retryImageBuffers = [];
-          if (retryResponse.candidates?.[0]?.content?.parts) {
-            for (const part of retryResponse.candidates[0].content.parts) {
-              if (part.inlineData) {
-                const buffer = Buffer.from(part.inlineData.data, "base64");
-                retryImageBuffers.push(buffer);
-                console.log(
-                  `Image ${index} generated successfully with Gemini retry - buffer size: ${buffer.length} bytes`
-                );
-              }
-            }
-          }
-          
-          if (retryImageBuffers.length > 0) {
-            return retryImageBuffers;
-          }
-        } catch (retryError) {
-          console.error(`Retry also failed for image ${index}:`, retryError.message);
-        }
-      }
-
-      // If Gemini fails, fallback to OpenAI DALL-E
-      console.log(`Falling back to OpenAI DALL-E for image ${index}...`);
+      console.error("Error editing images:", error);
+      throw error;
     }
+  }
 
-    // Fallback to OpenAI DALL-E
-    try {
-      console.log(
-        `Generating image ${index} from input image with OpenAI DALL-E (fallback)...`
-      );
+  /**
+   * Generates a single image, trying each provider until one returns data
+   * @param {Object[]} providers - Providers to try, in order
+   * @param {string} method - "generate", "generateFromImage" or "edit"
+   * @param {number} index - Index for logging purposes
+   * @param {Object} request - Provider request (prompt, model, imageBuffer...)
+   * @param {UsageTracker} usage - Records each provider call (optional)
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generateWithFallback(providers, method, index, request, usage) {
+    for (const provider of providers) {
+      // A requested model only applies to the provider that offers it
+      const model = provider.models.includes(request.model)
+        ? request.model
+        : provider.defaultModel;
+
+      const startedAt = Date.now();
+      let retries = 0;
+      const record = async (buffers, error = null) =>
+        usage?.record({
+          kind: "image",
+          provider: provider.name,
+          // Some providers edit with a fixed model
+          model: (method === "edit" && provider.editModel) || model,
+          size: buffers[0] ? await this.describeSize(buffers[0]) : null,
+          latencyMs: Date.now() - startedAt,
+          retries,
+          success: buffers.length > 0,
+          error: error ? error.message : buffers.length ? null : "No image",
+          images: buffers.length,
+        });
 
-      const enhancedPrompt = `Transform and enhance this concept: ${prompt}. Create a professional YouTube thumbnail style image with high quality, vibrant colors, and eye-catching design.`;
-
-      const response = await this.openai.images.generate({
-        model: "dall-e-3",
-        prompt: enhancedPrompt,
-        n: 1,
-        size: "1792x1024", // YouTube thumbnail aspect ratio (16:9)
-        quality: "standard",
-        response_format: "b64_json",
-      });
-
-      const imageBuffers = [];
-
-      if (response.data && response.data.length > 0) {
-        for (const imageData of response.data) {
-          if (imageData.b64_json) {
-            const buffer = Buffer.from(imageData.b64_json, "base64");
-            imageBuffers.push(buffer);
-            console.log(
-              `Image ${index} generated successfully with DALL-E fallback - buffer size: ${buffer.length} bytes`
-            );
-          }
+      try {
+        console.log(
+          `Generating image ${index} with ${provider.name} (${model})...`
+        );
+        const buffers = await provider[method]({
+          ...request,
+          model,
+          index,
+          onRetry: () => retries++,
+        });
+        await record(buffers || []);
+        if (buffers && buffers.length > 0) {
+          return buffers;
         }
+      } catch (error) {
+        await record([], error);
+        console.error(
+          `Error generating image ${index} with ${provider.name}:`,
+          {
+            message: error.message,
+            status: error.status,
+            code: error.code,
+          }
+        );
       }
+      console.log(`${provider.name} returned no image for image ${index}`);
+    }
 
-      return imageBuffers;
+    console.log(`All image generation providers failed for image ${index}`);
+    return [];
+  }
+
+  /**
+   * Reads an image's size for usage records
+   * @param {Buffer} buffer - Image returned by a provider
+   * @returns {Promise<string|null>} - "WIDTHxHEIGHT", or null if unreadable
+   */
+  async describeSize(buffer) {
+    try {
+      const { width, height } = await sharp(buffer).metadata();
+      return `${width}x${height}`;
     } catch (error) {
-      console.error(`Error generating image ${index} with OpenAI fallback:`, {
-        message: error.message,
-        status: error.status,
-        code: error.code,
-      });
+      return null;
     }
+  }
 
-    console.log(
-      `All image-to-image generation methods failed for image ${index}`
-    );
-    return [];
+  /**
+   * Reports completion counts as concurrent generations settle
+   * @param {Promise[]} promises - Pending single-image generations
+   * @param {Function} onProgress - (completed, total) callback
+   */
+  trackProgress(promises, onProgress) {
+    if (!onProgress) return;
+
+    let completed = 0;
+    onProgress(completed, promises.length);
+    for (const promise of promises) {
+      promise
+        .then(() => onProgress(++completed, promises.length))
+        .catch(() => {});
+    }
   }
 
   /**
@@ -340,11 +367,21 @@ class ImageGenerator {
   }
 
   /**
-   * Validates if the image generator is properly configured
-   * @returns {boolean} - True if API key is available
+   * Validates if at least one provider in either fallback chain is usable
+   * @returns {boolean} - True if a provider is configured
    */
   isConfigured() {
-    return !!process.env.GEMINI_API_KEY;
+    return ["text-to-image", "image-to-image", "image-edit"].some((type) =>
+      this.registry.getFallbackOrder(type).some((p) => p.isConfigured())
+    );
+  }
+
+  /**
+   * Reports configuration for every registered provider
+   * @returns {Object} - Map of provider name to status
+   */
+  getProviderStatus() {
+    return this.registry.getStatus();
   }
 }
 
@@ -0,0 +1,267 @@
+import sharp from "sharp";
+
+// Largest input accepted for edits; the output keeps the input size
+const MAX_PIXELS = 4096 * 4096;
+
+const DEFAULT_FEATHER = 4;
+const MAX_FEATHER = 50;
+
+class ImageMask {
+  /**
+   * Parses rectangle coordinates from a request. Multipart requests may
+   * send them as a JSON string.
+   * @param {Object|string} input - { x, y, width, height } in pixels of the
+   * input image
+   * @returns {{ rect: Object|null, error: string|null }}
+   */
+  parseRect(input) {
+    let rect = input;
+    if (typeof rect === "string") {
+      try {
+        rect = JSON.parse(rect);
+      } catch (e) {
+        return { rect: null, error: "rect must be a JSON object" };
+      }
+    }
+
+    const fields = ["x", "y", "width", "height"];
+    const values = fields.map((field) => Number(rect?.[field]));
+    if (
+      typeof rect !== "object" ||
+      values.some((value) => !Number.isInteger(value))
+    ) {
+      return {
+        rect: null,
+        error: "rect needs integer x, y, width and height in pixels",
+      };
+    }
+
+    const [x, y, width, height] = values;
+    if (x < 0 || y < 0 || width < 1 || height < 1) {
+      return {
+        rect: null,
+        error: "rect x and y cannot be negative and its size must be positive",
+      };
+    }
+    return { rect: { x, y, width, height }, error: null };
+  }
+
+  /**
+   * Clamps the edge softening radius
+   * @param {number|string} value - Radius in pixels (optional)
+   * @returns {number} - Radius between 0 and MAX_FEATHER
+   */
+  resolveFeather(value) {
+    const parsed = parseInt(value);
+    if (!Number.isFinite(parsed)) return DEFAULT_FEATHER;
+    return Math.min(MAX_FEATHER, Math.max(0, parsed));
+  }
+
+  /**
+   * Decodes the input image and builds its edit mask from an uploaded mask
+   * image or a rectangle
+   * @param {Object} options
+   * @param {Buffer} options.imageBuffer - Image to edit
+   * @param {Buffer} options.maskBuffer - Mask image (optional). Transparent
+   * areas are edited; a mask without transparency is read as white = edit
+   * @param {Object} options.rect - Rectangle from parseRect() (optional)
+   * @returns {Promise<{ edit: Object|null, error: string|null }>} - edit
+   * holds { width, height, pixels, mask, coverage, source, rect }, with
+   * raw RGB pixels and a one-channel mask where 255 marks pixels to edit
+   */
+  async prepare({ imageBuffer, maskBuffer, rect }) {
+    let image;
+    try {
+      const { width, height } = await sharp(imageBuffer).metadata();
+      if (width * height > MAX_PIXELS) {
+        return {
+          edit: null,
+          error: `Image is too large to edit (up to ${MAX_PIXELS} pixels)`,
+        };
+      }
+      image = await sharp(imageBuffer)
+        .rotate()
+        .removeAlpha()
+        .toColourspace("srgb")
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      return { edit: null, error: "Could not read the input image" };
+    }
+
+    const { width, height } = image.info;
+    const { mask, error } = maskBuffer
+      ? await this.maskFromImage(maskBuffer, width, height)
+      : this.maskFromRect(rect, width, height);
+    if (error) return { edit: null, error };
+
+    let selected = 0;
+    for (const value of mask) {
+      if (value > 0) selected++;
+    }
+    if (selected === 0) {
+      return { edit: null, error: "Mask does not select any pixels to edit" };
+    }
+
+    return {
+      edit: {
+        width,
+        height,
+        pixels: image.data,
+        mask,
+        coverage: Math.round((selected / mask.length) * 1000) / 1000,
+        source: maskBuffer ? "upload" : "rect",
+        rect: maskBuffer ? undefined : rect,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Reads an uploaded mask, which must match the image size
+   * @param {Buffer} maskBuffer - Mask image
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {Promise<{ mask: Buffer|null, error: string|null }>}
+   */
+  async maskFromImage(maskBuffer, width, height) {
+    let decoded;
+    try {
+      decoded = await sharp(maskBuffer)
+        .rotate()
+        .toColourspace("srgb")
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      return { mask: null, error: "Could not read the mask image" };
+    }
+
+    const { data, info } = decoded;
+    if (info.width !== width || info.height !== height) {
+      return {
+        mask: null,
+        error: `Mask must be ${width}x${height} pixels to match the image`,
+      };
+    }
+
+    let transparent = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) {
+        transparent = true;
+        break;
+      }
+    }
+
+    const mask = Buffer.alloc(width * height);
+    for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+      mask[p] = transparent
+        ? 255 - data[i + 3]
+        : Math.round(
+            0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+          );
+    }
+    return { mask, error: null };
+  }
+
+  /**
+   * Builds a mask selecting a rectangle, which must lie inside the image
+   * @param {Object} rect - Rectangle from parseRect()
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {{ mask: Buffer|null, error: string|null }}
+   */
+  maskFromRect(rect, width, height) {
+    if (rect.x + rect.width > width || rect.y + rect.height > height) {
+      return {
+        mask: null,
+        error: `rect must lie inside the ${width}x${height} image`,
+      };
+    }
+
+    const mask = Buffer.alloc(width * height);
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      mask.fill(255, y * width + rect.x, y * width + rect.x + rect.width);
+    }
+    return { mask, error: null };
+  }
+
+  /**
+   * Encodes the image and mask to send to providers
+   * @param {Object} edit - Result of prepare()
+   * @returns {Promise<{ image: Buffer, mask: Buffer }>} - PNG image, and a
+   * greyscale PNG mask where white marks the area to edit
+   */
+  async toProviderInputs(edit) {
+    const { width, height } = edit;
+    const [image, mask] = await Promise.all([
+      sharp(edit.pixels, { raw: { width, height, channels: 3 } })
+        .png()
+        .toBuffer(),
+      sharp(edit.mask, { raw: { width, height, channels: 1 } })
+        .png()
+        .toBuffer(),
+    ]);
+    return { image, mask };
+  }
+
+  /**
+   * Blends an edited image into the original through the mask. Unmasked
+   * pixels are copied from the original unchanged; the feather only
+   * softens the inside of the mask edge.
+   * @param {Object} edit - Result of prepare()
+   * @param {Buffer} editedBuffer - Image returned by the provider
+   * @param {number} feather - Edge softening radius in pixels
+   * @returns {Promise<Buffer>} - PNG buffer at the original size
+   */
+  async composite(edit, editedBuffer, feather = DEFAULT_FEATHER) {
+    const { width, height, pixels } = edit;
+    const { data: edited } = await sharp(editedBuffer)
+      .resize(width, height, { fit: "fill" })
+      .removeAlpha()
+      .toColourspace("srgb")
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const weights = await this.featherMask(edit, feather);
+
+    const output = Buffer.from(pixels);
+    for (let p = 0; p < weights.length; p++) {
+      const weight = weights[p];
+      if (weight === 0) continue;
+      for (let c = p * 3; c < p * 3 + 3; c++) {
+        output[c] = Math.round(
+          pixels[c] + ((edited[c] - pixels[c]) * weight) / 255
+        );
+      }
+    }
+
+    return sharp(output, { raw: { width, height, channels: 3 } })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Blurs the mask, keeping the blurred value only where it is lower than
+   * the original so the softening never reaches unmasked pixels
+   * @param {Object} edit - Result of prepare()
+   * @param {number} feather - Radius in pixels
+   * @returns {Promise<Buffer>} - One-channel blend weights
+   */
+  async featherMask({ width, height, mask }, feather) {
+    if (!feather) return mask;
+
+    const blurred = await sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(0.3, feather / 2))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    const weights = Buffer.alloc(mask.length);
+    for (let p = 0; p < mask.length; p++) {
+      weights[p] = Math.min(mask[p], blurred[p]);
+    }
+    return weights;
+  }
+}
+
+export { DEFAULT_FEATHER, MAX_FEATHER };
+export default ImageMask;
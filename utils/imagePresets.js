@@ -0,0 +1,143 @@
+// Output presets for each platform the thumbnails are published to
+const PRESETS = {
+  "youtube-16:9": {
+    name: "youtube-16:9",
+    width: 1280,
+    height: 720,
+    maxBytes: 2 * 1024 * 1024, // YouTube rejects thumbnails over 2MB
+  },
+  "shorts-9:16": {
+    name: "shorts-9:16",
+    width: 1080,
+    height: 1920,
+    maxBytes: 2 * 1024 * 1024,
+  },
+  "community-1:1": {
+    name: "community-1:1",
+    width: 1080,
+    height: 1080,
+    maxBytes: 5 * 1024 * 1024,
+  },
+  "twitter-card": {
+    name: "twitter-card",
+    width: 1200,
+    height: 628,
+    maxBytes: 5 * 1024 * 1024,
+  },
+};
+
+const DEFAULT_PRESET = "youtube-16:9";
+
+// Shorthand aspect ratios accepted in place of a preset name
+const ASPECT_RATIO_PRESETS = {
+  "16:9": "youtube-16:9",
+  "9:16": "shorts-9:16",
+  "1:1": "community-1:1",
+};
+
+const CUSTOM_LIMITS = {
+  minSize: 64,
+  maxSize: 4096,
+  defaultMaxBytes: 2 * 1024 * 1024,
+  // Smallest custom byte limit accepted. Larger limits can still be too
+  // small for a detailed image at a large size; generation then fails and
+  // the credits are refunded
+  minMaxBytes: 100 * 1024,
+  // Long edge used when only a custom aspect ratio is given
+  defaultLongEdge: 1280,
+};
+
+const parseDimension = (value) => {
+  const parsed = parseInt(value);
+  if (
+    !Number.isFinite(parsed) ||
+    parsed < CUSTOM_LIMITS.minSize ||
+    parsed > CUSTOM_LIMITS.maxSize
+  ) {
+    return null;
+  }
+  return parsed;
+};
+
+/**
+ * Resolves the output preset for a request
+ * @param {Object} options
+ * @param {string} options.preset - Preset name, or "custom"
+ * @param {string} options.aspectRatio - "W:H" shorthand (e.g. "16:9")
+ * @param {number|string} options.width - Custom width in pixels
+ * @param {number|string} options.height - Custom height in pixels
+ * @param {number|string} options.maxBytes - Custom byte limit
+ * @returns {{ preset: Object|null, error: string|null }}
+ */
+const resolvePreset = ({
+  preset,
+  aspectRatio,
+  width,
+  height,
+  maxBytes,
+} = {}) => {
+  if (preset && preset !== "custom") {
+    if (!PRESETS[preset]) {
+      return {
+        preset: null,
+        error: `Unknown preset "${preset}". Use one of: ${Object.keys(
+          PRESETS
+        ).join(", ")}, custom`,
+      };
+    }
+    return { preset: { ...PRESETS[preset] }, error: null };
+  }
+
+  if (!preset && aspectRatio && ASPECT_RATIO_PRESETS[aspectRatio]) {
+    return {
+      preset: { ...PRESETS[ASPECT_RATIO_PRESETS[aspectRatio]] },
+      error: null,
+    };
+  }
+
+  if (preset !== "custom" && !aspectRatio) {
+    return { preset: { ...PRESETS[DEFAULT_PRESET] }, error: null };
+  }
+
+  let customWidth = parseDimension(width);
+  let customHeight = parseDimension(height);
+
+  // Derive a size from an arbitrary "W:H" ratio when no dimensions are given
+  if ((!customWidth || !customHeight) && aspectRatio) {
+    const [ratioW, ratioH] = aspectRatio.split(":").map(Number);
+    if (ratioW > 0 && ratioH > 0) {
+      const longEdge = CUSTOM_LIMITS.defaultLongEdge;
+      customWidth =
+        ratioW >= ratioH ? longEdge : Math.round((longEdge * ratioW) / ratioH);
+      customHeight =
+        ratioW >= ratioH ? Math.round((longEdge * ratioH) / ratioW) : longEdge;
+    }
+  }
+
+  if (!parseDimension(customWidth) || !parseDimension(customHeight)) {
+    return {
+      preset: null,
+      error: `Custom sizes need a valid aspectRatio or width and height between ${CUSTOM_LIMITS.minSize} and ${CUSTOM_LIMITS.maxSize} pixels`,
+    };
+  }
+
+  const customMaxBytes = parseInt(maxBytes) || CUSTOM_LIMITS.defaultMaxBytes;
+  if (customMaxBytes < CUSTOM_LIMITS.minMaxBytes) {
+    return {
+      preset: null,
+      error: `maxBytes must be at least ${CUSTOM_LIMITS.minMaxBytes}`,
+    };
+  }
+
+  return {
+    preset: {
+      name: "custom",
+      width: customWidth,
+      height: customHeight,
+      maxBytes: customMaxBytes,
+    },
+    error: null,
+  };
+};
+
+export { PRESETS, DEFAULT_PRESET, resolvePreset };
@@ -0,0 +1,142 @@
+import sharp from "sharp";
+import TextOverlay from "./textOverlay.js";
+import LogoStamp from "./logoStamp.js";
+import HttpError from "./httpError.js";
+
+class ImageProcessor {
+  /**
+   * @param {Object} options
+   * @param {number} options.startQuality - First JPEG quality to try
+   * @param {number} options.minQuality - Lowest JPEG quality to try
+   */
+  constructor({ startQuality = 90, minQuality = 50 } = {}) {
+    this.startQuality = startQuality;
+    this.minQuality = minQuality;
+  }
+
+  /**
+   * Crops and resizes an image to the preset's exact size
+   * @param {Buffer} imageBuffer - Generated image buffer
+   * @param {Object} preset - Output preset (width, height)
+   * @returns {Promise<Buffer>} - Lossless PNG buffer at the preset size
+   */
+  async resizeToPreset(imageBuffer, preset) {
+    // Crop towards the most interesting region rather than the center
+    return sharp(imageBuffer)
+      .rotate()
+      .resize(preset.width, preset.height, {
+        fit: "cover",
+        position: sharp.strategy.attention,
+      })
+      .removeAlpha()
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Compresses an image under the preset's byte limit, keeping its size
+   * @param {Buffer} imageBuffer - Image already at the preset size
+   * @param {Object} preset - Output preset (name, maxBytes)
+   * @returns {Promise<Buffer>} - JPEG buffer
+   * @throws {HttpError} - 422 when even the lowest quality is too large
+   */
+  async compressToLimit(imageBuffer, preset) {
+    let quality = this.startQuality;
+    let chromaSubsampling = "4:4:4";
+    let output = await this.encode(imageBuffer, quality);
+
+    while (output.length > preset.maxBytes && quality > this.minQuality) {
+      quality = Math.max(this.minQuality, quality - 10);
+      output = await this.encode(imageBuffer, quality);
+    }
+
+    if (output.length > preset.maxBytes) {
+      // Last resort: drop chroma resolution at the lowest quality
+      chromaSubsampling = "4:2:0";
+      output = await this.encode(imageBuffer, quality, chromaSubsampling);
+    }
+
+    if (output.length > preset.maxBytes) {
+      throw new HttpError(
+        422,
+        `Could not compress the image under ${preset.maxBytes} bytes at ${preset.width}x${preset.height}`,
+        {
+          details: "Raise maxBytes or choose a smaller size",
+          preset: preset.name,
+          smallestBytes: output.length,
+        }
+      );
+    }
+
+    console.log(
+      `Processed image to ${preset.width}x${preset.height} (${preset.name}) - ${output.length} bytes at quality ${quality} (${chromaSubsampling})`
+    );
+    return output;
+  }
+
+  /**
+   * Crops and resizes an image to the preset's exact size and compresses it
+   * under the preset's byte limit
+   * @param {Buffer} imageBuffer - Generated image buffer
+   * @param {Object} preset - Output preset (width, height, maxBytes)
+   * @returns {Promise<Buffer>} - JPEG buffer at the preset size
+   */
+  async fitToPreset(imageBuffer, preset) {
+    const resized = await this.resizeToPreset(imageBuffer, preset);
+    return this.compressToLimit(resized, preset);
+  }
+
+  /**
+   * Processes every image in a batch to the preset, drawing the title
+   * overlay and stamping the logo when given
+   * @param {Buffer[]} imageBuffers - Generated image buffers
+   * @param {Object} preset - Output preset
+   * @param {Object} overlay - Optional { text, settings } title overlay
+   * @param {Object} logo - Optional { buffer, placement } logo stamp
+   * @returns {Promise<{ images: Buffer[], baseImages: Buffer[] }>} - Final
+   * images, plus the same images without the overlay and logo
+   */
+  async fitAllToPreset(imageBuffers, preset, overlay = null, logo = null) {
+    const textOverlay = new TextOverlay();
+    const logoStamp = new LogoStamp();
+    const results = await Promise.all(
+      imageBuffers.map(async (buffer) => {
+        const resized = await this.resizeToPreset(buffer, preset);
+        const base = await this.compressToLimit(resized, preset);
+        if (!overlay && !logo) {
+          return { image: base, base };
+        }
+
+        let decorated = resized;
+        if (overlay) {
+          decorated = await textOverlay.render(
+            decorated,
+            overlay.text,
+            overlay.settings
+          );
+        }
+        if (logo) {
+          decorated = await logoStamp.stamp(
+            decorated,
+            logo.buffer,
+            logo.placement
+          );
+        }
+        return { image: await this.compressToLimit(decorated, preset), base };
+      })
+    );
+
+    return {
+      images: results.map((result) => result.image),
+      baseImages: results.map((result) => result.base),
+    };
+  }
+
+  encode(buffer, quality, chromaSubsampling = "4:4:4") {
+    return sharp(buffer)
+      .jpeg({ quality, mozjpeg: true, chromaSubsampling })
+      .toBuffer();
+  }
+}
+
+export default ImageProcessor;
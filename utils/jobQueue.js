@@ -0,0 +1,333 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import GenerationJob from "../models/GenerationJob.js";
+
+const FINISHED_STATUSES = ["done", "failed"];
+
+// Error recorded for jobs lost when their server stopped
+const ABANDONED_ERROR = {
+  message: "The server restarted before the job finished",
+  status: 503,
+};
+
+/**
+ * Runs generation jobs in process memory, keeping a GenerationJob record of
+ * each. The server renews a lease on its unfinished jobs; jobs whose lease
+ * ran out (their server stopped) are failed and handed to onAbandoned so
+ * their credits can be refunded.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Max jobs running at the same time
+   * @param {number} options.ttlMs - How long finished jobs stay in memory
+   * @param {number} options.leaseMs - How long a job is presumed alive
+   * without its lease being renewed
+   */
+  constructor({
+    concurrency = 2,
+    ttlMs = 60 * 60 * 1000,
+    leaseMs = 2 * 60 * 1000,
+  } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.ttlMs = ttlMs;
+    this.leaseMs = leaseMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Renews leases on this server's jobs and recovers abandoned ones in the
+   * background, starting with those left over from a restart
+   * @param {Function} onAbandoned - async (job record) => void, called once
+   * for each abandoned job after it is marked failed
+   */
+  start(onAbandoned) {
+    if (this.timer) return;
+    this.onAbandoned = onAbandoned;
+    const tick = () => {
+      this.renewLeases();
+      this.recoverAbandoned();
+    };
+    tick();
+    this.timer = setInterval(tick, this.leaseMs / 4);
+    this.timer.unref();
+  }
+
+  /**
+   * Queues a background job. Its record is saved first, so a job the API
+   * returns can always be recovered.
+   * @param {string} userId - Owner of the job
+   * @param {string} type - Generation type (e.g. "text-to-image")
+   * @param {Function} handler - async (reportProgress) => result
+   * @param {Object} options
+   * @param {Object} options.reservation - Credits held for the job
+   * @returns {Promise<Object>} - Public job snapshot
+   */
+  async enqueue(userId, type, handler, { reservation = null } = {}) {
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      userId: userId ? userId.toString() : null,
+      type,
+      status: "queued",
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await GenerationJob.create({
+      _id: job.id,
+      user: job.userId,
+      type,
+      reservation,
+      leaseUntil: new Date(now.getTime() + this.leaseMs),
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    this.jobs.set(job.id, { job, handler });
+    this.pending.push(job.id);
+    this.emit(`job:${job.id}`, this.serialize(job));
+
+    // Run on the next tick so the caller can respond with the job ID first
+    setImmediate(() => this.runNext());
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Fetches a job, optionally restricted to its owner
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner to check against
+   * @returns {Object|null} - Public job snapshot
+   */
+  getJob(jobId, userId = null) {
+    const entry = this.jobs.get(jobId);
+    if (!entry) return null;
+    if (userId && entry.job.userId !== userId.toString()) return null;
+    return this.serialize(entry.job);
+  }
+
+  /**
+   * Fetches a job from memory, or from its record when another server runs
+   * it or it was lost in a restart
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner to check against
+   * @returns {Promise<Object|null>} - Public job snapshot
+   */
+  async findJob(jobId, userId = null) {
+    const job = this.getJob(jobId, userId);
+    if (job) return job;
+
+    const record = await GenerationJob.findById(jobId).lean();
+    if (!record) return null;
+    if (userId && String(record.user) !== userId.toString()) return null;
+    return this.serialize({
+      ...record,
+      id: record._id,
+      progress: null,
+      result: record.result ?? null,
+      error: record.error ?? null,
+    });
+  }
+
+  /**
+   * Checks whether a job has reached a terminal status
+   * @param {Object} job - Job snapshot
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  async runNext() {
+    if (this.running >= this.concurrency || this.pending.length === 0) {
+      return;
+    }
+
+    const jobId = this.pending.shift();
+    const entry = this.jobs.get(jobId);
+    if (!entry) return this.runNext();
+
+    const { job, handler } = entry;
+    this.running++;
+
+    const reportProgress = (status, progress = null) => {
+      this.update(job, { status, progress });
+    };
+
+    try {
+      const result = await handler(reportProgress);
+      await this.update(job, { status: "done", result });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      await this.update(job, {
+        status: "failed",
+        error: this.describeError(error),
+      });
+    } finally {
+      // Drop the handler closure so uploaded buffers can be collected
+      entry.handler = null;
+      this.running--;
+      setTimeout(() => this.jobs.delete(job.id), this.ttlMs).unref();
+      this.runNext();
+    }
+  }
+
+  /**
+   * Saves how a job ended before the handler settles its credits, so a
+   * crash after settling cannot leave a running record for recovery to
+   * settle again. Progress listeners are only told when the handler returns.
+   * @param {string} jobId - Job ID
+   * @param {Object} outcome - { result } of a finished job, or { error }
+   * @returns {Promise<void>} - Never rejects; errors are logged
+   */
+  async finish(jobId, { result = null, error = null }) {
+    const job = this.jobs.get(jobId)?.job;
+    if (!job) return;
+
+    await this.save(
+      job,
+      error
+        ? { status: "failed", result: null, error: this.describeError(error) }
+        : { status: "done", result, error: null }
+    );
+  }
+
+  /**
+   * Applies a change to a job and tells its listeners
+   * @returns {Promise<void>} - Resolves once the record is saved; never
+   * rejects
+   */
+  update(job, patch) {
+    Object.assign(job, patch, { updatedAt: new Date() });
+    this.emit(`job:${job.id}`, this.serialize(job));
+
+    // Progress steps are only kept in memory; the record tracks whether
+    // the job is running or how it finished
+    const status = this.isFinished(job) ? job.status : "running";
+    if (status === "running" && job.savedStatus === "running") {
+      return Promise.resolve();
+    }
+    return this.save(job, {
+      status,
+      result: job.result,
+      error: job.error,
+    });
+  }
+
+  async save(job, { status, result, error }) {
+    // Progress writes are not awaited; never let a late one reopen a
+    // finished job. A finished record is only rewritten with the same
+    // outcome, e.g. to add the credits settled after finish()
+    const from = FINISHED_STATUSES.includes(job.savedStatus)
+      ? [job.savedStatus]
+      : ["queued", "running"];
+    job.savedStatus = status;
+
+    try {
+      await GenerationJob.updateOne(
+        { _id: job.id, status: { $in: from } },
+        {
+          status,
+          result,
+          error,
+          updatedAt: new Date(),
+          ...(FINISHED_STATUSES.includes(status)
+            ? { $unset: { leaseUntil: 1 } }
+            : {}),
+        }
+      );
+    } catch (saveError) {
+      console.error(`Job ${job.id} record error:`, saveError.message);
+    }
+  }
+
+  // Error as job snapshots report it
+  describeError(error) {
+    return {
+      message: error.message,
+      status: error.status || 500,
+      ...(error.extra || {}),
+    };
+  }
+
+  /**
+   * Extends the lease on every unfinished job of this server
+   * @returns {Promise<void>}
+   */
+  async renewLeases() {
+    const ids = [...this.jobs.values()]
+      .filter(({ job }) => !this.isFinished(job))
+      .map(({ job }) => job.id);
+    if (ids.length === 0) return;
+
+    try {
+      await GenerationJob.updateMany(
+        { _id: { $in: ids }, status: { $in: ["queued", "running"] } },
+        { leaseUntil: new Date(Date.now() + this.leaseMs) }
+      );
+    } catch (error) {
+      console.error("Job lease error:", error.message);
+    }
+  }
+
+  /**
+   * Fails unfinished jobs whose lease ran out. Each one is claimed by the
+   * status change, so only one server recovers it.
+   * @returns {Promise<void>}
+   */
+  async recoverAbandoned() {
+    try {
+      while (true) {
+        const record = await GenerationJob.findOneAndUpdate(
+          {
+            status: { $in: ["queued", "running"] },
+            leaseUntil: { $lt: new Date() },
+          },
+          {
+            status: "failed",
+            error: ABANDONED_ERROR,
+            updatedAt: new Date(),
+            $unset: { leaseUntil: 1 },
+          },
+          { new: true }
+        ).lean();
+        if (!record) return;
+
+        console.log(`Job ${record._id} was abandoned; marked as failed`);
+        await Promise.resolve(this.onAbandoned?.(record)).catch((error) =>
+          console.error(`Job ${record._id} recovery error:`, error)
+        );
+      }
+    } catch (error) {
+      console.error("Job recovery error:", error.message);
+    }
+  }
+
+  serialize(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+}
+
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+});
+
+export { JobQueue };
+export default jobQueue;
@@ -0,0 +1,116 @@
+import sharp from "sharp";
+
+const CORNERS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+
+const DEFAULT_PLACEMENT = {
+  enabled: false,
+  position: "bottom-right",
+  // Logo width as a fraction of the image width
+  scale: 0.15,
+  opacity: 0.9,
+  // Gap to the image edges as a fraction of the image height
+  margin: 0.04,
+};
+
+// Longest edge stored for uploaded logos
+const MAX_LOGO_SIZE = 1024;
+
+const clamp = (value, min, max, fallback) => {
+  const parsed = parseFloat(value);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+};
+
+class LogoStamp {
+  /**
+   * Merges logo placement options over the defaults
+   * @param {Object} input - { enabled, position, scale, opacity, margin }
+   * @returns {{ placement: Object|null, error: string|null }}
+   */
+  resolvePlacement(input = {}) {
+    const options = input || {};
+    const placement = {
+      enabled:
+        options.enabled === undefined
+          ? DEFAULT_PLACEMENT.enabled
+          : options.enabled === true || options.enabled === "true",
+      position: options.position || DEFAULT_PLACEMENT.position,
+      scale: clamp(options.scale, 0.05, 0.5, DEFAULT_PLACEMENT.scale),
+      opacity: clamp(options.opacity, 0.1, 1, DEFAULT_PLACEMENT.opacity),
+      margin: clamp(options.margin, 0, 0.2, DEFAULT_PLACEMENT.margin),
+    };
+
+    if (!CORNERS.includes(placement.position)) {
+      return {
+        placement: null,
+        error: `Invalid logo position "${
+          placement.position
+        }". Use one of: ${CORNERS.join(", ")}`,
+      };
+    }
+    return { placement, error: null };
+  }
+
+  /**
+   * Converts an uploaded logo to a bounded PNG, keeping transparency
+   * @param {Buffer} logoBuffer - Uploaded image
+   * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+   */
+  async normalizeLogo(logoBuffer) {
+    const { data, info } = await sharp(logoBuffer)
+      .rotate()
+      .resize(MAX_LOGO_SIZE, MAX_LOGO_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Composites a logo into a corner of an image
+   * @param {Buffer} imageBuffer - Image at its final size
+   * @param {Buffer} logoBuffer - PNG logo from normalizeLogo()
+   * @param {Object} placement - Placement from resolvePlacement()
+   * @returns {Promise<Buffer>} - PNG buffer with the logo
+   */
+  async stamp(imageBuffer, logoBuffer, placement) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    // Fit the logo in a box scale * width wide and at most a third as tall
+    const boxWidth = Math.max(1, Math.round(width * placement.scale));
+    const boxHeight = Math.max(1, Math.round(height / 3));
+    const { data, info } = await sharp(logoBuffer)
+      .resize(boxWidth, boxHeight, { fit: "inside" })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    if (placement.opacity < 1) {
+      for (let i = 3; i < data.length; i += 4) {
+        data[i] = Math.round(data[i] * placement.opacity);
+      }
+    }
+
+    const margin = Math.round(height * placement.margin);
+    const [vertical, horizontal] = placement.position.split("-");
+    const left = horizontal === "left" ? margin : width - info.width - margin;
+    const top = vertical === "top" ? margin : height - info.height - margin;
+
+    return sharp(imageBuffer)
+      .composite([
+        {
+          input: data,
+          raw: { width: info.width, height: info.height, channels: 4 },
+          left: Math.max(0, left),
+          top: Math.max(0, top),
+        },
+      ])
+      .png()
+      .toBuffer();
+  }
+}
+
+export { CORNERS, DEFAULT_PLACEMENT };
+export default LogoStamp;
@@ -0,0 +1,24 @@
+/**
+ * Shared behaviour for mail drivers. Drivers implement:
+ *   send({ to, subject, text, html }) -> { messageId, driver }
+ *   isConfigured()
+ */
+class BaseMailer {
+  constructor(name) {
+    this.name = name;
+    this.from =
+      process.env.MAIL_FROM || "AI Image Generator <no-reply@localhost>";
+  }
+
+  /**
+   * Checks that a message has everything a driver needs
+   * @param {Object} message - { to, subject, text, html }
+   */
+  validateMessage({ to, subject, text, html } = {}) {
+    if (!to || !subject || (!text && !html)) {
+      throw new Error("Mail needs a recipient, a subject and a body");
+    }
+  }
+}
+
+export default BaseMailer;
@@ -0,0 +1,50 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import BaseMailer from "./baseMailer.js";
+
+// Development driver: writes each message to disk and prints it to the console
+class FileMailer extends BaseMailer {
+  constructor() {
+    super("file");
+    this.outputDir = path.resolve(process.env.MAIL_FILE_DIR || "mail");
+  }
+
+  /**
+   * Saves a message as JSON in the mail directory and logs it
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - { messageId, driver, path }
+   */
+  async send(message) {
+    this.validateMessage(message);
+    const messageId = `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(this.outputDir, `${messageId}.json`);
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(
+      filePath,
+      JSON.stringify(
+        { messageId, from: this.from, ...message, sentAt: new Date() },
+        null,
+        2
+      )
+    );
+
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${
+        message.text || ""
+      }\n(saved to ${filePath})`
+    );
+    return { messageId, driver: this.name, path: filePath };
+  }
+
+  /**
+   * The file driver only needs a writable directory
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  }
+}
+
+export default FileMailer;
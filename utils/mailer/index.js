@@ -0,0 +1,34 @@
+import SmtpMailer from "./smtpMailer.js";
+import FileMailer from "./fileMailer.js";
+
+const DRIVERS = {
+  smtp: SmtpMailer,
+  file: FileMailer,
+  // Alias for the file driver, which also prints every message
+  console: FileMailer,
+};
+
+const drivers = new Map();
+
+/**
+ * Returns the mail driver, selected by MAIL_DRIVER when no name is given
+ * (defaults to the file driver)
+ * @param {string} name - Driver name (smtp, file or console)
+ * @returns {BaseMailer} - Mail driver instance
+ */
+const getMailer = (name = process.env.MAIL_DRIVER || "file") => {
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown MAIL_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(
+        ", "
+      )}`
+    );
+  }
+  if (!drivers.has(name)) {
+    drivers.set(name, new DRIVERS[name]());
+  }
+  return drivers.get(name);
+};
+
+export { DRIVERS };
+export default getMailer;
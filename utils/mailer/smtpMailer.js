@@ -0,0 +1,51 @@
+import nodemailer from "nodemailer";
+import BaseMailer from "./baseMailer.js";
+
+class SmtpMailer extends BaseMailer {
+  constructor() {
+    super("smtp");
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE
+          ? process.env.SMTP_SECURE === "true"
+          : port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Sends a message through the configured SMTP server
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - { messageId, driver }
+   */
+  async send(message) {
+    this.validateMessage(message);
+    const info = await this.getTransport().sendMail({
+      from: this.from,
+      ...message,
+    });
+    console.log(`Mail sent to ${message.to} via SMTP: ${info.messageId}`);
+    return { messageId: info.messageId, driver: this.name };
+  }
+
+  /**
+   * @returns {boolean} - True if an SMTP host is set
+   */
+  isConfigured() {
+    return !!process.env.SMTP_HOST;
+  }
+}
+
+export default SmtpMailer;
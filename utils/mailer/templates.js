@@ -0,0 +1,88 @@
+// Links in emails point at the frontend, which posts the token back to the API
+const appUrl = () =>
+  (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const buildEmail = ({ name, intro, action, url, outro }) => ({
+  text: `Hi ${name},\n\n${intro}\n\n${action}: ${url}\n\n${outro}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>`,
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Recipient name
+ * @param {string} options.token - Password reset token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => ({
+  subject: "Reset your password",
+  ...buildEmail({
+    name,
+    intro: "We received a request to reset the password for your account.",
+    action: "Reset your password",
+    url: `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+    outro: `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`,
+  }),
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Recipient name
+ * @param {string} options.token - Email verification token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const emailVerificationEmail = ({ name, token, expiresInMinutes }) => ({
+  subject: "Confirm your email address",
+  ...buildEmail({
+    name,
+    intro: "Please confirm that this email address belongs to you.",
+    action: "Verify your email",
+    url: `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    outro: `This link expires in ${Math.round(
+      expiresInMinutes / 60
+    )} hours and can only be used once.`,
+  }),
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.workspaceName - Workspace the invitee is joining
+ * @param {string} options.inviterName - Member who sent the invitation
+ * @param {string} options.role - Role granted on acceptance
+ * @param {string} options.token - Invitation token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const workspaceInvitationEmail = ({
+  workspaceName,
+  inviterName,
+  role,
+  token,
+  expiresInMinutes,
+}) => ({
+  subject: `${inviterName} invited you to ${workspaceName}`,
+  ...buildEmail({
+    name: "there",
+    intro: `${inviterName} invited you to join the ${workspaceName} workspace as ${
+      /^[aeiou]/.test(role) ? "an" : "a"
+    } ${role}. Sign in or create an account with this email address to accept.`,
+    action: "Accept the invitation",
+    url: `${appUrl()}/invitations/accept?token=${encodeURIComponent(token)}`,
+    outro: `This invitation expires in ${Math.round(
+      expiresInMinutes / (60 * 24)
+    )} days.`,
+  }),
+});
+
+export { passwordResetEmail, emailVerificationEmail, workspaceInvitationEmail };
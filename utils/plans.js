@@ -0,0 +1,54 @@
+// Reads an optional limit from the environment; "unlimited" (or unset with
+// a null fallback) means no limit
+const envLimit = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  if (value === "unlimited") return null;
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Plan tiers. historyLimit is the number of generations kept per user
+// (oldest are pruned first); null keeps everything. monthlyCredits is the
+// allowance granted at the start of each calendar month (one credit per
+// image; null means unmetered) and maxImageCount caps imageCount per request
+const PLANS = {
+  free: {
+    name: "free",
+    historyLimit: envLimit("HISTORY_LIMIT_FREE", 500),
+    monthlyCredits: envLimit("CREDITS_MONTHLY_FREE", 40),
+    maxImageCount: 2,
+  },
+  pro: {
+    name: "pro",
+    historyLimit: envLimit("HISTORY_LIMIT_PRO", null),
+    monthlyCredits: envLimit("CREDITS_MONTHLY_PRO", 1000),
+    maxImageCount: 4,
+  },
+  team: {
+    name: "team",
+    historyLimit: envLimit("HISTORY_LIMIT_TEAM", null),
+    monthlyCredits: envLimit("CREDITS_MONTHLY_TEAM", 5000),
+    maxImageCount: 4,
+  },
+  // New workspaces start here: shared history without a credit allowance
+  // until a plan is assigned, so creating workspaces cannot mint credits
+  unassigned: {
+    name: "unassigned",
+    historyLimit: envLimit("HISTORY_LIMIT_FREE", 500),
+    monthlyCredits: 0,
+    maxImageCount: 2,
+  },
+};
+
+const DEFAULT_PLAN = "free";
+const DEFAULT_WORKSPACE_PLAN = "unassigned";
+
+/**
+ * Looks up a plan, falling back to the default plan
+ * @param {string} name - Plan name
+ * @returns {Object} - Plan settings
+ */
+const getPlan = (name) => PLANS[name] || PLANS[DEFAULT_PLAN];
+
+export { PLANS, DEFAULT_PLAN, DEFAULT_WORKSPACE_PLAN, getPlan };
@@ -0,0 +1,60 @@
+// Estimated list prices in USD, used for usage reports. They are not
+// billed amounts; update them when providers change their pricing.
+
+// Per image, by provider, model and size ("default" for any size)
+const IMAGE_PRICES = {
+  openai: {
+    "dall-e-3": {
+      "1024x1024": 0.04,
+      "1792x1024": 0.08,
+      "1024x1792": 0.08,
+    },
+    "dall-e-2": {
+      "1024x1024": 0.02,
+      "512x512": 0.018,
+      "256x256": 0.016,
+    },
+  },
+  gemini: {
+    "gemini-2.5-flash-image-preview": { default: 0.039 },
+  },
+  mock: {
+    placeholder: { default: 0 },
+  },
+};
+
+// Per million tokens, by model
+const TOKEN_PRICES = {
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+};
+
+/**
+ * Estimates what one provider call cost. Failed calls are not charged.
+ * @param {Object} call - { kind, provider, model, size, success, images,
+ * inputTokens, outputTokens }
+ * @returns {number|null} - USD, or null when the price is unknown
+ */
+const estimateCost = ({
+  kind,
+  provider,
+  model,
+  size,
+  success,
+  images = 0,
+  inputTokens = 0,
+  outputTokens = 0,
+}) => {
+  if (!success) return 0;
+
+  if (kind === "enhancement") {
+    const price = TOKEN_PRICES[model];
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  const sizes = IMAGE_PRICES[provider]?.[model];
+  const price = sizes?.[size] ?? sizes?.default;
+  return price === undefined ? null : price * images;
+};
+
+export { IMAGE_PRICES, TOKEN_PRICES, estimateCost };
@@ -1,23 +1,18 @@
 import OpenAI from "openai";
+import crypto from "crypto";
 
-class PromptEnhancer {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
+const MODEL = "gpt-3.5-turbo";
 
-  /**
-   * Enhances a user prompt using OpenAI with ChatML format
-   * @param {string} userPrompt - The original user prompt
-   * @returns {Promise<string>} - Enhanced prompt for image generation
-   */
-  async enhancePrompt(userPrompt) {
-    try {
-      const messages = [
-        {
-          role: "system",
-          content: `You are an expert prompt engineer for AI image generation. Your task is to enhance user prompts to create more detailed, visually appealing, and technically optimized prompts for image generation models.
+const MAX_CANDIDATES = 5;
+
+// Longest prompt the preview endpoint accepts, in characters
+const MAX_PROMPT_LENGTH = 1000;
+
+// Enhancements are cached in process memory by prompt and style
+const CACHE = { maxEntries: 500, ttlMs: 24 * 60 * 60 * 1000 };
+const cache = new Map();
+
+const BASE_SYSTEM_PROMPT = `You are an expert prompt engineer for AI image generation. Your task is to enhance user prompts to create more detailed, visually appealing, and technically optimized prompts for image generation models.
 
 Guidelines for enhancement:
 - Add specific visual details (lighting, composition, style, colors)
@@ -27,10 +22,211 @@ Guidelines for enhancement:
 - Keep the core concept intact while making it more vivid
 - Aim for 1-2 sentences maximum
 - Focus on visual elements that will produce better images
+- Reply with the enhanced prompt only
 
 Example:
 Input: "a cat"
-Output: "A majestic fluffy cat with bright emerald eyes, sitting gracefully in golden hour lighting, professional portrait photography, shallow depth of field, warm cinematic tones"`,
+Output: "A majestic fluffy cat with bright emerald eyes, sitting gracefully in golden hour lighting, professional portrait photography, shallow depth of field, warm cinematic tones"`;
+
+// Extra guidance per kind of video, matched against category and then
+// thumbnailStyle. `match` lists other words or phrases that pick the same
+// style; all of them match whole words only
+const STYLES = {
+  gaming: {
+    match: ["game", "esports", "minecraft", "fortnite"],
+    guidance:
+      "This is a gaming video thumbnail. Favor dynamic action, saturated neon and high-energy lighting, in-game scenery or characters, and a hero moment frozen mid-action.",
+  },
+  tutorial: {
+    match: ["how-to", "how to", "howto", "education", "explainer", "course"],
+    guidance:
+      "This is a tutorial thumbnail. Favor a clear, uncluttered subject that shows the result or the tool being taught, bright even lighting and a clean background.",
+  },
+  vlog: {
+    match: ["lifestyle", "daily", "travel", "day in the life"],
+    guidance:
+      "This is a vlog thumbnail. Favor an authentic, candid moment, natural light, a recognizable location and a warm, personal feel.",
+  },
+  reaction: {
+    match: ["react", "commentary", "shocked"],
+    guidance:
+      "This is a reaction video thumbnail. Favor a close-up face with a big, exaggerated expression next to what they are reacting to, with strong contrast between the two.",
+  },
+  review: {
+    match: ["unboxing", "tech", "product", "comparison"],
+    guidance:
+      "This is a product review thumbnail. Favor a hero shot of the product with studio lighting, crisp reflections, true-to-life colors and room beside it for the reviewer.",
+  },
+  cooking: {
+    match: ["food", "recipe", "baking", "kitchen"],
+    guidance:
+      "This is a cooking video thumbnail. Favor an appetizing close-up of the finished dish, steam or texture detail, warm light and a shallow depth of field.",
+  },
+  fitness: {
+    match: ["workout", "gym", "sport", "health"],
+    guidance:
+      "This is a fitness video thumbnail. Favor strong, energetic poses, defined lighting that sculpts the body, and a clean gym or outdoor setting.",
+  },
+  music: {
+    match: ["song", "cover", "concert", "band"],
+    guidance:
+      "This is a music video thumbnail. Favor stage or studio atmosphere, dramatic colored lighting, instruments and a sense of rhythm and motion.",
+  },
+  news: {
+    match: ["politics", "documentary", "story", "finance"],
+    guidance:
+      "This is a news or documentary thumbnail. Favor a serious, credible look, realistic photography, restrained colors and a single clear focal point.",
+  },
+};
+
+// Collapse whitespace, so prompts that differ only in spacing share a
+// cache entry. Casing is kept: enhancements echo the prompt's wording
+const collapseWhitespace = (text) =>
+  String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Lowercase words of a category or style, split on anything but letters
+// and digits ("How-To" and "how to" both give ["how", "to"])
+const tokenize = (text) =>
+  collapseWhitespace(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Whether the words of `phrase` appear in order in `tokens`. The last word
+// may be plural ("reviews" matches "review"), but words never match inside
+// longer ones ("productivity" does not match "product")
+const containsPhrase = (tokens, phrase) => {
+  const words = tokenize(phrase);
+  return tokens.some((_, start) =>
+    words.every((word, offset) => {
+      const token = tokens[start + offset];
+      const isLast = offset === words.length - 1;
+      return (
+        token === word ||
+        (isLast && (token === `${word}s` || token === `${word}es`))
+      );
+    })
+  );
+};
+
+/**
+ * Picks the style tuned for a category or thumbnail style
+ * @param {string} category - Video category (e.g. "Gaming")
+ * @param {string} thumbnailStyle - Thumbnail style
+ * @returns {string|null} - Key in STYLES, or null for the generic prompt
+ */
+const resolveStyle = (category, thumbnailStyle) => {
+  for (const tokens of [category, thumbnailStyle].map(tokenize)) {
+    if (tokens.length === 0) continue;
+    const style = Object.entries(STYLES).find(([key, { match }]) =>
+      [key, ...match].some((phrase) => containsPhrase(tokens, phrase))
+    );
+    if (style) return style[0];
+  }
+  return null;
+};
+
+class PromptEnhancer {
+  constructor() {
+    this.openai = null;
+  }
+
+  /**
+   * Lazily creates the OpenAI client so the server can start without a key
+   * @returns {OpenAI} - OpenAI client
+   */
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    }
+    return this.openai;
+  }
+
+  /**
+   * Enhances a user prompt using OpenAI with ChatML format
+   * @param {string} userPrompt - The original user prompt
+   * @param {Object} options - category and thumbnailStyle, as for enhance()
+   * @returns {Promise<string>} - Enhanced prompt for image generation, or
+   * the original when enhancement fell back
+   */
+  async enhancePrompt(userPrompt, options = {}) {
+    const { prompts } = await this.enhance(userPrompt, options);
+    return prompts[0];
+  }
+
+  /**
+   * Enhances a prompt into one or more alternative prompts. Never throws:
+   * when OpenAI is not configured or fails, the original prompt is
+   * returned with `enhanced: false` and the reason in `fallback`.
+   * @param {string} userPrompt - The original user prompt
+   * @param {Object} options
+   * @param {number} options.count - Alternatives to return (1-5)
+   * @param {string} options.category - Video category, to tune the prompt
+   * @param {string} options.thumbnailStyle - Thumbnail style, used when the
+   * category has no tuned style
+   * @param {UsageTracker} options.usage - Records the OpenAI call; cached
+   * results make none (optional)
+   * @returns {Promise<Object>} - { prompts, enhanced, cached, style,
+   * fallback }, with fallback as { reason, details } or null
+   */
+  async enhance(
+    userPrompt,
+    { count = 1, category, thumbnailStyle, usage } = {}
+  ) {
+    const total = Math.max(1, Math.min(MAX_CANDIDATES, parseInt(count) || 1));
+    const style = resolveStyle(category, thumbnailStyle);
+    const fallback = (reason, details) => ({
+      prompts: [userPrompt],
+      enhanced: false,
+      cached: false,
+      style,
+      fallback: { reason, details },
+    });
+
+    if (!this.isConfigured()) {
+      return fallback("not-configured", "OPENAI_API_KEY is not set");
+    }
+
+    const cacheKey = crypto
+      .createHash("sha256")
+      .update(JSON.stringify([MODEL, style, collapseWhitespace(userPrompt)]))
+      .digest("hex");
+    const hit = cache.get(cacheKey);
+    if (hit && hit.expiresAt > Date.now() && hit.prompts.length >= total) {
+      return {
+        prompts: hit.prompts.slice(0, total),
+        enhanced: true,
+        cached: true,
+        style,
+        fallback: null,
+      };
+    }
+
+    const startedAt = Date.now();
+    const record = (success, error, tokens = {}) =>
+      usage?.record({
+        kind: "enhancement",
+        provider: "openai",
+        model: MODEL,
+        latencyMs: Date.now() - startedAt,
+        retries: 0,
+        success,
+        error,
+        inputTokens: tokens.prompt_tokens,
+        outputTokens: tokens.completion_tokens,
+      });
+
+    try {
+      const messages = [
+        {
+          role: "system",
+          content: style
+            ? `${BASE_SYSTEM_PROMPT}\n\n${STYLES[style].guidance}`
+            : BASE_SYSTEM_PROMPT,
         },
         {
           role: "user",
@@ -38,22 +234,48 @@ Output: "A majestic fluffy cat with bright emerald eyes, sitting gracefully in g
         },
       ];
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      // One request for every alternative; a higher temperature keeps
+      // them apart
+      const response = await this.getClient().chat.completions.create({
+        model: MODEL,
         messages: messages,
         max_tokens: 150,
-        temperature: 0.7,
+        temperature: total > 1 ? 0.95 : 0.7,
+        n: total,
       });
+      record(true, null, response.usage);
+
+      const prompts = [
+        ...new Set(
+          response.choices
+            .map((choice) =>
+              (choice.message.content || "").trim().replace(/^"|"$/g, "")
+            )
+            .filter(Boolean)
+        ),
+      ];
+      if (prompts.length === 0) {
+        return fallback("empty-response", "OpenAI returned no prompt");
+      }
 
-      const enhancedPrompt = response.choices[0].message.content.trim();
       console.log(`Original prompt: "${userPrompt}"`);
-      console.log(`Enhanced prompt: "${enhancedPrompt}"`);
+      console.log(`Enhanced prompt: "${prompts[0]}"`);
+
+      // Refresh the entry's position so the oldest entries go first
+      cache.delete(cacheKey);
+      cache.set(cacheKey, {
+        prompts,
+        expiresAt: Date.now() + CACHE.ttlMs,
+      });
+      if (cache.size > CACHE.maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
 
-      return enhancedPrompt;
+      return { prompts, enhanced: true, cached: false, style, fallback: null };
     } catch (error) {
       console.error("Error enhancing prompt:", error.message);
-      // Return original prompt if enhancement fails
-      return userPrompt;
+      record(false, error.message);
+      return fallback("error", error.message);
     }
   }
 
@@ -66,4 +288,5 @@ Output: "A majestic fluffy cat with bright emerald eyes, sitting gracefully in g
   }
 }
 
+export { STYLES, MAX_CANDIDATES, MAX_PROMPT_LENGTH, resolveStyle };
 export default PromptEnhancer;
@@ -0,0 +1,281 @@
+import mongoose from "mongoose";
+import PromptTemplate from "../models/PromptTemplate.js";
+import HttpError from "./httpError.js";
+import { assertResourceAccess, assertSameWorkspace } from "./resourceAccess.js";
+
+// {{name}} or {{name|default value}}
+const PLACEHOLDER_PATTERN =
+  /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*(?:\|([^{}|]*))?\}\}/g;
+
+const LIMITS = {
+  templateLength: 2000,
+  variables: 20,
+  defaultLength: 100,
+  valueLength: 200,
+};
+
+// Variables filled from the request's structured fields. They are optional:
+// a comma-separated part of the template is left out when one it uses is
+// empty. `details` holds the style clauses built from those fields.
+const FIELD_VARIABLES = [
+  "prompt",
+  "customPrompt",
+  "category",
+  "mood",
+  "theme",
+  "primaryColor",
+  "thumbnailStyle",
+  "textStyle",
+  "details",
+];
+
+const QUALITY_SUFFIX =
+  "high quality, professional, eye-catching, clean composition";
+
+const BUILT_IN_TEMPLATES = {
+  default: {
+    name: "Default",
+    description: "Custom prompt followed by the structured fields",
+    template: `{{customPrompt}}, {{details}}, ${QUALITY_SUFFIX}`,
+  },
+  reaction: {
+    name: "Reaction",
+    description: "Someone reacting to a topic, with an exaggerated expression",
+    template:
+      "{{host}} reacting to {{topic}} with an exaggerated expression, {{mood}} lighting, {{details}}, high quality, expressive close-up, clean composition",
+  },
+  tutorial: {
+    name: "Tutorial",
+    description: "Clear explainer visual for a how-to topic",
+    template:
+      "clean step-by-step visual explaining {{topic}}, {{details}}, high quality, crisp and uncluttered, professional",
+  },
+  versus: {
+    name: "Versus",
+    description: "Split-screen comparison of two things",
+    template: `{{left}} versus {{right}} split-screen comparison, {{details}}, bold contrast, ${QUALITY_SUFFIX}`,
+  },
+};
+
+const DEFAULT_TEMPLATE_ID = "default";
+
+// Collapse whitespace and drop braces so values cannot add placeholders
+const cleanValue = (value) =>
+  value === undefined || value === null
+    ? ""
+    : String(value).replace(/[{}]/g, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Checks a template's syntax and lists its variables
+ * @param {string} template - Template text
+ * @returns {{ variables: Object[], error: string|null }} - Variables as
+ * { name, defaultValue } in order of first use
+ */
+const parseTemplate = (template) => {
+  if (
+    typeof template !== "string" ||
+    !template.trim() ||
+    template.length > LIMITS.templateLength
+  ) {
+    return {
+      variables: [],
+      error: `Template is required (up to ${LIMITS.templateLength} characters)`,
+    };
+  }
+
+  const variables = new Map();
+  for (const [, name, defaultValue] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (defaultValue !== undefined) {
+      if (defaultValue.length > LIMITS.defaultLength) {
+        return {
+          variables: [],
+          error: `Default for "${name}" is longer than ${LIMITS.defaultLength} characters`,
+        };
+      }
+      if (name === "details") {
+        return { variables: [], error: `"details" cannot have a default` };
+      }
+    }
+    if (!variables.has(name)) {
+      variables.set(name, {
+        name,
+        defaultValue: cleanValue(defaultValue) || undefined,
+      });
+    }
+  }
+
+  // Any braces left once the valid placeholders are removed are malformed
+  const leftover = template.replace(PLACEHOLDER_PATTERN, "");
+  const stray = leftover.match(/\{\{|\}\}|\{[^{}]*\}/);
+  if (stray) {
+    return {
+      variables: [],
+      error: `Malformed placeholder near "${stray[0]}". Use {{name}} or {{name|default}}`,
+    };
+  }
+  if (variables.size > LIMITS.variables) {
+    return {
+      variables: [],
+      error: `Templates can use up to ${LIMITS.variables} variables`,
+    };
+  }
+
+  return { variables: [...variables.values()], error: null };
+};
+
+/**
+ * Validates a variables map from a request. Multipart requests may send
+ * it as a JSON string.
+ * @param {Object|string} input - { name: value } map (optional)
+ * @returns {Object} - Map with string values
+ * @throws {HttpError} - 400 for an invalid map
+ */
+const parseTemplateVariables = (input) => {
+  if (input === undefined || input === null || input === "") return {};
+
+  let variables = input;
+  if (typeof variables === "string") {
+    try {
+      variables = JSON.parse(variables);
+    } catch (e) {
+      throw new HttpError(400, "variables must be a JSON object");
+    }
+  }
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    throw new HttpError(400, "variables must be an object");
+  }
+
+  const entries = Object.entries(variables);
+  if (entries.length > LIMITS.variables) {
+    throw new HttpError(
+      400,
+      `Up to ${LIMITS.variables} variables can be passed`
+    );
+  }
+  const parsed = {};
+  for (const [name, value] of entries) {
+    if (!["string", "number"].includes(typeof value)) {
+      throw new HttpError(400, `Variable "${name}" must be a string`);
+    }
+    if (String(value).length > LIMITS.valueLength) {
+      throw new HttpError(
+        400,
+        `Variable "${name}" is longer than ${LIMITS.valueLength} characters`
+      );
+    }
+    parsed[name] = String(value);
+  }
+  return parsed;
+};
+
+/**
+ * Fills a template's placeholders. Each comma-separated part that uses an
+ * empty variable is left out, so optional fields do not leave gaps.
+ * @param {string} template - Template text (already validated)
+ * @param {Object} values - Variable values
+ * @returns {{ prompt: string, used: string[], missing: string[],
+ * unused: string[] }} - missing lists variables with no value or default
+ * that are not filled from structured fields; unused lists values the
+ * template does not use
+ */
+const renderTemplate = (template, values = {}) => {
+  const placeholders = [];
+  // Swap placeholders for markers first so commas inside defaults do not
+  // split parts
+  const marked = template.replace(PLACEHOLDER_PATTERN, (match, name, def) => {
+    placeholders.push({ name, defaultValue: def });
+    return `\u0000${placeholders.length - 1}\u0000`;
+  });
+
+  const missing = new Set();
+  const used = new Set();
+  const parts = [];
+  for (const part of marked.split(",")) {
+    let empty = false;
+    const text = part.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+      const { name, defaultValue } = placeholders[index];
+      used.add(name);
+      const value = cleanValue(values[name]) || cleanValue(defaultValue);
+      if (!value) {
+        empty = true;
+        if (!FIELD_VARIABLES.includes(name)) missing.add(name);
+      }
+      return value;
+    });
+    if (!empty && text.trim()) {
+      parts.push(text.replace(/\s+/g, " ").trim());
+    }
+  }
+
+  return {
+    prompt: parts.join(", "),
+    used: [...used],
+    missing: [...missing],
+    unused: Object.keys(values).filter(
+      (name) => !used.has(name) && !FIELD_VARIABLES.includes(name)
+    ),
+  };
+};
+
+/**
+ * Loads a saved template the user may access, or a built-in template
+ * @param {string} templateId - Saved template ID or built-in template key
+ * @param {string} userId - Requesting user
+ * @param {string} minRole - Lowest workspace role allowed (saved templates)
+ * @returns {Promise<Object>} - { id, name, template, builtIn, document }
+ * @throws {HttpError} - 404 if missing or hidden, 403 if the role is too low
+ */
+const findPromptTemplate = async (templateId, userId, minRole = "viewer") => {
+  if (Object.hasOwn(BUILT_IN_TEMPLATES, templateId)) {
+    const builtIn = BUILT_IN_TEMPLATES[templateId];
+    return {
+      id: templateId,
+      name: builtIn.name,
+      template: builtIn.template,
+      builtIn: true,
+    };
+  }
+
+  const document = mongoose.isValidObjectId(templateId)
+    ? await PromptTemplate.findById(templateId)
+    : null;
+  await assertResourceAccess(document, userId, minRole, "Prompt template");
+  return {
+    id: String(document._id),
+    name: document.name,
+    template: document.template,
+    builtIn: false,
+    document,
+  };
+};
+
+/**
+ * Loads the template named in a generation request. Workspace templates
+ * can only be used for generations in that workspace.
+ * @param {string} templateId - templateId from the request (optional)
+ * @param {Object} context - { userId, workspace } of the generation
+ * @returns {Promise<Object>} - Template from findPromptTemplate(); the
+ * default template when none was given
+ */
+const loadGenerationTemplate = async (templateId, { userId, workspace }) => {
+  const template = await findPromptTemplate(
+    templateId || DEFAULT_TEMPLATE_ID,
+    userId,
+    "viewer"
+  );
+  if (template.document) {
+    assertSameWorkspace(template.document, workspace, "Prompt template");
+  }
+  return template;
+};
+
+export {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  FIELD_VARIABLES,
+  parseTemplate,
+  parseTemplateVariables,
+  renderTemplate,
+  findPromptTemplate,
+  loadGenerationTemplate,
+};
@@ -0,0 +1,236 @@
+import { GoogleGenAI } from "@google/genai";
+import { REFERENCE_ROLES } from "../referenceImages.js";
+
+class GeminiProvider {
+  constructor() {
+    this.name = "gemini";
+    this.models = ["gemini-2.5-flash-image-preview"];
+    this.defaultModel = "gemini-2.5-flash-image-preview";
+    this.supports = { textToImage: true, imageToImage: true, imageEdit: true };
+    this.client = null;
+  }
+
+  /**
+   * Lazily creates the Gemini client so a missing key only fails on use
+   * @returns {GoogleGenAI} - Gemini client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenAI({
+        apiKey: process.env.GEMINI_API_KEY,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Generates an image from a text prompt
+   * @param {Object} options
+   * @param {string} options.prompt - Text prompt for image generation
+   * @param {string} options.model - Gemini model name
+   * @param {number} options.aspectRatio - Target width / height (optional)
+   * @param {number} options.index - Index for logging purposes
+   * @param {Function} options.onRetry - Called before each retry (optional)
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generate({ prompt, model, aspectRatio, index, onRetry }) {
+    const text = `${prompt}${this.describeAspectRatio(aspectRatio)}`;
+    return this.generateWithRetry([{ text }], model, index, onRetry);
+  }
+
+  /**
+   * Generates an image from labelled reference images and a prompt. Each
+   * image is preceded by a label, and the prompt says what each role is for
+   * @param {Object} options
+   * @param {Object[]} options.references - { role, buffer, mimeType }
+   * (optional when imageBuffer is given)
+   * @param {Buffer} options.imageBuffer - Input image buffer
+   * @param {string} options.mimeType - MIME type of the input image
+   * @param {string} options.prompt - Text prompt for image generation
+   * @param {string} options.model - Gemini model name
+   * @param {number} options.aspectRatio - Target width / height (optional)
+   * @param {number} options.index - Index for logging purposes
+   * @param {Function} options.onRetry - Called before each retry (optional)
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generateFromImage({
+    references,
+    imageBuffer,
+    mimeType,
+    prompt,
+    model,
+    aspectRatio,
+    index,
+    onRetry,
+  }) {
+    const labelled = references || [
+      { role: "image", buffer: imageBuffer, mimeType },
+    ];
+
+    // Add delay to avoid rate limits
+    if (index > 1) {
+      await new Promise((resolve) => setTimeout(resolve, 2000)); // 2 second delay between requests
+    }
+
+    const toPart = (reference) => ({
+      inlineData: {
+        mimeType: reference.mimeType,
+        data: reference.buffer.toString("base64"),
+      },
+    });
+
+    // A single image to transform keeps the original prompt and structure
+    if (labelled.length === 1 && labelled[0].role === "image") {
+      const enhancedPrompt = `Transform and enhance this image: ${prompt}. Create a professional YouTube thumbnail style image with high quality, vibrant colors, and eye-catching design. Maintain key visual elements from the reference image while incorporating the requested changes.${this.describeAspectRatio(
+        aspectRatio
+      )}`;
+      return this.generateWithRetry(
+        [{ text: enhancedPrompt }, toPart(labelled[0])],
+        model,
+        index,
+        onRetry
+      );
+    }
+
+    const roles = labelled
+      .map(
+        (reference, i) =>
+          `Image ${i + 1} (${reference.role}) is ${
+            REFERENCE_ROLES[reference.role] || "a reference"
+          }.`
+      )
+      .join(" ");
+    const instructions = `Create a professional YouTube thumbnail style image: ${prompt}. Combine the reference images that follow by their roles. ${roles} Use high quality, vibrant colors and an eye-catching design.${this.describeAspectRatio(
+      aspectRatio
+    )}`;
+
+    const parts = [{ text: instructions }];
+    labelled.forEach((reference, i) => {
+      parts.push({ text: `Image ${i + 1} (${reference.role}):` });
+      parts.push(toPart(reference));
+    });
+
+    return this.generateWithRetry(parts, model, index, onRetry);
+  }
+
+  /**
+   * Edits the masked area of an image. Gemini has no mask input, so the
+   * mask goes along as a second image and the prompt says how to read it.
+   * @param {Object} options
+   * @param {Buffer} options.imageBuffer - Image to edit
+   * @param {Buffer} options.maskBuffer - Greyscale PNG mask, white = edit
+   * @param {string} options.mimeType - MIME type of the image
+   * @param {string} options.prompt - Description of the change
+   * @param {string} options.model - Gemini model name
+   * @param {number} options.index - Index for logging purposes
+   * @param {Function} options.onRetry - Called before each retry (optional)
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async edit({
+    imageBuffer,
+    maskBuffer,
+    mimeType,
+    prompt,
+    model,
+    index,
+    onRetry,
+  }) {
+    const instructions = `Edit the first image: ${prompt}. The second image is a mask: change only the area that is white in the mask and leave everything in the black area exactly as it is, including faces, text and colors. Return the whole edited image with the same framing and size.`;
+
+    // Add delay to avoid rate limits
+    if (index > 1) {
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+
+    return this.generateWithRetry(
+      [
+        { text: instructions },
+        {
+          inlineData: {
+            mimeType,
+            data: imageBuffer.toString("base64"),
+          },
+        },
+        {
+          inlineData: {
+            mimeType: "image/png",
+            data: maskBuffer.toString("base64"),
+          },
+        },
+      ],
+      model,
+      index,
+      onRetry
+    );
+  }
+
+  /**
+   * Gemini has no size parameter, so the target shape goes in the prompt
+   * @param {number} aspectRatio - Target width / height (optional)
+   * @returns {string} - Prompt suffix, empty when no ratio is given
+   */
+  describeAspectRatio(aspectRatio) {
+    if (!aspectRatio) return "";
+    if (aspectRatio > 1.2) return " Use a wide landscape composition.";
+    if (aspectRatio < 0.83) return " Use a tall portrait composition.";
+    return " Use a square composition.";
+  }
+
+  /**
+   * Calls generateContent, retrying once after a rate limit (429)
+   * @param {Object[]} contents - Gemini content parts
+   * @param {string} model - Gemini model name
+   * @param {number} index - Index for logging purposes
+   * @param {Function} onRetry - Called before the retry (optional)
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generateWithRetry(contents, model, index, onRetry) {
+    try {
+      return await this.generateContent(contents, model, index);
+    } catch (error) {
+      if (error.status !== 429) throw error;
+
+      console.log(
+        `Rate limited, waiting 5 seconds before retry for image ${index}...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+      onRetry?.();
+      return this.generateContent(contents, model, index);
+    }
+  }
+
+  async generateContent(contents, model, index) {
+    const response = await this.getClient().models.generateContent({
+      model: model || this.defaultModel,
+      contents: contents,
+    });
+
+    const imageBuffers = [];
+
+    if (response.candidates?.[0]?.content?.parts) {
+      for (const part of response.candidates[0].content.parts) {
+        if (part.text) {
+          console.log(`AI Response for image ${index}:`, part.text);
+        } else if (part.inlineData) {
+          const buffer = Buffer.from(part.inlineData.data, "base64");
+          imageBuffers.push(buffer);
+          console.log(
+            `Image ${index} generated successfully with Gemini - buffer size: ${buffer.length} bytes`
+          );
+        }
+      }
+    }
+
+    return imageBuffers;
+  }
+
+  /**
+   * Validates if Gemini API key is configured
+   * @returns {boolean} - True if API key is available
+   */
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,117 @@
+import OpenAIProvider from "./openaiProvider.js";
+import GeminiProvider from "./geminiProvider.js";
+import MockProvider from "./mockProvider.js";
+
+// Fallback chains used when the request does not pick a provider
+const DEFAULT_ORDER = {
+  "text-to-image": ["openai"],
+  "image-to-image": ["gemini", "openai"],
+  // DALL-E edits honour the mask; Gemini only gets it as a second image
+  "image-edit": ["openai", "gemini"],
+};
+
+// Env vars that override the fallback chains (comma-separated names)
+const ORDER_ENV = {
+  "text-to-image": "IMAGE_PROVIDER_ORDER",
+  "image-to-image": "IMAGE_TO_IMAGE_PROVIDER_ORDER",
+  "image-edit": "IMAGE_EDIT_PROVIDER_ORDER",
+};
+
+// Provider capability flag for each generation type
+const CAPABILITY = {
+  "text-to-image": "textToImage",
+  "image-to-image": "imageToImage",
+  "image-edit": "imageEdit",
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Registers an image provider under its name
+   * @param {Object} provider - Provider instance (name, models, generate...)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} - Registered provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * @returns {Object[]} - All registered providers
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Checks whether a provider can handle a generation type
+   * @param {Object} provider - Provider instance
+   * @param {string} type - "text-to-image", "image-to-image" or "image-edit"
+   * @returns {boolean}
+   */
+  supports(provider, type) {
+    return !!provider.supports?.[CAPABILITY[type]];
+  }
+
+  /**
+   * Resolves the ordered provider chain for a generation type
+   * @param {string} type - "text-to-image", "image-to-image" or "image-edit"
+   * @returns {Object[]} - Providers to try, in order
+   */
+  getFallbackOrder(type) {
+    const configured = process.env[ORDER_ENV[type]];
+    const names = configured
+      ? configured
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean)
+      : DEFAULT_ORDER[type];
+
+    return names
+      .map((name) => this.get(name))
+      .filter((provider) => provider && this.supports(provider, type));
+  }
+
+  /**
+   * Reports configuration and models for every registered provider
+   * @returns {Object} - Map of provider name to status
+   */
+  getStatus() {
+    const status = {};
+    for (const provider of this.list()) {
+      status[provider.name] = {
+        configured: provider.isConfigured(),
+        models: provider.models,
+        defaultModel: provider.defaultModel,
+        textToImage: this.supports(provider, "text-to-image"),
+        imageToImage: this.supports(provider, "image-to-image"),
+        imageEdit: this.supports(provider, "image-edit"),
+      };
+    }
+    return status;
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new OpenAIProvider());
+providerRegistry.register(new GeminiProvider());
+// Placeholder images cost nothing to make, so the mock provider is only
+// offered in development or when explicitly enabled
+if (
+  process.env.NODE_ENV === "development" ||
+  process.env.MOCK_PROVIDER_ENABLED === "true"
+) {
+  providerRegistry.register(new MockProvider());
+}
+
+export { ProviderRegistry };
+export default providerRegistry;
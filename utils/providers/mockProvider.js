@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import zlib from "zlib";
+
+// CRC32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Offline provider that returns deterministic placeholder PNGs, so the API
+ * can run end to end in development without any API keys
+ */
+class MockProvider {
+  constructor() {
+    this.name = "mock";
+    this.models = ["placeholder"];
+    this.defaultModel = "placeholder";
+    this.supports = { textToImage: true, imageToImage: true, imageEdit: true };
+  }
+
+  /**
+   * Renders a placeholder image derived from the prompt
+   * @param {Object} options
+   * @param {string} options.prompt - Text prompt for image generation
+   * @param {number} options.aspectRatio - Target width / height (optional)
+   * @param {number} options.index - Index of the image in the batch
+   * @returns {Promise<Buffer[]>} - Array containing one PNG buffer
+   */
+  async generate({ prompt, aspectRatio = 1, index = 1 }) {
+    // Long edge of 1024px, like the real providers
+    const width = aspectRatio >= 1 ? 1024 : Math.round(1024 * aspectRatio);
+    const height = aspectRatio >= 1 ? Math.round(1024 / aspectRatio) : 1024;
+    const buffer = this.renderPlaceholder(`${prompt}#${index}`, width, height);
+    console.log(
+      `Image ${index} generated with mock provider - buffer size: ${buffer.length} bytes`
+    );
+    return [buffer];
+  }
+
+  /**
+   * Same as generate(); the reference images only seed the colors
+   * @param {Object} options - Same as generate(), plus imageBuffer and
+   * optionally every labelled reference
+   * @returns {Promise<Buffer[]>} - Array containing one PNG buffer
+   */
+  async generateFromImage({
+    imageBuffer,
+    references,
+    prompt,
+    aspectRatio,
+    index,
+  }) {
+    const hash = crypto.createHash("sha256");
+    for (const reference of references || [{ buffer: imageBuffer }]) {
+      hash.update(reference.buffer);
+    }
+    const seed = hash.digest("hex").slice(0, 16);
+    return this.generate({
+      prompt: `${seed}:${prompt}`,
+      aspectRatio,
+      index,
+    });
+  }
+
+  /**
+   * Renders a full placeholder seeded by the image and mask; only the
+   * masked area survives compositing
+   * @param {Object} options - Same as generateFromImage(), plus maskBuffer
+   * @returns {Promise<Buffer[]>} - Array containing one PNG buffer
+   */
+  async edit({ imageBuffer, maskBuffer, prompt, aspectRatio, index }) {
+    return this.generateFromImage({
+      imageBuffer: Buffer.concat([imageBuffer, maskBuffer]),
+      prompt,
+      aspectRatio,
+      index,
+    });
+  }
+
+  /**
+   * Draws a two-color diagonal gradient picked from a hash of the seed
+   * @param {string} seed - Input that determines the colors
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {Buffer} - PNG image buffer
+   */
+  renderPlaceholder(seed, width = 1024, height = 1024) {
+    const hash = crypto.createHash("sha256").update(seed).digest();
+    const from = [hash[0], hash[1], hash[2]];
+    const to = [hash[3], hash[4], hash[5]];
+
+    // Each row is a filter byte (0 = none) followed by RGB pixels
+    const rowLength = width * 3 + 1;
+    const raw = Buffer.alloc(rowLength * height);
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * rowLength;
+      for (let x = 0; x < width; x++) {
+        const t = (x / width + y / height) / 2;
+        const offset = rowStart + 1 + x * 3;
+        for (let c = 0; c < 3; c++) {
+          raw[offset + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+        }
+      }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: truecolor RGB
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", header),
+      pngChunk("IDAT", zlib.deflateSync(raw)),
+      pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+  }
+
+  /**
+   * The mock provider needs no credentials
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  }
+}
+
+export default MockProvider;
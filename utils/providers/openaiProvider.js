@@ -0,0 +1,174 @@
+import OpenAI, { toFile } from "openai";
+import sharp from "sharp";
+
+// Only DALL-E 2 supports masked edits, at a fixed square size
+const EDIT_MODEL = "dall-e-2";
+const EDIT_SIZE = 1024;
+
+class OpenAIProvider {
+  constructor() {
+    this.name = "openai";
+    this.models = ["dall-e-3", "dall-e-2"];
+    this.defaultModel = "dall-e-3";
+    this.editModel = EDIT_MODEL;
+    this.supports = { textToImage: true, imageToImage: true, imageEdit: true };
+    this.client = null;
+  }
+
+  /**
+   * Lazily creates the OpenAI client so a missing key only fails on use
+   * @returns {OpenAI} - OpenAI client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Generates an image from a text prompt with DALL-E
+   * @param {Object} options
+   * @param {string} options.prompt - Text prompt for image generation
+   * @param {string} options.model - DALL-E model name
+   * @param {number} options.aspectRatio - Target width / height (optional)
+   * @param {number} options.index - Index for logging purposes
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generate({ prompt, model, aspectRatio, index }) {
+    const selectedModel = model || this.defaultModel;
+    const response = await this.getClient().images.generate({
+      model: selectedModel,
+      prompt: prompt,
+      n: 1,
+      size: this.pickSize(selectedModel, aspectRatio),
+      quality: "standard",
+      response_format: "b64_json",
+    });
+
+    return this.collectImages(response, index);
+  }
+
+  /**
+   * Edits the masked area with DALL-E 2. The image and mask are stretched
+   * to the square edit size; the caller stretches the result back when
+   * compositing.
+   * @param {Object} options
+   * @param {Buffer} options.imageBuffer - PNG image to edit
+   * @param {Buffer} options.maskBuffer - Greyscale PNG mask, white = edit
+   * @param {string} options.prompt - Description of the change
+   * @param {number} options.index - Index for logging purposes
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async edit({ imageBuffer, maskBuffer, prompt, index }) {
+    const image = await sharp(imageBuffer)
+      .resize(EDIT_SIZE, EDIT_SIZE, { fit: "fill" })
+      .ensureAlpha()
+      .png()
+      .toBuffer();
+
+    // DALL-E edits the fully transparent area of the mask
+    const alpha = await sharp(maskBuffer)
+      .resize(EDIT_SIZE, EDIT_SIZE, { fit: "fill" })
+      .negate()
+      .threshold(128)
+      .toColourspace("b-w")
+      .raw()
+      .toBuffer();
+    const mask = await sharp({
+      create: {
+        width: EDIT_SIZE,
+        height: EDIT_SIZE,
+        channels: 3,
+        background: "#000000",
+      },
+    })
+      .joinChannel(alpha, {
+        raw: { width: EDIT_SIZE, height: EDIT_SIZE, channels: 1 },
+      })
+      .png()
+      .toBuffer();
+
+    const response = await this.getClient().images.edit({
+      model: EDIT_MODEL,
+      image: await toFile(image, "image.png", { type: "image/png" }),
+      mask: await toFile(mask, "mask.png", { type: "image/png" }),
+      prompt,
+      n: 1,
+      size: `${EDIT_SIZE}x${EDIT_SIZE}`,
+      response_format: "b64_json",
+    });
+
+    return this.collectImages(response, index);
+  }
+
+  /**
+   * Decodes the base64 images of an images API response
+   * @param {Object} response - images.generate() or images.edit() response
+   * @param {number} index - Index for logging purposes
+   * @returns {Buffer[]} - Image buffers
+   */
+  collectImages(response, index) {
+    const imageBuffers = [];
+
+    if (response.data && response.data.length > 0) {
+      for (const imageData of response.data) {
+        if (imageData.b64_json) {
+          const buffer = Buffer.from(imageData.b64_json, "base64");
+          imageBuffers.push(buffer);
+          console.log(
+            `Image ${index} generated successfully with DALL-E - buffer size: ${buffer.length} bytes`
+          );
+        }
+      }
+    }
+
+    return imageBuffers;
+  }
+
+  /**
+   * DALL-E cannot take a reference image, so this generates from the
+   * prompt alone, framed as a transformation of the concept
+   * @param {Object} options - Same as generate(), plus the references
+   * @returns {Promise<Buffer[]>} - Array containing image buffer(s)
+   */
+  async generateFromImage({ prompt, model, aspectRatio, index }) {
+    const enhancedPrompt = `Transform and enhance this concept: ${prompt}. Create a professional YouTube thumbnail style image with high quality, vibrant colors, and eye-catching design.`;
+
+    return this.generate({
+      prompt: enhancedPrompt,
+      model,
+      // Thumbnails default to YouTube's 16:9 when no preset is given
+      aspectRatio: aspectRatio || 16 / 9,
+      index,
+    });
+  }
+
+  /**
+   * Picks the supported DALL-E size closest to the target aspect ratio;
+   * the result is cropped to the exact preset size afterwards
+   * @param {string} model - DALL-E model name
+   * @param {number} aspectRatio - Target width / height (optional)
+   * @returns {string} - Size string for the images API
+   */
+  pickSize(model, aspectRatio) {
+    if (model !== "dall-e-3" || !aspectRatio) {
+      return "1024x1024";
+    }
+    if (aspectRatio > 1.2) return "1792x1024";
+    if (aspectRatio < 0.83) return "1024x1792";
+    return "1024x1024";
+  }
+
+  /**
+   * Validates if OpenAI API key is configured
+   * @returns {boolean} - True if API key is available
+   */
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,82 @@
+import dns from "dns";
+import net from "net";
+
+// Addresses that outgoing requests made for users (webhooks) must not
+// reach: this host, private networks, link-local (cloud metadata) and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Checks whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for private, loopback, link-local, mapped
+ * private and reserved addresses, and for anything that is not an IP
+ */
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (!version) return false;
+  return !BLOCKED.check(address, version === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Checks a URL hostname without resolving it: localhost names and IP
+ * literals outside the public ranges. Names are checked again when they
+ * are resolved (see lookupPublic).
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {boolean} - True when the host is known to be private
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  return net.isIP(host) ? !isPublicAddress(host) : false;
+};
+
+/**
+ * dns.lookup() for outgoing requests that fails when a name resolves to a
+ * non-public address. Passed as the `lookup` option of http.request, the
+ * connection uses exactly the addresses checked here, so a name cannot
+ * switch to a private address between the check and the request.
+ */
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) {
+      const denied = new Error(
+        `${hostname} resolves to a non-public address (${blocked.address})`
+      );
+      denied.code = "EADDRNOTPUBLIC";
+      return callback(denied);
+    }
+    callback(null, address, family);
+  });
+};
+
+export { isPublicAddress, isPrivateHost, lookupPublic };
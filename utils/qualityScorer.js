@@ -0,0 +1,290 @@
+import sharp from "sharp";
+
+// Images are measured at this width; enough detail, and fast
+const ANALYSIS_WIDTH = 320;
+
+// Smallest size YouTube shows thumbnails at (mobile feed)
+const FEED_SIZE = { width: 168, height: 94 };
+
+// Sobel magnitude counted as an edge (a full black/white step is ~1020)
+const EDGE_THRESHOLD = 128;
+
+// Grid used to find flat, empty regions
+const GRID = { columns: 16, rows: 9 };
+const EMPTY_BLOCK_DEVIATION = 6;
+
+// How much each metric's sub-score counts towards the overall score
+const WEIGHTS = {
+  contrast: 0.2,
+  readability: 0.2,
+  sharpness: 0.15,
+  colorfulness: 0.15,
+  brightness: 0.1,
+  edgeDensity: 0.1,
+  emptySpace: 0.1,
+};
+
+// Lint checks: metric, failing condition and message
+const CHECKS = [
+  {
+    metric: "brightness",
+    fails: (value) => value < 0.2,
+    message: "Image is very dark",
+  },
+  {
+    metric: "brightness",
+    fails: (value) => value > 0.85,
+    message: "Image is washed out",
+  },
+  {
+    metric: "contrast",
+    fails: (value) => value < 0.15,
+    message: "Low contrast; the image may look flat in the feed",
+  },
+  {
+    metric: "colorfulness",
+    fails: (value) => value < 0.15,
+    message: "Dull colors",
+  },
+  {
+    metric: "sharpness",
+    fails: (value) => value < 0.1,
+    message: "Image looks blurry",
+  },
+  {
+    metric: "edgeDensity",
+    fails: (value) => value > 0.3,
+    message: "Busy, cluttered composition",
+  },
+  {
+    metric: "readability",
+    fails: (value) => value < 0.4,
+    message: `Hard to read at ${FEED_SIZE.width}x${FEED_SIZE.height} (mobile feed size)`,
+  },
+  {
+    metric: "emptySpace",
+    fails: (value) => value > 0.5,
+    message: "More than half of the image is empty",
+  },
+];
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// 1 inside [low, high], falling linearly to 0 at 0 and 1
+const band = (value, low, high) => {
+  if (value < low) return clamp(value / low);
+  if (value > high) return clamp((1 - value) / (1 - high));
+  return 1;
+};
+
+const toLuma = (rgb) => {
+  const luma = new Float32Array(rgb.length / 3);
+  for (let p = 0, i = 0; p < luma.length; p++, i += 3) {
+    luma[p] = 0.299 * rgb[i] + 0.587 * rgb[i + 1] + 0.114 * rgb[i + 2];
+  }
+  return luma;
+};
+
+const meanAndDeviation = (values) => {
+  let sum = 0;
+  let squares = 0;
+  for (const value of values) {
+    sum += value;
+    squares += value * value;
+  }
+  const mean = sum / values.length;
+  return {
+    mean,
+    deviation: Math.sqrt(Math.max(0, squares / values.length - mean * mean)),
+  };
+};
+
+// Hasler and Süsstrunk's colorfulness measure
+const measureColorfulness = (rgb) => {
+  const count = rgb.length / 3;
+  const rg = new Float32Array(count);
+  const yb = new Float32Array(count);
+  for (let p = 0, i = 0; p < count; p++, i += 3) {
+    rg[p] = rgb[i] - rgb[i + 1];
+    yb[p] = 0.5 * (rgb[i] + rgb[i + 1]) - rgb[i + 2];
+  }
+  const a = meanAndDeviation(rg);
+  const b = meanAndDeviation(yb);
+  return (
+    Math.hypot(a.deviation, b.deviation) + 0.3 * Math.hypot(a.mean, b.mean)
+  );
+};
+
+// Variance of the Laplacian; low values mean few sharp transitions
+const laplacianVariance = (luma, width, height) => {
+  const values = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      values.push(
+        luma[p - width] +
+          luma[p + width] +
+          luma[p - 1] +
+          luma[p + 1] -
+          4 * luma[p]
+      );
+    }
+  }
+  const { deviation } = meanAndDeviation(values);
+  return deviation * deviation;
+};
+
+// Sobel gradient magnitude per pixel (0 on the border)
+const sobel = (luma, width, height) => {
+  const magnitude = new Float32Array(luma.length);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const gx =
+        luma[p - width + 1] +
+        2 * luma[p + 1] +
+        luma[p + width + 1] -
+        luma[p - width - 1] -
+        2 * luma[p - 1] -
+        luma[p + width - 1];
+      const gy =
+        luma[p + width - 1] +
+        2 * luma[p + width] +
+        luma[p + width + 1] -
+        luma[p - width - 1] -
+        2 * luma[p - width] -
+        luma[p - width + 1];
+      magnitude[p] = Math.hypot(gx, gy);
+    }
+  }
+  return magnitude;
+};
+
+const edgeFraction = (magnitude) => {
+  let edges = 0;
+  for (const value of magnitude) {
+    if (value > EDGE_THRESHOLD) edges++;
+  }
+  return edges / magnitude.length;
+};
+
+// Share of grid blocks that are flat and have no edges
+const measureEmptySpace = (luma, magnitude, width, height) => {
+  let empty = 0;
+  for (let row = 0; row < GRID.rows; row++) {
+    for (let column = 0; column < GRID.columns; column++) {
+      const x0 = Math.floor((column * width) / GRID.columns);
+      const x1 = Math.floor(((column + 1) * width) / GRID.columns);
+      const y0 = Math.floor((row * height) / GRID.rows);
+      const y1 = Math.floor(((row + 1) * height) / GRID.rows);
+
+      const block = [];
+      let hasEdge = false;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          block.push(luma[y * width + x]);
+          if (magnitude[y * width + x] > EDGE_THRESHOLD) hasEdge = true;
+        }
+      }
+      if (
+        !hasEdge &&
+        meanAndDeviation(block).deviation < EMPTY_BLOCK_DEVIATION
+      ) {
+        empty++;
+      }
+    }
+  }
+  return empty / (GRID.rows * GRID.columns);
+};
+
+/**
+ * Scores images for use as thumbnails, locally with sharp (no network
+ * calls). Metrics are normalized to 0-1.
+ */
+class QualityScorer {
+  /**
+   * Measures one image and lints it
+   * @param {Buffer} imageBuffer - Final image
+   * @returns {Promise<Object>} - { score (0-100), metrics, warnings }, with
+   * warnings as { metric, message }
+   */
+  async score(imageBuffer) {
+    const [full, feed] = await Promise.all([
+      sharp(imageBuffer)
+        .resize(ANALYSIS_WIDTH, ANALYSIS_WIDTH, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .removeAlpha()
+        .toColourspace("srgb")
+        .raw()
+        .toBuffer({ resolveWithObject: true }),
+      sharp(imageBuffer)
+        .resize(FEED_SIZE.width, FEED_SIZE.height, { fit: "cover" })
+        .removeAlpha()
+        .toColourspace("srgb")
+        .raw()
+        .toBuffer({ resolveWithObject: true }),
+    ]);
+
+    const { width, height } = full.info;
+    const luma = toLuma(full.data);
+    const { mean, deviation } = meanAndDeviation(luma);
+    const magnitude = sobel(luma, width, height);
+
+    // Readability in the feed: contrast and strong edges left after
+    // shrinking to the smallest thumbnail size
+    const feedLuma = toLuma(feed.data);
+    const feedContrast = meanAndDeviation(feedLuma).deviation / 127.5;
+    const feedEdges = edgeFraction(
+      sobel(feedLuma, FEED_SIZE.width, FEED_SIZE.height)
+    );
+
+    const metrics = {
+      brightness: round(mean / 255),
+      contrast: round(clamp(deviation / 127.5)),
+      colorfulness: round(clamp(measureColorfulness(full.data) / 100)),
+      sharpness: round(clamp(laplacianVariance(luma, width, height) / 1000)),
+      edgeDensity: round(edgeFraction(magnitude)),
+      readability: round(
+        0.6 * clamp(feedContrast / 0.35) + 0.4 * clamp(feedEdges / 0.1)
+      ),
+      emptySpace: round(measureEmptySpace(luma, magnitude, width, height)),
+    };
+
+    const subScores = {
+      brightness: band(metrics.brightness, 0.35, 0.75),
+      contrast: clamp(metrics.contrast / 0.3),
+      colorfulness: clamp(metrics.colorfulness / 0.45),
+      sharpness: clamp(metrics.sharpness / 0.3),
+      edgeDensity: band(metrics.edgeDensity, 0.03, 0.25),
+      readability: metrics.readability,
+      emptySpace: clamp(1 - (metrics.emptySpace - 0.4) / 0.6),
+    };
+    const score = Object.entries(WEIGHTS).reduce(
+      (total, [metric, weight]) => total + weight * subScores[metric],
+      0
+    );
+
+    return {
+      score: Math.round(score * 100),
+      metrics,
+      warnings: CHECKS.filter(({ metric, fails }) =>
+        fails(metrics[metric])
+      ).map(({ metric, message }) => ({ metric, message })),
+    };
+  }
+
+  /**
+   * Scores a batch of images
+   * @param {Buffer[]} imageBuffers - Final images
+   * @returns {Promise<Object[]>} - Reports from score(), in the same order
+   */
+  async scoreAll(imageBuffers) {
+    return Promise.all(imageBuffers.map((buffer) => this.score(buffer)));
+  }
+}
+
+export { FEED_SIZE };
+export default QualityScorer;
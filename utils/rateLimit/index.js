@@ -0,0 +1,32 @@
+import MemoryStore from "./memoryStore.js";
+import MongoStore from "./mongoStore.js";
+
+const STORES = {
+  memory: MemoryStore,
+  mongo: MongoStore,
+};
+
+const stores = new Map();
+
+/**
+ * Returns the rate limit store, selected by RATE_LIMIT_STORE when no name is
+ * given (defaults to memory)
+ * @param {string} name - Store name (memory or mongo)
+ * @returns {MemoryStore|MongoStore} - Store instance
+ */
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+  if (!STORES[name]) {
+    throw new Error(
+      `Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(
+        STORES
+      ).join(", ")}`
+    );
+  }
+  if (!stores.has(name)) {
+    stores.set(name, new STORES[name]());
+  }
+  return stores.get(name);
+};
+
+export { STORES };
+export default getRateLimitStore;
@@ -0,0 +1,49 @@
+// Keeps window counters in process memory. Counts are per process, so use
+// the Mongo store when running more than one server instance.
+class MemoryStore {
+  constructor() {
+    this.name = "memory";
+    this.counters = new Map();
+
+    // Drop counters once they can no longer affect a window
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Counts a hit in the current fixed window and returns the counts of the
+   * current and previous windows
+   * @param {string} key - Limiter key (group, scope and client)
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{ current: number, previous: number, windowStart: number }>}
+   */
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const currentKey = `${key}:${windowStart}`;
+    const previous = this.counters.get(`${key}:${windowStart - windowMs}`);
+
+    const entry = this.counters.get(currentKey) || {
+      count: 0,
+      expiresAt: windowStart + 2 * windowMs,
+    };
+    entry.count += 1;
+    this.counters.set(currentKey, entry);
+
+    return {
+      current: entry.count,
+      previous: previous?.count || 0,
+      windowStart,
+    };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.counters) {
+      if (entry.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+export default MemoryStore;
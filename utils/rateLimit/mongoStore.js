@@ -0,0 +1,55 @@
+import RateLimitCounter from "../../models/RateLimitCounter.js";
+
+// Keeps window counters in MongoDB so limits hold across server instances
+class MongoStore {
+  constructor() {
+    this.name = "mongo";
+  }
+
+  /**
+   * Counts a hit in the current fixed window and returns the counts of the
+   * current and previous windows
+   * @param {string} key - Limiter key (group, scope and client)
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{ current: number, previous: number, windowStart: number }>}
+   */
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+    const [current, previous] = await Promise.all([
+      this.increment(key, windowStart, windowMs),
+      RateLimitCounter.findOne({
+        key,
+        windowStart: windowStart - windowMs,
+      }).lean(),
+    ]);
+
+    return {
+      current: current.count,
+      previous: previous?.count || 0,
+      windowStart,
+    };
+  }
+
+  async increment(key, windowStart, windowMs) {
+    const upsert = () =>
+      RateLimitCounter.findOneAndUpdate(
+        { key, windowStart },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) },
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+    try {
+      return await upsert();
+    } catch (error) {
+      // Two first hits in a window can race on the upsert; one retry wins
+      if (error.code === 11000) return upsert();
+      throw error;
+    }
+  }
+}
+
+export default MongoStore;
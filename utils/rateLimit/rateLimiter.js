@@ -0,0 +1,47 @@
+import getRateLimitStore from "./index.js";
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Requests allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {Object} options.store - Counter store (defaults to RATE_LIMIT_STORE)
+   */
+  constructor({ limit, windowMs, store = getRateLimitStore() }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.store = store;
+  }
+
+  /**
+   * Counts a request against the limit using a sliding window: the previous
+   * fixed window's count is weighted by how much of it still overlaps
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} - { allowed, limit, remaining, resetMs }
+   */
+  async consume(key) {
+    const { current, previous, windowStart } = await this.store.hit(
+      key,
+      this.windowMs
+    );
+    const elapsed = Date.now() - windowStart;
+    const overlap = 1 - elapsed / this.windowMs;
+    const count = Math.floor(previous * overlap) + current;
+
+    // Time until enough of the previous window slides out to allow a request
+    let resetMs = this.windowMs - elapsed;
+    if (count > this.limit && current <= this.limit) {
+      const excess = count - this.limit;
+      resetMs = Math.ceil((excess / previous) * this.windowMs);
+    }
+
+    return {
+      allowed: count <= this.limit,
+      limit: this.limit,
+      remaining: Math.max(0, this.limit - count),
+      resetMs,
+    };
+  }
+}
+
+export default RateLimiter;
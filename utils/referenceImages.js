@@ -0,0 +1,147 @@
+import sharp from "sharp";
+import HttpError from "./httpError.js";
+
+// Upload fields accepted as reference images, in the order they are sent
+// to providers, with what each one is for. `image` is the original single
+// reference, transformed as a whole.
+const REFERENCE_ROLES = {
+  image: "the image to transform; keep its composition and key visual elements",
+  subject:
+    "the main subject; keep their identity, face and defining features recognizable",
+  background: "the setting; use it as the scene behind the subject",
+  style:
+    "a style reference; match its colors, lighting and rendering, but not its content",
+};
+
+// Multer fields for upload.fields(), one file per role
+const REFERENCE_FIELDS = Object.keys(REFERENCE_ROLES).map((name) => ({
+  name,
+  maxCount: 1,
+}));
+
+const LIMITS = {
+  minSize: 64,
+  // Longer references are scaled down before they are sent
+  maxLongEdge: 2048,
+  // Gemini rejects requests with more inline data than this
+  totalBytes: 18 * 1024 * 1024,
+};
+
+// Formats sent as uploaded; anything else is converted to PNG, or JPEG
+// when it has no transparency
+const PASSTHROUGH_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Checks one uploaded reference and converts it when providers cannot
+ * take it as is
+ * @param {string} role - Upload field the file came in
+ * @param {Object} file - Multer file (buffer, originalname, size)
+ * @returns {Promise<Object>} - { role, buffer, mimeType, originalName,
+ * size, width, height }
+ * @throws {HttpError} - 400 when the file is not a usable image
+ */
+const prepareReference = async (role, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, `The ${role} reference is not a readable image`);
+  }
+
+  const { format, width, height, hasAlpha } = metadata;
+  if (Math.min(width, height) < LIMITS.minSize) {
+    throw new HttpError(
+      400,
+      `The ${role} reference must be at least ${LIMITS.minSize}x${LIMITS.minSize} pixels`
+    );
+  }
+
+  let buffer = file.buffer;
+  let mimeType = PASSTHROUGH_FORMATS[format];
+  let size = { width, height };
+  if (!mimeType || Math.max(width, height) > LIMITS.maxLongEdge) {
+    const resized = sharp(file.buffer)
+      .rotate()
+      .resize(LIMITS.maxLongEdge, LIMITS.maxLongEdge, {
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+    const converted = await (hasAlpha
+      ? resized.png()
+      : resized.jpeg({ quality: 90 })
+    ).toBuffer({ resolveWithObject: true });
+    buffer = converted.data;
+    mimeType = hasAlpha ? "image/png" : "image/jpeg";
+    size = { width: converted.info.width, height: converted.info.height };
+  }
+
+  return {
+    role,
+    buffer,
+    mimeType,
+    originalName: file.originalname,
+    size: file.size,
+    ...size,
+  };
+};
+
+/**
+ * Validates the uploaded reference images and prepares them for providers
+ * @param {Object} files - req.files from upload.fields(REFERENCE_FIELDS)
+ * @returns {Promise<Object[]>} - References in role order, from
+ * prepareReference()
+ * @throws {HttpError} - 400 when none was sent or one is unusable
+ */
+const prepareReferences = async (files = {}) => {
+  const uploads = Object.keys(REFERENCE_ROLES)
+    .filter((role) => files?.[role]?.[0])
+    .map((role) => [role, files[role][0]]);
+  if (uploads.length === 0) {
+    throw new HttpError(400, "Image file is required", {
+      details: `Upload at least one reference as ${Object.keys(
+        REFERENCE_ROLES
+      ).join(", ")}`,
+    });
+  }
+
+  const references = await Promise.all(
+    uploads.map(([role, file]) => prepareReference(role, file))
+  );
+  const totalBytes = references.reduce(
+    (total, reference) => total + reference.buffer.length,
+    0
+  );
+  if (totalBytes > LIMITS.totalBytes) {
+    throw new HttpError(400, "Reference images are too large", {
+      details: `Together they can be up to ${Math.floor(
+        LIMITS.totalBytes / (1024 * 1024)
+      )}MB`,
+    });
+  }
+  return references;
+};
+
+/**
+ * Reference metadata stored with history entries
+ * @param {Object} reference - Reference from prepareReferences()
+ * @returns {Object} - { role, originalName, size, mimeType, width, height }
+ */
+const summarizeReference = ({
+  role,
+  originalName,
+  size,
+  mimeType,
+  width,
+  height,
+}) => ({ role, originalName, size, mimeType, width, height });
+
+export {
+  REFERENCE_ROLES,
+  REFERENCE_FIELDS,
+  prepareReferences,
+  summarizeReference,
+};
@@ -0,0 +1,65 @@
+import Workspace from "../models/Workspace.js";
+import HttpError from "./httpError.js";
+
+/**
+ * Checks the user may access a document owned either by a user (personal)
+ * or by a workspace, such as a brand kit or prompt template. Personal
+ * documents are only visible to their owner; workspace documents to members
+ * holding at least minRole.
+ * @param {Object} resource - Document with `user` and optional `workspace`
+ * @param {string} userId - Requesting user
+ * @param {string} minRole - Lowest workspace role allowed
+ * @param {string} label - Name used in error messages (e.g. "Brand kit")
+ * @throws {HttpError} - 404 if missing or hidden, 403 if the role is too low
+ */
+const assertResourceAccess = async (resource, userId, minRole, label) => {
+  if (!resource) {
+    throw new HttpError(404, `${label} not found`);
+  }
+
+  if (!resource.workspace) {
+    if (String(resource.user) !== String(userId)) {
+      throw new HttpError(404, `${label} not found`);
+    }
+    return;
+  }
+
+  const workspace = await Workspace.findOne({
+    _id: resource.workspace,
+    "members.user": userId,
+  });
+  if (!workspace) {
+    throw new HttpError(404, `${label} not found`);
+  }
+  const role = workspace.getRole(userId);
+  if (!Workspace.hasRole(role, minRole)) {
+    throw new HttpError(403, "Insufficient workspace role", {
+      details: `This action needs the ${minRole} role; you are a ${role}`,
+    });
+  }
+};
+
+/**
+ * Rejects workspace documents used outside their workspace, e.g. a
+ * workspace's brand kit in a personal generation
+ * @param {Object} resource - Document with optional `workspace`
+ * @param {Object} workspace - Workspace of the request (optional)
+ * @param {string} label - Name used in error messages
+ * @throws {HttpError} - 400 when the workspaces differ
+ */
+const assertSameWorkspace = (resource, workspace, label) => {
+  if (
+    resource.workspace &&
+    String(resource.workspace) !== String(workspace?._id)
+  ) {
+    throw new HttpError(
+      400,
+      `This ${label.toLowerCase()} belongs to a workspace`,
+      {
+        details: "Pass its workspaceId to use it",
+      }
+    );
+  }
+};
+
+export { assertResourceAccess, assertSameWorkspace };
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+
+// Magic bytes for the image formats the pipeline produces
+const SIGNATURES = [
+  { contentType: "image/jpeg", extension: "jpg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    contentType: "image/png",
+    extension: "png",
+    bytes: [0x89, 0x50, 0x4e, 0x47],
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    bytes: [0x52, 0x49, 0x46, 0x46],
+  },
+];
+
+/**
+ * Shared behaviour for storage drivers. Drivers implement:
+ *   upload(buffer, { key, contentType }) -> { url, key, driver }
+ *   download(key) -> Buffer
+ *   delete(key), getUrl(key, { signed, expiresIn }), isConfigured()
+ */
+class BaseStorage {
+  constructor(name) {
+    this.name = name;
+    this.folder = process.env.STORAGE_FOLDER || "ai-generated-images";
+  }
+
+  /**
+   * Uploads multiple image buffers
+   * @param {Buffer[]} imageBuffers - Array of image buffers
+   * @param {string} baseFileName - Base filename for uploads
+   * @param {Object} options
+   * @param {string} options.folder - Folder for the keys (defaults to
+   * STORAGE_FOLDER)
+   * @returns {Promise<Object[]>} - Array of { url, key, driver }
+   */
+  async uploadMultiple(
+    imageBuffers,
+    baseFileName = "generated_image",
+    { folder } = {}
+  ) {
+    try {
+      const uploadPromises = imageBuffers.map((buffer, index) =>
+        this.upload(buffer, {
+          key: this.generateKey(
+            buffer,
+            `${baseFileName}_${Date.now()}_${index}`,
+            folder
+          ),
+        })
+      );
+
+      const assets = await Promise.all(uploadPromises);
+      console.log(
+        `Successfully uploaded ${assets.length} images to ${this.name}`
+      );
+      return assets;
+    } catch (error) {
+      console.error("Error uploading multiple images:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds a unique storage key inside the configured folder
+   * @param {Buffer} buffer - Image buffer (used for the file extension)
+   * @param {string} fileName - Base file name without extension
+   * @param {string} folder - Folder for the key (defaults to STORAGE_FOLDER)
+   * @returns {string} - Storage key, e.g. "ai-generated-images/x_1_0_ab12.jpg"
+   */
+  generateKey(buffer, fileName, folder = this.folder) {
+    const suffix = crypto.randomBytes(4).toString("hex");
+    const { extension } = this.detectContentType(buffer);
+    return `${folder}/${fileName}_${suffix}.${extension}`;
+  }
+
+  /**
+   * Detects content type and file extension from an image buffer
+   * @param {Buffer} buffer - Image buffer
+   * @returns {{ contentType: string, extension: string }}
+   */
+  detectContentType(buffer) {
+    const match = SIGNATURES.find(({ bytes }) =>
+      bytes.every((byte, index) => buffer[index] === byte)
+    );
+    return (
+      match || { contentType: "application/octet-stream", extension: "bin" }
+    );
+  }
+}
+
+export default BaseStorage;
@@ -0,0 +1,109 @@
+import { v2 as cloudinary } from "cloudinary";
+import BaseStorage from "./baseStorage.js";
+
+class CloudinaryStorage extends BaseStorage {
+  constructor() {
+    super("cloudinary");
+
+    // Configure Cloudinary
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+
+  /**
+   * Uploads a buffer to Cloudinary
+   * @param {Buffer} imageBuffer - Image buffer to upload
+   * @param {Object} options
+   * @param {string} options.key - Storage key; becomes the public ID
+   * @returns {Promise<Object>} - { url, key, driver } of the uploaded image
+   */
+  async upload(imageBuffer, { key } = {}) {
+    return new Promise((resolve, reject) => {
+      const uploadOptions = {
+        resource_type: "image",
+        unique_filename: false,
+      };
+
+      if (key) {
+        // Cloudinary adds the extension itself
+        uploadOptions.public_id = key.replace(/\.[^/.]+$/, "");
+      } else {
+        uploadOptions.folder = this.folder;
+        uploadOptions.unique_filename = true;
+      }
+
+      cloudinary.uploader
+        .upload_stream(uploadOptions, (error, result) => {
+          if (error) {
+            console.error("Cloudinary upload error:", error);
+            reject(error);
+          } else {
+            console.log(`Image uploaded to Cloudinary: ${result.secure_url}`);
+            resolve({
+              url: result.secure_url,
+              key: result.public_id,
+              driver: this.name,
+            });
+          }
+        })
+        .end(imageBuffer);
+    });
+  }
+
+  /**
+   * Fetches an image from Cloudinary's delivery URL
+   * @param {string} key - Public ID returned by upload()
+   * @returns {Promise<Buffer>} - Image bytes
+   */
+  async download(key) {
+    const response = await fetch(await this.getUrl(key, { signed: true }));
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed (${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Deletes an image from Cloudinary
+   * @param {string} key - Public ID returned by upload()
+   * @returns {Promise<boolean>} - True if the image existed
+   */
+  async delete(key) {
+    const result = await cloudinary.uploader.destroy(key, {
+      resource_type: "image",
+    });
+    return result.result === "ok";
+  }
+
+  /**
+   * Builds a delivery URL for an image
+   * @param {string} key - Public ID returned by upload()
+   * @param {Object} options
+   * @param {boolean} options.signed - Sign the URL
+   * @returns {Promise<string>} - Image URL
+   */
+  async getUrl(key, { signed = false } = {}) {
+    return cloudinary.url(key, {
+      resource_type: "image",
+      secure: true,
+      sign_url: signed,
+    });
+  }
+
+  /**
+   * Validates if Cloudinary is properly configured
+   * @returns {boolean} - True if all required env vars are set
+   */
+  isConfigured() {
+    return !!(
+      process.env.CLOUDINARY_CLOUD_NAME &&
+      process.env.CLOUDINARY_API_KEY &&
+      process.env.CLOUDINARY_API_SECRET
+    );
+  }
+}
+
+export default CloudinaryStorage;
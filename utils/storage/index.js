@@ -0,0 +1,59 @@
+import CloudinaryStorage from "./cloudinaryStorage.js";
+import LocalStorage from "./localStorage.js";
+import S3Storage from "./s3Storage.js";
+
+const DRIVERS = {
+  cloudinary: CloudinaryStorage,
+  local: LocalStorage,
+  s3: S3Storage,
+};
+
+const drivers = new Map();
+
+const defaultDriverName = () => process.env.STORAGE_DRIVER || "cloudinary";
+
+/**
+ * Returns the storage driver, selected by STORAGE_DRIVER when no name is
+ * given (defaults to Cloudinary)
+ * @param {string} name - Driver name (cloudinary, local or s3)
+ * @returns {BaseStorage} - Storage driver instance
+ */
+const getStorage = (name = defaultDriverName()) => {
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(
+        DRIVERS
+      ).join(", ")}`
+    );
+  }
+  if (!drivers.has(name)) {
+    drivers.set(name, new DRIVERS[name]());
+  }
+  return drivers.get(name);
+};
+
+/**
+ * Lists the drivers workspace owners may choose: the default driver plus
+ * those named in STORAGE_WORKSPACE_DRIVERS. The local driver writes to the
+ * server's own disk, so it is only offered when it is the default.
+ * @returns {string[]} - Driver names
+ */
+const getWorkspaceDrivers = () => {
+  const defaultName = defaultDriverName();
+  const listed = (process.env.STORAGE_WORKSPACE_DRIVERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return [...new Set([defaultName, ...listed])].filter(
+    (name) => DRIVERS[name] && (name !== "local" || name === defaultName)
+  );
+};
+
+/**
+ * Checks whether locally stored images are served by this server
+ * @returns {boolean} - True when the local driver is the default
+ */
+const isLocalStorageEnabled = () => defaultDriverName() === "local";
+
+export { DRIVERS, getWorkspaceDrivers, isLocalStorageEnabled };
+export default getStorage;
@@ -0,0 +1,95 @@
+import fs from "fs/promises";
+import path from "path";
+import BaseStorage from "./baseStorage.js";
+
+// URL prefix the server mounts express.static on
+const PUBLIC_PATH = "/uploads";
+
+class LocalStorage extends BaseStorage {
+  constructor() {
+    super("local");
+    this.rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+    this.publicUrl = (
+      process.env.STORAGE_PUBLIC_URL ||
+      `http://localhost:${process.env.PORT || 3000}`
+    ).replace(/\/$/, "");
+  }
+
+  /**
+   * Writes a buffer to the local uploads directory
+   * @param {Buffer} imageBuffer - Image buffer to store
+   * @param {Object} options
+   * @param {string} options.key - Storage key (relative path)
+   * @returns {Promise<Object>} - { url, key, driver } of the stored image
+   */
+  async upload(imageBuffer, { key } = {}) {
+    const storageKey = key || this.generateKey(imageBuffer, "image");
+    const filePath = this.resolvePath(storageKey);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, imageBuffer);
+
+    const url = await this.getUrl(storageKey);
+    console.log(`Image saved to local storage: ${url}`);
+    return { url, key: storageKey, driver: this.name };
+  }
+
+  /**
+   * Reads a stored file
+   * @param {string} key - Storage key returned by upload()
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async download(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Deletes a stored file
+   * @param {string} key - Storage key returned by upload()
+   * @returns {Promise<boolean>} - True if the file existed
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the public URL for a stored file. Files are served by
+   * express.static, so there is no signed variant
+   * @param {string} key - Storage key returned by upload()
+   * @returns {Promise<string>} - Public URL
+   */
+  async getUrl(key) {
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${this.publicUrl}${PUBLIC_PATH}/${encodedKey}`;
+  }
+
+  /**
+   * Maps a key to a path, refusing keys that escape the root directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Local storage only needs a writable directory
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  }
+}
+
+export { PUBLIC_PATH };
+export default LocalStorage;
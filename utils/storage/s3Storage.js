@@ -0,0 +1,132 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import BaseStorage from "./baseStorage.js";
+
+class S3Storage extends BaseStorage {
+  constructor() {
+    super("s3");
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || "us-east-1";
+    // Set for S3-compatible services such as MinIO
+    this.endpoint = process.env.S3_ENDPOINT;
+    this.publicUrl = process.env.S3_PUBLIC_URL;
+    this.client = null;
+  }
+
+  /**
+   * Lazily creates the S3 client so a missing config only fails on use
+   * @returns {S3Client} - S3 client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new S3Client({
+        region: this.region,
+        endpoint: this.endpoint,
+        // MinIO needs bucket-in-path URLs
+        forcePathStyle:
+          process.env.S3_FORCE_PATH_STYLE === "true" || !!this.endpoint,
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        },
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Uploads a buffer to the bucket
+   * @param {Buffer} imageBuffer - Image buffer to upload
+   * @param {Object} options
+   * @param {string} options.key - Object key
+   * @param {string} options.contentType - MIME type (detected if omitted)
+   * @returns {Promise<Object>} - { url, key, driver } of the uploaded image
+   */
+  async upload(imageBuffer, { key, contentType } = {}) {
+    const objectKey = key || this.generateKey(imageBuffer, "image");
+
+    await this.getClient().send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        Body: imageBuffer,
+        ContentType:
+          contentType || this.detectContentType(imageBuffer).contentType,
+      })
+    );
+
+    const url = await this.getUrl(objectKey);
+    console.log(`Image uploaded to S3: ${url}`);
+    return { url, key: objectKey, driver: this.name };
+  }
+
+  /**
+   * Reads an object from the bucket
+   * @param {string} key - Object key returned by upload()
+   * @returns {Promise<Buffer>} - Object contents
+   */
+  async download(key) {
+    const response = await this.getClient().send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Deletes an object from the bucket
+   * @param {string} key - Object key returned by upload()
+   * @returns {Promise<boolean>} - Always true; S3 deletes are idempotent
+   */
+  async delete(key) {
+    await this.getClient().send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return true;
+  }
+
+  /**
+   * Builds a public URL, or a presigned GET URL for private buckets
+   * @param {string} key - Object key returned by upload()
+   * @param {Object} options
+   * @param {boolean} options.signed - Return a presigned URL
+   * @param {number} options.expiresIn - Presigned URL lifetime in seconds
+   * @returns {Promise<string>} - Object URL
+   */
+  async getUrl(key, { signed = false, expiresIn = 3600 } = {}) {
+    if (signed) {
+      return getSignedUrl(
+        this.getClient(),
+        new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+        { expiresIn }
+      );
+    }
+
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/$/, "")}/${encodedKey}`;
+    }
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/$/, "")}/${this.bucket}/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  /**
+   * Validates if the bucket and credentials are configured
+   * @returns {boolean} - True if all required env vars are set
+   */
+  isConfigured() {
+    return !!(
+      process.env.S3_BUCKET &&
+      process.env.S3_ACCESS_KEY_ID &&
+      process.env.S3_SECRET_ACCESS_KEY
+    );
+  }
+}
+
+export default S3Storage;
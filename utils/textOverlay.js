@@ -0,0 +1,540 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+const FONTS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "assets",
+  "fonts"
+);
+
+// Bundled fonts (SIL OFL, see assets/fonts) keyed by the name clients send
+const FONTS = {
+  anton: { family: "Anton", file: "Anton-Regular.ttf" },
+  "bebas-neue": { family: "Bebas Neue", file: "BebasNeue-Regular.ttf" },
+  "montserrat-black": {
+    family: "Montserrat Black",
+    file: "Montserrat-Black.ttf",
+  },
+};
+
+const POSITIONS = [
+  "top",
+  "center",
+  "bottom",
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+];
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_LINES = 4;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Sizes left as null are derived from the image height when rendering
+const DEFAULT_SETTINGS = {
+  font: "anton",
+  color: "#FFFFFF",
+  position: "bottom",
+  align: null,
+  uppercase: false,
+  maxLines: 2,
+  maxWidth: 0.9,
+  maxHeight: 0.35,
+  margin: 0.05,
+  fontSize: null,
+  stroke: { color: "#000000", width: null },
+  shadow: {
+    color: "#000000",
+    opacity: 0.6,
+    blur: null,
+    offsetX: null,
+    offsetY: null,
+  },
+  // Off unless requested
+  background: null,
+};
+
+const DEFAULT_BACKGROUND = {
+  color: "#000000",
+  opacity: 0.55,
+  padding: null,
+  radius: null,
+};
+
+// Accepted range of each numeric effect option; sizes are in pixels.
+// Larger strokes and blurs make rendering too slow or exceed sharp's
+// pixel limit, so values outside the range are clamped to it
+const EFFECT_LIMITS = {
+  stroke: { width: [0, 24] },
+  shadow: {
+    opacity: [0, 1],
+    blur: [0, 40],
+    offsetX: [-100, 100],
+    offsetY: [-100, 100],
+  },
+  background: { opacity: [0, 1], padding: [0, 200], radius: [0, 200] },
+};
+
+const clampRatio = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= 1
+    ? parsed
+    : fallback;
+};
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+// Merge an optional effect (stroke/shadow/background); false disables it.
+// Only known options are taken, and numbers are checked and clamped
+const resolveEffect = (name, input, defaults, enabledByDefault = true) => {
+  if (input === false || input === "false" || input === null) {
+    return { effect: null, error: null };
+  }
+  if (input === undefined) {
+    return { effect: enabledByDefault ? { ...defaults } : null, error: null };
+  }
+  if (input === true || input === "true") {
+    return { effect: { ...defaults }, error: null };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { effect: null, error: `${name} must be an object, true or false` };
+  }
+
+  const effect = { ...defaults };
+  if (input.color !== undefined && input.color !== null) {
+    effect.color = String(input.color);
+  }
+  for (const [key, [min, max]] of Object.entries(EFFECT_LIMITS[name])) {
+    const value = input[key];
+    if (value === undefined || value === null || value === "") continue;
+
+    const parsed = typeof value === "string" ? Number(value) : value;
+    if (typeof parsed !== "number" || !Number.isFinite(parsed)) {
+      return { effect: null, error: `${name}.${key} must be a number` };
+    }
+    effect[key] = Math.min(max, Math.max(min, parsed));
+  }
+  return { effect, error: null };
+};
+
+const escapeMarkup = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+class TextOverlay {
+  /**
+   * Validates overlay options and fills in defaults
+   * @param {Object|string} input - Overlay options (object or JSON string)
+   * @returns {{ settings: Object|null, error: string|null }}
+   */
+  resolveSettings(input = {}) {
+    let options = input || {};
+    if (typeof options === "string") {
+      try {
+        options = JSON.parse(options);
+      } catch (e) {
+        return { settings: null, error: "textOverlay must be valid JSON" };
+      }
+    }
+
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      font: options.font || DEFAULT_SETTINGS.font,
+      color: options.color || DEFAULT_SETTINGS.color,
+      position: options.position || DEFAULT_SETTINGS.position,
+      align: options.align || null,
+      uppercase: options.uppercase === true || options.uppercase === "true",
+      maxLines: parseInt(options.maxLines) || DEFAULT_SETTINGS.maxLines,
+      maxWidth: clampRatio(options.maxWidth, DEFAULT_SETTINGS.maxWidth),
+      maxHeight: clampRatio(options.maxHeight, DEFAULT_SETTINGS.maxHeight),
+      margin: clampRatio(options.margin, DEFAULT_SETTINGS.margin),
+      fontSize: optionalNumber(options.fontSize),
+    };
+
+    const effects = {
+      stroke: resolveEffect("stroke", options.stroke, DEFAULT_SETTINGS.stroke),
+      shadow: resolveEffect("shadow", options.shadow, DEFAULT_SETTINGS.shadow),
+      background: resolveEffect(
+        "background",
+        options.background,
+        DEFAULT_BACKGROUND,
+        false
+      ),
+    };
+    for (const [name, { effect, error }] of Object.entries(effects)) {
+      if (error) return { settings: null, error };
+      settings[name] = effect;
+    }
+
+    if (!FONTS[settings.font]) {
+      return {
+        settings: null,
+        error: `Unknown font "${settings.font}". Use one of: ${Object.keys(
+          FONTS
+        ).join(", ")}`,
+      };
+    }
+    if (!POSITIONS.includes(settings.position)) {
+      return {
+        settings: null,
+        error: `Invalid position. Use one of: ${POSITIONS.join(", ")}`,
+      };
+    }
+    const alignments = ["left", "center", "right"];
+    if (settings.align && !alignments.includes(settings.align)) {
+      return {
+        settings: null,
+        error: "Invalid align. Use left, center or right",
+      };
+    }
+    if (settings.maxLines < 1 || settings.maxLines > MAX_LINES) {
+      return {
+        settings: null,
+        error: `maxLines must be between 1 and ${MAX_LINES}`,
+      };
+    }
+
+    const colors = [
+      settings.color,
+      settings.stroke?.color,
+      settings.shadow?.color,
+      settings.background?.color,
+    ].filter((color) => color !== undefined);
+    if (colors.some((color) => !HEX_COLOR.test(color))) {
+      return {
+        settings: null,
+        error: "Colors must be hex values like #FFCC00",
+      };
+    }
+
+    return { settings, error: null };
+  }
+
+  /**
+   * Validates the title text itself
+   * @param {string} text - Title text
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateText(text) {
+    if (typeof text !== "string" || !text.trim()) {
+      return "titleText must be a non-empty string";
+    }
+    if (text.length > MAX_TITLE_LENGTH) {
+      return `titleText must be at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Draws the title onto an image
+   * @param {Buffer} imageBuffer - Image to draw on
+   * @param {string} text - Title text
+   * @param {Object} settings - Settings from resolveSettings()
+   * @returns {Promise<Buffer>} - PNG buffer with the title composited
+   */
+  async render(imageBuffer, text, settings) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const title = settings.uppercase ? text.toUpperCase() : text;
+    const align = settings.align || this.defaultAlign(settings.position);
+
+    // Effect sizes scale with the image unless given explicitly
+    const unit = Math.max(1, Math.round(height * 0.008));
+    const strokeWidth = settings.stroke
+      ? Math.round(settings.stroke.width ?? unit)
+      : 0;
+    const shadow = settings.shadow && {
+      ...settings.shadow,
+      blur: settings.shadow.blur ?? unit * 1.5,
+      offsetX: Math.round(settings.shadow.offsetX ?? unit),
+      offsetY: Math.round(settings.shadow.offsetY ?? unit),
+    };
+    const background = settings.background && {
+      ...settings.background,
+      padding: Math.round(settings.background.padding ?? unit * 3),
+      radius: Math.round(settings.background.radius ?? unit * 2),
+    };
+
+    // Room around the glyphs for the stroke, shadow and background box
+    const shadowReach = shadow
+      ? shadow.blur * 2 +
+        Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY))
+      : 0;
+    const pad = Math.ceil(
+      Math.max(strokeWidth + shadowReach, background ? background.padding : 0)
+    );
+    const margin = Math.round(Math.min(width, height) * settings.margin);
+    const boxWidth = Math.max(
+      1,
+      Math.min(Math.round(width * settings.maxWidth), width - 2 * margin) -
+        2 * pad
+    );
+    const boxHeight = Math.max(
+      1,
+      Math.min(Math.round(height * settings.maxHeight), height - 2 * margin) -
+        2 * pad
+    );
+
+    const mask = await this.renderMask(
+      title,
+      settings,
+      align,
+      boxWidth,
+      boxHeight
+    );
+    const layerWidth = mask.width + 2 * pad;
+    const layerHeight = mask.height + 2 * pad;
+    const paddedMask = await sharp(mask.data, {
+      raw: { width: mask.width, height: mask.height, channels: 1 },
+    })
+      .extend({
+        top: pad,
+        bottom: pad,
+        left: pad,
+        right: pad,
+        background: "#000000",
+      })
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+
+    const { left, top } = this.placeBlock(
+      settings.position,
+      width,
+      height,
+      layerWidth,
+      layerHeight,
+      margin
+    );
+
+    const layers = [];
+
+    if (background) {
+      layers.push({
+        input: this.renderBox(
+          mask.width + 2 * background.padding,
+          mask.height + 2 * background.padding,
+          background
+        ),
+        left: left + pad - background.padding,
+        top: top + pad - background.padding,
+      });
+    }
+
+    // sharp's morphology treats dark pixels as foreground, so eroding the
+    // background is what grows the white glyphs into an outline
+    const outlineMask =
+      strokeWidth > 0
+        ? await this.transformMask(paddedMask, layerWidth, layerHeight, (img) =>
+            img.erode(strokeWidth)
+          )
+        : paddedMask;
+
+    if (shadow) {
+      const shadowMask = await this.transformMask(
+        outlineMask,
+        layerWidth,
+        layerHeight,
+        (img) => (shadow.blur >= 0.3 ? img.blur(shadow.blur) : img)
+      );
+      layers.push({
+        input: await this.colorize(
+          shadowMask,
+          layerWidth,
+          layerHeight,
+          shadow.color,
+          shadow.opacity
+        ),
+        left: left + shadow.offsetX,
+        top: top + shadow.offsetY,
+      });
+    }
+
+    if (strokeWidth > 0) {
+      layers.push({
+        input: await this.colorize(
+          outlineMask,
+          layerWidth,
+          layerHeight,
+          settings.stroke.color
+        ),
+        left,
+        top,
+      });
+    }
+
+    layers.push({
+      input: await this.colorize(
+        paddedMask,
+        layerWidth,
+        layerHeight,
+        settings.color
+      ),
+      left,
+      top,
+    });
+
+    return sharp(imageBuffer)
+      .composite(layers.map((layer) => this.clipToImage(layer, width, height)))
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Renders the title as a grayscale mask, wrapping it onto up to maxLines
+   * lines and picking the layout that allows the largest font
+   * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+   */
+  async renderMask(title, settings, align, boxWidth, boxHeight) {
+    const font = FONTS[settings.font];
+    const words = title.trim().split(/\s+/);
+    const baseSize = 12;
+    let best = null;
+
+    const maxLines = Math.min(settings.maxLines, words.length);
+    for (let lines = 1; lines <= maxLines; lines++) {
+      const text = this.wrapWords(words, lines).map(escapeMarkup).join("\n");
+      const { info } = await sharp({
+        text: {
+          text,
+          font: `${font.family} ${baseSize}`,
+          fontfile: path.join(FONTS_DIR, font.file),
+          width: boxWidth,
+          height: boxHeight,
+          align,
+          wrap: "none",
+        },
+      })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      // Only switch to more lines when it makes the text larger
+      if (!best || info.textAutofitDpi > best.dpi) {
+        best = { text, dpi: info.textAutofitDpi };
+      }
+    }
+
+    // Cap the autofit size at the requested font size (in pixels)
+    let dpi = best.dpi;
+    if (settings.fontSize) {
+      dpi = Math.min(dpi, Math.round((settings.fontSize * 72) / baseSize));
+    }
+
+    const { data, info } = await sharp({
+      text: {
+        text: best.text,
+        font: `${font.family} ${baseSize}`,
+        fontfile: path.join(FONTS_DIR, font.file),
+        dpi,
+        align,
+        wrap: "none",
+      },
+    })
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Splits words into a fixed number of roughly equal-length lines
+   * @param {string[]} words - Words of the title
+   * @param {number} count - Number of lines
+   * @returns {string[]} - Lines of text
+   */
+  wrapWords(words, count) {
+    const target = words.join(" ").length / count;
+    const lines = [];
+    let current = [];
+
+    words.forEach((word, index) => {
+      const candidate = [...current, word].join(" ");
+      const remainingWords = words.length - index;
+      const linesLeft = count - lines.length;
+      if (
+        current.length > 0 &&
+        lines.length < count - 1 &&
+        (candidate.length > target || remainingWords < linesLeft)
+      ) {
+        lines.push(current.join(" "));
+        current = [word];
+      } else {
+        current.push(word);
+      }
+    });
+    lines.push(current.join(" "));
+    return lines;
+  }
+
+  defaultAlign(position) {
+    if (position.endsWith("left")) return "left";
+    if (position.endsWith("right")) return "right";
+    return "center";
+  }
+
+  placeBlock(position, width, height, blockWidth, blockHeight, margin) {
+    let left = Math.round((width - blockWidth) / 2);
+    let top = Math.round((height - blockHeight) / 2);
+
+    if (position.startsWith("top")) top = margin;
+    if (position.startsWith("bottom")) top = height - blockHeight - margin;
+    if (position.endsWith("left")) left = margin;
+    if (position.endsWith("right")) left = width - blockWidth - margin;
+
+    return { left: Math.max(0, left), top: Math.max(0, top) };
+  }
+
+  renderBox(width, height, background) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${height}" rx="${background.radius}" ry="${background.radius}" fill="${background.color}" fill-opacity="${background.opacity}"/></svg>`;
+    return Buffer.from(svg);
+  }
+
+  async transformMask(mask, width, height, apply) {
+    return apply(sharp(mask, { raw: { width, height, channels: 1 } }))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * Turns a grayscale mask into a solid-color PNG using the mask as alpha
+   */
+  async colorize(mask, width, height, color, opacity = 1) {
+    const alpha =
+      opacity < 1
+        ? await sharp(mask, { raw: { width, height, channels: 1 } })
+            .linear(opacity, 0)
+            .extractChannel(0)
+            .raw()
+            .toBuffer()
+        : mask;
+
+    return sharp({
+      create: { width, height, channels: 3, background: color },
+    })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Keeps composite offsets inside the image; sharp rejects layers that
+   * start outside it
+   */
+  clipToImage(layer, width, height) {
+    return {
+      ...layer,
+      left: Math.min(Math.max(0, layer.left), width - 1),
+      top: Math.min(Math.max(0, layer.top), height - 1),
+    };
+  }
+}
+
+export { FONTS, POSITIONS };
+export default TextOverlay;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import UsageRecord from "../models/UsageRecord.js";
+import { estimateCost } from "./pricing.js";
+
+/**
+ * Collects the provider calls made for one request and saves them as a
+ * UsageRecord. The record ID is known up front so a history entry can
+ * point at it before it is written.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} context - { userId, workspace } of the request
+   * @param {string} type - Generation type, or "prompt-enhancement"
+   */
+  constructor(context, type) {
+    this.id = new mongoose.Types.ObjectId();
+    this.context = context;
+    this.type = type;
+    this.calls = [];
+    this.saved = false;
+  }
+
+  /**
+   * Adds one provider call, with its estimated cost
+   * @param {Object} call - { kind, provider, model, size, latencyMs,
+   * retries, success, error, images, inputTokens, outputTokens }
+   */
+  record(call) {
+    this.calls.push({ ...call, costUsd: estimateCost(call), at: new Date() });
+  }
+
+  /**
+   * Saves the record once, when any call was made. Never throws: usage is
+   * reporting data and must not fail the request.
+   * @param {string} generationId - History entry the calls produced
+   * (optional)
+   * @returns {Promise<void>}
+   */
+  async save(generationId = null) {
+    if (this.saved || this.calls.length === 0 || !this.context.userId) return;
+    this.saved = true;
+
+    try {
+      await UsageRecord.create({
+        _id: this.id,
+        user: this.context.userId,
+        workspace: this.context.workspace?._id || null,
+        type: this.type,
+        generation: generationId,
+        calls: this.calls,
+        costUsd: this.calls.reduce((sum, call) => sum + (call.costUsd || 0), 0),
+      });
+    } catch (error) {
+      console.error("Usage record error:", error);
+    }
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import net from "net";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { isPublicAddress, lookupPublic } from "./publicAddress.js";
+
+// Due retries claimed per sweep
+const SWEEP_BATCH = 20;
+
+/**
+ * Signs a delivery body. Receivers recompute the HMAC over
+ * `${timestamp}.${body}` with their secret, compare it to the
+ * X-Webhook-Signature header, and reject old timestamps to stop replays.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature header value ("v1=<hex>")
+ */
+const signPayload = (secret, timestamp, body) =>
+  `v1=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * POSTs a delivery to a public address. Names are resolved and checked at
+ * connect time, redirects are not followed and the response body is
+ * discarded, so endpoints cannot be used to reach or read internal hosts.
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @param {number} timeoutMs - Time allowed for the whole request
+ * @returns {Promise<number>} - Response status code
+ */
+const postToPublicUrl = (url, headers, body, timeoutMs) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: lookupPublic,
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+        response.on("error", reject);
+      }
+    );
+    const timer = setTimeout(() => {
+      const error = new Error("Request timed out");
+      error.name = "TimeoutError";
+      request.destroy(error);
+    }, timeoutMs);
+    request.on("close", () => clearTimeout(timer));
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Sends events to users' webhooks. Deliveries are stored before the first
+ * attempt; failed ones are retried with exponential backoff by a sweep
+ * that also picks up retries left over from a restart.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Automatic attempts per delivery
+   * @param {number} options.baseDelayMs - Wait before the first retry;
+   * doubles with each further retry
+   * @param {number} options.timeoutMs - Time allowed for each request
+   * @param {number} options.sweepMs - How often due retries are checked
+   */
+  constructor({
+    maxAttempts = 6,
+    baseDelayMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    sweepMs = 30 * 1000,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.sweepMs = sweepMs;
+    this.sweeper = null;
+  }
+
+  /**
+   * Starts retrying due deliveries in the background
+   */
+  start() {
+    if (this.sweeper) return;
+    this.sweeper = setInterval(() => this.retryDue(), this.sweepMs);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Sends an event to every active webhook of the user subscribed to it.
+   * Never throws, so callers can fire and forget.
+   * @param {string} userId - User the event belongs to
+   * @param {string} event - Event name (see Webhook.EVENTS)
+   * @param {Object} data - Event data, sent as `data`
+   * @param {Object} meta - Extra top-level payload fields (e.g. jobId)
+   * @returns {Promise<void>}
+   */
+  async emit(userId, event, data, meta = {}) {
+    try {
+      if (!userId) return;
+      const webhooks = await Webhook.findSubscribed(userId, event);
+
+      await Promise.all(
+        webhooks.map(async (webhook) => {
+          const delivery = new WebhookDelivery({
+            webhook: webhook._id,
+            user: webhook.user,
+            event,
+          });
+          delivery.payload = {
+            id: delivery._id,
+            event,
+            createdAt: delivery.createdAt,
+            ...meta,
+            data,
+          };
+          await delivery.save();
+          await this.attempt(delivery, webhook);
+        })
+      );
+    } catch (error) {
+      console.error(`Webhook ${event} error:`, error.message);
+    }
+  }
+
+  /**
+   * Sends a delivery again right away, whatever its status. A failure does
+   * not schedule further retries, but leaves a pending one in place.
+   * @param {Object} delivery - Delivery document
+   * @param {Object} webhook - Webhook document
+   * @returns {Promise<Object>} - The updated delivery
+   */
+  async redeliver(delivery, webhook) {
+    return this.attempt(delivery, webhook, { manual: true });
+  }
+
+  /**
+   * Makes one attempt and records it, scheduling a retry when it fails and
+   * attempts remain
+   * @returns {Promise<Object>} - The updated delivery
+   */
+  async attempt(delivery, webhook, { manual = false } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(), manual };
+
+    try {
+      attempt.responseStatus = await postToPublicUrl(
+        webhook.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "ai-image-generator-webhooks",
+          "X-Webhook-Id": String(delivery._id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        this.timeoutMs
+      );
+      if (attempt.responseStatus < 200 || attempt.responseStatus >= 300) {
+        attempt.error = `Endpoint responded with ${attempt.responseStatus}`;
+      }
+    } catch (error) {
+      attempt.error =
+        error.name === "TimeoutError"
+          ? `No response within ${this.timeoutMs / 1000}s`
+          : error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    delivery.attempts.push(attempt);
+    if (!manual) delivery.attemptCount += 1;
+
+    if (!attempt.error) {
+      delivery.status = "succeeded";
+      delivery.nextAttemptAt = undefined;
+    } else if (manual) {
+      // A pending delivery keeps its scheduled retry
+      if (delivery.status !== "pending") delivery.status = "failed";
+    } else if (delivery.attemptCount >= this.maxAttempts) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.status = "pending";
+      delivery.nextAttemptAt = new Date(
+        Date.now() + this.baseDelayMs * 2 ** (delivery.attemptCount - 1)
+      );
+    }
+
+    await Promise.all([
+      delivery.save(),
+      Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: attempt.at }),
+    ]);
+    return delivery;
+  }
+
+  /**
+   * Retries deliveries whose backoff has passed. Each one is claimed first
+   * so several server instances do not send it twice.
+   * @returns {Promise<void>}
+   */
+  async retryDue() {
+    try {
+      for (let i = 0; i < SWEEP_BATCH; i++) {
+        const now = new Date();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          // Hold the claim for longer than an attempt can take
+          { nextAttemptAt: new Date(now.getTime() + 2 * this.timeoutMs) },
+          { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!delivery) return;
+
+        const webhook = await Webhook.findById(delivery.webhook);
+        if (!webhook?.active) {
+          delivery.status = "failed";
+          delivery.nextAttemptAt = undefined;
+          delivery.attempts.push({ error: "Webhook was disabled or deleted" });
+          await delivery.save();
+          continue;
+        }
+        await this.attempt(delivery, webhook);
+      }
+    } catch (error) {
+      console.error("Webhook retry error:", error.message);
+    }
+  }
+}
+
+const webhookDispatcher = new WebhookDispatcher({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  baseDelayMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60) * 1000,
+});
+
+export { WebhookDispatcher, signPayload };
+export default webhookDispatcher;